@@ -0,0 +1,25 @@
+// The CoverMonkey module.  Use an Analyzer to read -D data, and pass
+// the results it returns to the reporters to output them:
+//
+//   var CoverMonkey = require("covermonkey");
+//   var analyzer = new CoverMonkey.Analyzer();
+//   analyzer.read(process.stdin, function() {
+//       var results = analyzer.results();
+//       CoverMonkey.reporters.text(results, process.stdout);
+//   });
+//
+// The reporters are documented in src/Reporters.js, and the Analyzer and
+// its events in src/Analyzer.js.  The Coverage class defined in
+// src/Coverage.js is the lower-level interface used by both of them.
+// The Instrumenter in src/Instrumenter.js produces -D data for engines
+// other than debug builds of SpiderMonkey.
+//
+var Coverage = require("./src/Coverage.js");
+
+exports.Coverage = Coverage;
+exports.Analyzer = require("./src/Analyzer.js");
+exports.reporters = require("./src/Reporters.js");
+exports.Instrumenter = require("./src/Instrumenter.js");
+exports.serve = require("./src/LiveServer.js").serve;
+exports.main = require("./src/NodeApp.js").main;
+exports.version = exports.Analyzer.VERSION;
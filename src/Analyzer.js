@@ -0,0 +1,976 @@
+// An Analyzer reads a stream of -D data and builds up the coverage data
+// for each source file as the scripts arrive, so that callers can use
+// CoverMonkey without going through the command line and without
+// waiting for all of the data.  Feed it text with write() and end(),
+// or a whole stream with read():
+//
+//   var analyzer = new Analyzer();
+//   analyzer.on("file", function(file) { ... });
+//   analyzer.read(process.stdin, function() {
+//       var results = analyzer.results();
+//       ...
+//   });
+//
+// Analyzers are EventEmitters and emit these events:
+//
+//   "script" (script, isNew): a Coverage.Script was parsed.  isNew is
+//       false if the script was seen before and its counts were added
+//       to those of the earlier copy, which is what is passed.
+//   "file" (file): a Coverage.File was created for a new source file.
+//   "update" (file, script): some lines of a file that was already known
+//       changed, because a script that was seen before was seen again
+//       and its counts were added, or a new script added code to them.
+//   "text" (line): a line of the input that is not -D data
+//   "warning" (message): a problem that doesn't stop the analysis, such
+//       as scripts in the same input that couldn't be told apart, so
+//       their counts were combined, or a source file or source map that
+//       couldn't be read
+//   "end" (): end() was called and all of the data has been processed
+//
+var events = require("events");
+var fs = require("fs");
+var path = require("path");
+var util = require("util");
+var Coverage = require("./Coverage.js");
+var SourceMap = require("./SourceMap.js");
+
+// The CoverMonkey version number, which -v prints and the reports record.
+// It is the version of the package, so that they always agree.
+const VERSION = require("../package.json").version;
+
+// Options:
+//   atlines:    remap file and line numbers with the //@line comments in
+//               the source files
+//   sourcemaps: remap file and line numbers with the source maps of the
+//               source files.  This takes precedence over atlines.
+//   remap:      a function to remap file and line numbers instead.  See
+//               Analyzer.atlines() for its arguments and return value.
+//   countFields: the names of the count fields of the -D data, as for
+//               Coverage.COUNT_FIELDS, which is the default.
+//   evals:      report the code compiled by eval and new Function, and
+//               the (null) and -e scripts, as virtual files.  See
+//               Analyzer.evalFiles().
+//   assembly:   keep all the assembly code of the scripts, which
+//               save(), the HTML assembly listings and the control-flow
+//               graphs show.  This is the default.  If it is false, only
+//               the opcode names and jumps are kept, which takes much less
+//               memory for big inputs.  The evals option needs the
+//               assembly code, so it keeps it anyway.
+function Analyzer(options) {
+    events.EventEmitter.call(this);
+    options = options || {};
+
+    this.sources = {};  // Map filenames to their lines, see readSource()
+    this.maps = {};     // Map filenames to their SourceMaps, or null
+    this.remap = options.remap ||
+        (options.sourcemaps ? this.sourcemaps.bind(this) :
+         options.atlines ? Analyzer.atlines : null);
+    this.countFields = options.countFields || Coverage.COUNT_FIELDS;
+
+    // The Coverage object parses the data and keeps the Files, and its
+    // listener turns what happens into events.  The per-file data of the
+    // Coverage object isn't needed.
+    this.coverage = new Coverage(this.remap, this.countFields);
+    this.coverage.data = null;
+    this.parser = this.coverage.parser;
+    this.parser.evals = this.evals = !!options.evals;
+    this.parser.assembly = options.assembly !== false || this.evals;
+    this.scripts = this.parser.scripts;  // All distinct Scripts so far
+    this.files = this.coverage.files;    // Map filenames to Coverage.Files
+    this.bytes = 0;                      // The number of bytes written
+
+    var analyzer = this;
+    this.coverage.addListener({
+        onScript: function(c, script, isNew) {
+            analyzer.emit("script", script, isNew);
+        },
+        onFile: function(c, file) { analyzer.emit("file", file); },
+        onFileUpdate: function(c, file, script) {
+            analyzer.emit("update", file, script);
+        },
+        onText: function(c, line) { analyzer.emit("text", line); },
+        onWarning: function(c, message) { analyzer.emit("warning", message); }
+    });
+}
+util.inherits(Analyzer, events.EventEmitter);
+
+// Process a chunk of -D data.  It doesn't need to end with a complete line.
+Analyzer.prototype.write = function(chunk) {
+    this.bytes += Buffer.byteLength(chunk);
+    this.coverage.parseData(chunk);
+    return true;
+};
+
+// Process the unterminated last line of the input, if there is one.
+// Call this at the end of each input stream.
+Analyzer.prototype.flush = function() {
+    this.coverage.end();
+};
+
+// Process the final chunk of -D data, if any, and emit "end"
+Analyzer.prototype.end = function(chunk) {
+    if (chunk) this.write(chunk);
+    this.flush();
+    this.emit("end");
+};
+
+// Read all of a stream of -D data, and then invoke the callback, with
+// an error if the stream couldn't be read.  If saved is true, the
+// stream holds data written by Analyzer.save(), whose file and line
+// numbers were already remapped.  The Analyzer isn't ended, so that
+// more than one stream can be read into it.
+Analyzer.prototype.read = function(stream, saved, callback) {
+    if (typeof saved === "function") {
+        callback = saved;
+        saved = false;
+    }
+
+    var analyzer = this;
+    var done = false;
+    function finish(e) {
+        if (done) return;
+        done = true;
+        analyzer.flush();
+        analyzer.parser.remap = analyzer.remap;
+        if (callback) callback(e || null);
+    }
+
+    // Saved data has already been remapped, so don't remap it again
+    this.coverage.newInput(saved);
+
+    stream.setEncoding("utf8");
+    stream.on("data", function(chunk) { analyzer.write(chunk); });
+    stream.on("end", function() { finish(); });
+    stream.on("error", finish);
+    if (stream.resume) stream.resume();
+};
+
+// Return an object that tells how much of the input has been processed:
+// the number of bytes, the number of scripts, and the number of distinct
+// scripts, which are the ones that are kept.
+Analyzer.prototype.progress = function() {
+    return {
+        bytes: this.bytes,
+        scripts: this.parser.count,
+        distinct: this.scripts.length
+    };
+};
+
+// Write all the scripts we have seen to a stream, in the -D format, so
+// that they can be read back in with read() later.
+Analyzer.prototype.save = function(out) {
+    this.scripts.forEach(function(script) { out.write(script.dump()); });
+};
+
+// Return the coverage results for the specified array of targets, or
+// for all known files if there are none.  Targets and the optional
+// include and exclude patterns of the filters object are resolved as by
+// Analyzer.resolveTargets(), and each target File gets its source code.
+// If the filters object has a changes property, the changed lines of a
+// patch as returned by Analyzer.parseDiff(), the targets are limited to
+// the changed files, as found by Analyzer.patchedFiles(), and their Files
+// to the changed lines.  The result
+// object has these properties:
+//
+//   files:     the object mapping filenames to Coverage.File objects
+//   targets:   the resolved filenames of the targets
+//   unknown:   the targets we had no coverage data for
+//   ambiguous: the targets that matched more than one file, and those
+//              files, as { target, matches } objects
+//   total:     the combined statistics of the targets (see fileStats())
+//   scripts:   the array of all Coverage.Script objects
+//
+Analyzer.prototype.results = function(targets, filters) {
+    var analyzer = this;
+    var files = this.evals ? Analyzer.evalFiles(this.files, this.sources) :
+        this.files;
+    var options = { evals: this.evals };
+    for(var p in filters) options[p] = filters[p];
+    var resolved = Analyzer.resolveTargets(files, targets || [], options);
+
+    // Give each target its source code so that functions can be named
+    // and the lines excluded by covermonkey ignore comments are known
+    resolved.targets.forEach(function(target) {
+        files[target].setSource(analyzer.readSource(target));
+    });
+
+    if (filters && filters.changes) {
+        // Find the files the patch changed, which may be named
+        // differently in the patch and the -D data, and the targets
+        // among them.  Patched files we have no data for are left out.
+        var changed = {};
+        for(var filename in filters.changes) {
+            Analyzer.patchedFiles(files, filename).forEach(function(name) {
+                changed[name] = filters.changes[filename];
+            });
+        }
+        resolved.targets = resolved.targets.filter(function(target) {
+            return target in changed;
+        });
+
+        // Only report the changed lines of the targets
+        var subsets = {};
+        for(var filename in files) subsets[filename] = files[filename];
+        files = subsets;
+        resolved.targets.forEach(function(target) {
+            files[target] = files[target].subset(changed[target]);
+        });
+    }
+
+    return {
+        files: files,
+        targets: resolved.targets,
+        unknown: resolved.unknown,
+        ambiguous: resolved.ambiguous,
+        total: Analyzer.totalStats(files, resolved.targets),
+        scripts: this.scripts
+    };
+};
+
+// Pass in a source file and line number (sfile, sline)
+// Returns the corresponding "virtual" file and line [vfile, vline]
+// based on @line comments in the specified source file, if any
+Analyzer.atlines = function(sfile, sline) {
+    var remap = Analyzer.atlines;
+    if (remap.lastfile === sfile && remap.lastline === sline)
+        return remap.lastresult;
+
+    var atlines = atlineMap[sfile]
+    if (!atlines) {
+        atlines = [];
+        var srclines = fs.readFileSync(sfile, "utf8").split("\n");
+        srclines.forEach(function(l, n) {
+            var match = l.match(atlinePattern);
+            if (match) {
+                atlines.push({
+                    pline: n+1,
+                    vline: parseInt(match[1]),
+                    vfile: match[2]
+                });
+            }
+        })
+
+        atlineMap[sfile] = atlines;
+    }
+
+    var vfile = sfile, vline = sline;
+
+    for(var i = 0; i < atlines.length; i++) {
+        var a = atlines[i];
+        if (a.pline >= sline) break;
+        else {
+            vfile = a.vfile;
+            vline = sline - a.pline + a.vline - 1;
+        }
+    }
+
+    remap.lastfile = sfile;
+    remap.lastline = sline;
+    return remap.lastresult = [vfile, vline];
+};
+
+// Maps filenames to an array of AtLine objects
+var atlineMap = {};
+// What an @line comment looks like
+var atlinePattern = /\/\/@line (\d+) "([^"]+)"/;
+
+// Like Analyzer.atlines(), but use the source map of the source file, if
+// it has one, to find the original file and line.  Original sources that
+// aren't on disk can still be displayed if the map includes their content.
+// The sourcemaps option remaps with this method.
+Analyzer.prototype.sourcemaps = function(sfile, sline) {
+    if (!(sfile in this.maps)) {
+        var map = null;
+        try {
+            map = SourceMap.load(sfile);
+        }
+        catch(e) {
+            this.emit("warning", util.format("Can't read the source map of %s: %s",
+                                             sfile, e.message));
+        }
+        this.maps[sfile] = map;
+
+        if (map) {
+            for(var source in map.contents) {
+                if (!fs.existsSync(source))
+                    this.sources[source] = map.contents[source].split("\n");
+            }
+        }
+    }
+
+    var map = this.maps[sfile];
+    var original = map && map.lookup(sline);
+    return original ? [original.source, original.line] : [sfile, sline];
+};
+
+// Return a copy of the object mapping filenames to Coverage.Files in
+// which the code compiled by eval and new Function is moved from the
+// files that called them to virtual files named for the file and line of
+// the call, like "foo.js:12 (eval)".  All the code compiled by the same
+// call goes in the same virtual file, with its lines numbered from 1,
+// along with the functions it defines.  The -D data only gives the file
+// and line of eval'd code, so a script is taken to be eval'd code if it
+// starts on a line that calls eval or Function and isn't the function of
+// a lambda or defun opcode.  The virtual files, and the files of the
+// (null) and -e scripts, get source code made from their disassembly,
+// which is put in the sources object, like the cache of readSource().
+Analyzer.evalFiles = function(files, sources) {
+    var result = {};
+    for(var filename in files) result[filename] = files[filename];
+
+    Object.keys(files).forEach(function(filename) {
+        var file = files[filename];
+        var scripts = file.scripts.filter(function(script) {
+            return script.filename === filename;
+        });
+
+        // Find the lines that call eval or Function, and the scripts
+        // that define functions on each line
+        var callers = {}, definers = {};
+        file.scripts.forEach(function(script) {
+            file.opcodesOf(script).forEach(function(opcode) {
+                var line = opcode.srcline;
+                var kind = /^eval\b/.test(opcode.assembly) ? "eval" :
+                    /"Function"$/.test(opcode.assembly) ? "Function" : null;
+                if (kind && !callers[line])
+                    callers[line] = { kind: kind, scripts: [] };
+                if (kind) callers[line].scripts.push(script);
+                if (Coverage.File.definesFunction.test(opcode.assembly))
+                    (definers[line] = definers[line] || []).push(script);
+            });
+        });
+
+        // Map the eval'd scripts to their virtual files, and then add
+        // the functions they define, and the ones those define...
+        var virtual = {}, names = {}, found = false;  // Keyed by script id
+        scripts.forEach(function(script) {
+            var caller = callers[script.startline];
+            if (!caller || caller.scripts.indexOf(script) !== -1) return;
+            if ((definers[script.startline] || []).some(function(s) {
+                return s !== script;
+            })) return;
+            var name = filename + ":" + script.startline + " (" + caller.kind + ")";
+            virtual[script.id] = { name: name, offset: script.startline - 1 };
+            names[name] = found = true;
+        });
+        if (!found) return;
+        for(var added = true; added; ) {
+            added = false;
+            scripts.forEach(function(script) {
+                if (virtual[script.id]) return;
+                (definers[script.startline] || []).some(function(definer) {
+                    if (definer === script || !virtual[definer.id]) return false;
+                    virtual[script.id] = virtual[definer.id];
+                    return added = true;
+                });
+            });
+        }
+
+        // Rebuild the file without the eval'd code, and build the
+        // virtual files
+        var rebuilt = result[filename] = new Coverage.File(filename);
+        file.scripts.forEach(function(script) {
+            var v = virtual[script.id];
+            if (!v) {
+                rebuilt.addScript(script);
+                return;
+            }
+            if (!result[v.name]) result[v.name] = new Coverage.File(v.name);
+            result[v.name].addScript(script.relocate(v.name, v.offset));
+        });
+        for(var name in names)
+            sources[name] = disassembly(result[name]);
+    });
+
+    ["(null)", "-e"].forEach(function(filename) {
+        if (result[filename])
+            sources[filename] = disassembly(result[filename]);
+    });
+    return result;
+
+    // Return the lines of the assembly code of the file
+    function disassembly(file) {
+        var lines = [];
+        for(var linenum in file.lines) {
+            var opcodes = file.lines[linenum].opcodes;
+            if (linenum < 1) continue;  // The (null) script is on line 0
+            lines[linenum-1] = Object.keys(opcodes).map(function(pc) {
+                return opcodes[pc].assembly;
+            }).join("; ");
+        }
+        for(var i = 0; i < lines.length; i++) lines[i] = lines[i] || "";
+        return lines;
+    }
+};
+
+// Return the line, branch and function coverage statistics for the
+// specified File
+Analyzer.fileStats = function(file) {
+    var coverage = file.coverage();
+    var branches = file.branchCoverage();
+    var functions = file.functionCoverage();
+    return {
+        lines: coverage[0] + coverage[1] + coverage[2] + coverage[3],
+        covered: coverage[0],
+        partial: coverage[1],
+        uncovered: coverage[2],
+        dead: coverage[3],
+        ignored: coverage[4],
+        branchesTaken: branches[0],
+        branches: branches[1],
+        functionsCalled: functions[0],
+        functions: functions[1]
+    };
+};
+
+// Return the combined coverage statistics for the named files
+Analyzer.totalStats = function(files, targets) {
+    var total = {
+        lines: 0,
+        covered: 0,
+        partial: 0,
+        uncovered: 0,
+        dead: 0,
+        ignored: 0,
+        branchesTaken: 0,
+        branches: 0,
+        functionsCalled: 0,
+        functions: 0
+    };
+
+    targets.forEach(function(target) {
+        var stats = Analyzer.fileStats(files[target]);
+        for(var p in total) total[p] += stats[p];
+    });
+
+    return total;
+};
+
+// Return the lines of the named source file as an array, or null if it
+// can't be read, which is reported with a warning event.  The lines are
+// cached, since several outputs need them.
+Analyzer.prototype.readSource = function(filename) {
+    var cache = this.sources;
+    if (!(filename in cache)) {
+        try {
+            cache[filename] = fs.readFileSync(filename, "utf8").split("\n");
+        }
+        catch(e) {
+            this.emit("warning", util.format("Can't read source file %s", filename));
+            cache[filename] = null;
+        }
+    }
+    return cache[filename];
+};
+
+// Convert an array of targets, as given with -t, to the names of files we
+// have coverage data for, or use all known files if the array is empty.
+// A target can be a filename, the basename of a file, a directory, which
+// selects every file under it, or a glob pattern.  The optional filters
+// object has include and exclude arrays of glob patterns that further
+// limit the targets, as described for Analyzer.fileFilter().  Returns an
+// object with these properties:
+//
+//   targets:   the array of filenames
+//   unknown:   an array of the targets that didn't match any file
+//   ambiguous: an array of { target, matches } objects for the targets
+//              that are basenames of more than one file
+//
+Analyzer.resolveTargets = function(files, targets, filters) {
+    var resolved = { targets: [], unknown: [], ambiguous: [] };
+    var selected = {};
+    var filter = Analyzer.fileFilter(filters && filters.include,
+                                     filters && filters.exclude);
+
+    // -D outputs a "(null)" script for the toplevel, which we leave out
+    // unless the evals option is set
+    var evals = filters && filters.evals;
+    var known = Object.keys(files).filter(function(filename) {
+        return evals || path.basename(filename) !== "(null)";
+    }).sort();  // Alphabetically
+
+    function select(filenames) {
+        filenames.forEach(function(filename) {
+            if (selected[filename] || !filter(filename)) return;
+            selected[filename] = true;
+            resolved.targets.push(filename);
+        });
+    }
+
+    // If no targets were specified, use all known files as targets
+    if (targets.length === 0) {
+        select(known);
+        return resolved;
+    }
+
+    targets.forEach(function(target) {
+        var matches;
+
+        if (files[target]) matches = [target];
+        else if (isGlob(target)) {
+            matches = known.filter(Analyzer.fileFilter([target]));
+        }
+        else if (/\/$/.test(target) || isDirectory(target)) {
+            // Select every file under the directory
+            var dir = path.resolve(target) + path.sep;
+            matches = known.filter(function(filename) {
+                return path.resolve(filename).indexOf(dir) === 0;
+            });
+        }
+        else {
+            // The same file may have a different name in the data
+            matches = known.filter(function(filename) {
+                return path.resolve(filename) === path.resolve(target);
+            });
+
+            // If we don't have data for the target look for a file name
+            // with the same basename and use that instead, if there is
+            // only one
+            if (matches.length === 0) {
+                var basename = path.basename(target);
+                matches = known.filter(function(filename) {
+                    return path.basename(filename) === basename;
+                });
+                if (matches.length > 1) {
+                    resolved.ambiguous.push({ target: target, matches: matches });
+                    return;
+                }
+            }
+        }
+
+        if (matches.length === 0) resolved.unknown.push(target);
+        else select(matches);
+    });
+    return resolved;
+
+    function isDirectory(filename) {
+        try {
+            return fs.statSync(filename).isDirectory();
+        }
+        catch(e) {
+            return false;
+        }
+    }
+};
+
+// Return a function that returns true if a filename matches one of the
+// include glob patterns, or if there aren't any, and doesn't match any of
+// the exclude patterns.  An include pattern that starts with ! is an
+// exclude pattern.  In the patterns, ** matches any number of directories,
+// * and ? match any characters and one character within a directory, and
+// {a,b} matches either a or b.  Filenames are matched as they are given
+// in the -D data and relative to the current directory.
+Analyzer.fileFilter = function(include, exclude) {
+    include = (include || []).slice();
+    exclude = (exclude || []).slice();
+
+    include = include.filter(function(pattern) {
+        if (pattern.charAt(0) !== "!") return true;
+        exclude.push(pattern.substring(1));
+        return false;
+    });
+    include = include.map(globToRegExp);
+    exclude = exclude.map(globToRegExp);
+
+    return function(filename) {
+        var names = [
+            path.normalize(filename),
+            path.relative(process.cwd(), path.resolve(filename))
+        ];
+        function matches(pattern) {
+            return names.some(function(name) { return pattern.test(name); });
+        }
+        return (include.length === 0 || include.some(matches)) &&
+            !exclude.some(matches);
+    };
+};
+
+// Does the string have any of the special characters of glob patterns?
+function isGlob(s) { return /[*?[{]/.test(s); }
+
+// Convert a glob pattern to a regular expression
+function globToRegExp(glob) {
+    var re = "", braces = 0;
+    glob = path.normalize(glob);
+    for(var i = 0; i < glob.length; i++) {
+        var c = glob.charAt(i);
+        switch(c) {
+        case "*":
+            if (glob.charAt(i+1) === "*") {
+                // **/ matches any number of directories, including none
+                i++;
+                if (glob.charAt(i+1) === "/") {
+                    i++;
+                    re += "(?:.*/)?";
+                }
+                else re += ".*";
+            }
+            else re += "[^/]*";
+            break;
+        case "?": re += "[^/]"; break;
+        case "[":
+            var end = glob.indexOf("]", i+1);
+            if (end === -1) re += "\\[";
+            else {
+                re += "[" + glob.substring(i+1, end).replace(/^!/, "^") + "]";
+                i = end;
+            }
+            break;
+        case "{": braces++; re += "(?:"; break;
+        case "}": if (braces) { braces--; re += ")"; } else re += "\\}"; break;
+        case ",": re += braces ? "|" : ","; break;
+        default: re += c.replace(/[.+^$()|\\]/g, "\\$&");
+        }
+    }
+    return new RegExp("^" + re + "$");
+}
+
+// Return the lines that a unified diff, such as the output of git diff,
+// adds or changes, as an object mapping the filenames in the diff to
+// sorted arrays of line numbers.  The line numbers are those of the new
+// version of each file.  The a/ and b/ prefixes of git are removed from
+// the filenames, and deleted files are left out.
+Analyzer.parseDiff = function(text) {
+    var changes = {};
+    var oldname = null, lines = null;
+    var linenum = 0, oldLeft = 0, newLeft = 0;  // Position in the hunk
+
+    text.split(/\r?\n/).forEach(function(line) {
+        var match;
+        if (oldLeft > 0 || newLeft > 0) {
+            switch(line.charAt(0)) {
+            case "+": lines.push(linenum++); newLeft--; break;
+            case "-": oldLeft--; break;
+            case "\\": break;  // "\ No newline at end of file"
+            default: linenum++; oldLeft--; newLeft--; break;
+            }
+        }
+        else if (match = line.match(/^--- (.*)$/)) {
+            oldname = diffName(match[1]);
+        }
+        else if (match = line.match(/^\+\+\+ (.*)$/)) {
+            var filename = diffName(match[1]);
+            if (/^a\//.test(oldname) || oldname === "/dev/null")
+                filename = filename.replace(/^b\//, "");
+            lines = filename === "/dev/null" ? [] :
+                (changes[filename] = changes[filename] || []);
+        }
+        else if (lines &&
+                 (match = line.match(/^@@ -\d+(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/))) {
+            oldLeft = match[1] === undefined ? 1 : Number(match[1]);
+            linenum = Number(match[2]);
+            newLeft = match[3] === undefined ? 1 : Number(match[3]);
+        }
+    });
+
+    for(var filename in changes) {
+        changes[filename].sort(function(a, b) { return a - b; });
+    }
+    return changes;
+
+    // The filename of a ---/+++ line may be followed by a tab and a date
+    function diffName(name) {
+        return name.split("\t")[0].replace(/^"(.*)"$/, "$1");
+    }
+};
+
+// Return the names of the files we have coverage data for that are the
+// named file of a patch.  Patches name files relative to the top of the
+// source tree, which need not be the current directory, so a file
+// matches if it has the same path or if its path ends with the patch's.
+// A git a/ or b/ prefix that parseDiff() kept is ignored.  Files are
+// never matched by basename alone, as the patch may change another file
+// of the same name.
+Analyzer.patchedFiles = function(files, filename) {
+    var names = [path.normalize(filename)];
+    if (/^[ab]\//.test(filename)) names.push(path.normalize(filename.substring(2)));
+
+    return Object.keys(files).filter(function(known) {
+        var resolved = path.resolve(known);
+        return names.some(function(name) {
+            return resolved === path.resolve(name) ||
+                (!path.isAbsolute(name) &&
+                 resolved.slice(-name.length - 1) === path.sep + name);
+        });
+    }).sort();
+};
+
+// Return the n most executed lines and the n most called functions of
+// the named files, for profiling.  Returns an object with these
+// properties:
+//
+//   executions: the total number of opcodes the files executed, not
+//               counting ignored lines
+//   lines:      an array of { filename, line, count, executions } objects,
+//               where count is the number of times the line executed and
+//               executions is the number of opcodes it executed
+//   functions:  an array of { filename, name, line, calls, executions }
+//               objects
+//
+Analyzer.hotspots = function(files, targets, n) {
+    var hotspots = { executions: 0, lines: [], functions: [] };
+
+    targets.forEach(function(target) {
+        var file = files[target];
+
+        for(var linenum in file.lines) {
+            var line = file.lines[linenum];
+            var counts = line.counts();
+            var executions = line.executions();
+
+            // Leave ignored lines out of the total too, so that the shares
+            // are of the code that is reported.  Lines without significant
+            // code still count towards it, but aren't listed, as the
+            // coverage reports leave them out.
+            var coverage = line.coverage();
+            if (coverage === "ignored") continue;
+            hotspots.executions += executions;
+            if (coverage === "") continue;
+
+            hotspots.lines.push({
+                filename: target,
+                line: Number(linenum),
+                count: Math.max(0, counts[counts.length-1]),
+                executions: executions
+            });
+        }
+
+        file.functions().forEach(function(f) {
+            hotspots.functions.push({
+                filename: target,
+                name: f.name,
+                line: f.line,
+                calls: f.calls,
+                executions: f.script.executions()
+            });
+        });
+    });
+
+    // Sort by count, and then by the number of opcodes executed
+    hotspots.lines = hotspots.lines.sort(function(a, b) {
+        return b.count - a.count || b.executions - a.executions;
+    }).slice(0, n);
+    hotspots.functions = hotspots.functions.sort(function(a, b) {
+        return b.calls - a.calls || b.executions - a.executions;
+    }).slice(0, n);
+
+    return hotspots;
+};
+
+// Read the baseline coverage of an earlier run from the named file, which
+// may be a report written by --json or data written by --save, and pass
+// the callback an error, or null and an array of the per-file data of
+// the run, in the format of Coverage.File.prototype.toJSON().  The
+// baseline is used as it was recorded: saved data isn't limited by the
+// current --diff, include or exclude patterns, or by the ignore comments
+// in the current source.  The options are those of an Analyzer, of which
+// only countFields matters, for saved data.
+Analyzer.loadBaseline = function(filename, options, callback) {
+    fs.readFile(filename, "utf8", function(e, text) {
+        if (e) return callback(e);
+
+        // A JSON report
+        if (/^\s*\{/.test(text)) {
+            var report;
+            try {
+                report = JSON.parse(text);
+            }
+            catch(e) {
+                return callback(e);
+            }
+            if (!Array.isArray(report.files))
+                return callback(new Error("not a CoverMonkey JSON report"));
+            return callback(null, report.files);
+        }
+
+        // Saved data.  Its Files are not given their source code, which
+        // could have changed since.
+        var analyzer = new Analyzer({
+            countFields: options && options.countFields,
+            assembly: false
+        });
+        analyzer.read(fs.createReadStream(filename), true, function(e) {
+            if (e) return callback(e);
+            var files = analyzer.files;
+            var resolved = Analyzer.resolveTargets(files, []);
+            callback(null, resolved.targets.map(function(target) {
+                return files[target].toJSON();
+            }));
+        });
+    });
+};
+
+// Compare the results with the baseline coverage of an earlier run, an
+// array of per-file data as from loadBaseline().  Returns an object with
+// these properties:
+//
+//   before:    the combined line statistics of the targets that are in
+//              the baseline, in the baseline
+//   after:     the combined line statistics of the same targets now, so
+//              that both sides cover the same files
+//   files:     an array of objects describing each target, as below
+//   added:     the names of the targets that aren't in the baseline
+//   removed:   { filename, before } objects for the files of the baseline
+//              that we have no coverage data for now, and that the include
+//              and exclude patterns of the filters object don't leave out
+//   regressed: true if any target regressed, or the coverage percentage
+//              of the targets in both runs went down
+//
+// The objects in the files array have these properties:
+//
+//   filename:  the name of the target
+//   before:    its statistics in the baseline, or null if it is new
+//   after:     its statistics now (see fileStats())
+//   lost:      the lines that were fully covered and now aren't
+//   dead:      the lines that are dead now and weren't before
+//   added:     the uncovered lines that had no code before
+//   improved:  the lines that are fully covered now and weren't before.
+//              This is empty for new files.
+//   baseline:  an object mapping line numbers to their coverage before
+//   regressed: true if any lines were lost, became dead or were added
+//              uncovered, or if the coverage percentage went down
+//
+// Lines are matched by number, so edits that move code around the file
+// make lines appear to change.  Lines that are ignored in either run are
+// left out of both, including the statistics of the targets that are in
+// the baseline.
+Analyzer.compare = function(baseline, results, filters) {
+    var comparison = {
+        before: { lines: 0, covered: 0, partial: 0, uncovered: 0, dead: 0 },
+        after: { lines: 0, covered: 0, partial: 0, uncovered: 0, dead: 0 },
+        files: [],
+        added: [],
+        removed: [],
+        regressed: false
+    };
+
+    var basefiles = {};
+    baseline.forEach(function(filedata) {
+        basefiles[filedata.filename] = filedata;
+    });
+
+    results.targets.forEach(function(target) {
+        var file = results.files[target];
+        var filedata = basefiles[target];
+        var lines = {}, current = {};
+        var diff = {
+            filename: target,
+            before: null,
+            after: Analyzer.fileStats(file),
+            lost: [],
+            dead: [],
+            added: [],
+            improved: [],
+            baseline: lines,
+            regressed: false
+        };
+
+        for(var linenum in file.lines)
+            current[linenum] = file.lines[linenum].coverage();
+
+        if (filedata) {
+            // Leave out the lines that are ignored in either run, since
+            // a baseline saved with --save has no ignore comments, and
+            // the comments may have changed since
+            filedata.lines.forEach(function(l) { lines[l.linenum] = l.coverage; });
+            diff.before = lineStats(lines, current);
+            var after = lineStats(current, lines);
+            for(var p in comparison.before) {
+                diff.after[p] = after[p];
+                comparison.before[p] += diff.before[p];
+                comparison.after[p] += after[p];
+            }
+        }
+        else {
+            comparison.added.push(target);
+        }
+
+        for(var linenum in current) {
+            var now = current[linenum];
+            var then = lines[linenum] || "";
+            if (now === then || now === "" || now === "ignored" ||
+                then === "ignored")
+                continue;
+            linenum = Number(linenum);
+
+            if (then === "full") diff.lost.push(linenum);
+            else if (now === "full" && filedata) diff.improved.push(linenum);
+            if (now === "dead") diff.dead.push(linenum);
+            else if (now === "none" && then === "") diff.added.push(linenum);
+        }
+
+        diff.regressed = diff.lost.length > 0 || diff.dead.length > 0 ||
+            diff.added.length > 0 ||
+            fraction(diff.after) < fraction(diff.before || diff.after);
+        if (diff.regressed) comparison.regressed = true;
+        comparison.files.push(diff);
+    });
+
+    // Files of the baseline that aren't in the data now
+    var filter = Analyzer.fileFilter(filters && filters.include,
+                                     filters && filters.exclude);
+    baseline.forEach(function(filedata) {
+        var filename = filedata.filename;
+        if (filename in results.files || !filter(filename)) return;
+        comparison.removed.push({
+            filename: filename,
+            before: baselineStats(filedata)
+        });
+    });
+
+    if (fraction(comparison.after) < fraction(comparison.before))
+        comparison.regressed = true;
+    return comparison;
+
+    // The line statistics of the lines of a file, an object mapping line
+    // numbers to their coverage, leaving out the lines that are ignored
+    // in the other object
+    function lineStats(coverage, other) {
+        var stats = { lines: 0, covered: 0, partial: 0, uncovered: 0, dead: 0 };
+        for(var linenum in coverage) {
+            if (other[linenum] === "ignored") continue;
+            switch(coverage[linenum]) {
+            case "full": stats.covered++; break;
+            case "some": stats.partial++; break;
+            case "none": stats.uncovered++; break;
+            case "dead": stats.dead++; break;
+            default: continue;
+            }
+            stats.lines++;
+        }
+        return stats;
+    }
+
+    // The line statistics of a file in the baseline
+    function baselineStats(filedata) {
+        return {
+            lines: filedata.covered + filedata.partial +
+                filedata.uncovered + filedata.dead,
+            covered: filedata.covered,
+            partial: filedata.partial,
+            uncovered: filedata.uncovered,
+            dead: filedata.dead
+        };
+    }
+
+    // The fraction of the lines that are covered, or 1 if there are none
+    function fraction(stats) {
+        return stats.lines ? stats.covered/stats.lines : 1;
+    }
+};
+
+// Return an array of the branch target opcodes of the line that never
+// executed
+Analyzer.untakenBranches = function(line) {
+    var untaken = [];
+    line.branches().forEach(function(b) {
+        b.branches.forEach(function(target) {
+            if (target.count === 0) untaken.push(target);
+        });
+    });
+    return untaken;
+};
+
+Analyzer.VERSION = VERSION;
+
+module.exports = Analyzer;
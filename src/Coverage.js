@@ -29,21 +29,38 @@
 //                 Donovan Preston (dpreston@mozilla.com)
 //
 
+// This file defines the Coverage class and the Coverage.Parser,
+// Coverage.Script, Coverage.File and Coverage.Line classes that do the
+// real work.  It can be loaded into a web page with a <script> tag, or
+// required as a Node module, in which case it exports the Coverage class.
+//
 // This class represents parsed code coverage data.
-// Pass data (as a string in -D format) to the parseData() method.
-// Access the parsed data through the data property. 
-// You can call parseData() multiple times, and the data will be 
-// updated with the most recent data.
+// Pass data (as a string in -D format) to the parseData() method as it
+// arrives, and call end() after the last of it.  The data doesn't have
+// to be split at line boundaries, and each call only updates the files
+// and lines that the scripts it completes touch.  Access the parsed data
+// through the data property, an array of the per-file data described
+// below, sorted by filename, or through the filenames property, which
+// maps filenames to the same objects.
 //
-// Or, pass a newFile callback that will be invoked for each new script/file
-// in the coverage data.  And pass a lineUpdate callback; it will be invoked
-// each time an line in an existing file gets a new count.  (I don't think
-// that new lines will ever be added to an existing file, so lines should
-// only ever have count updates) 
+// Or, add a listener with an onNewScript method that will be invoked
+// for each new file in the coverage data, an onScriptUpdate method that
+// will be invoked when the overall coverage of an existing file changes,
+// and an onLineUpdate method that will be invoked each time a line in an
+// existing file gets new counts.  Scripts that arrive later can add new
+// lines to an existing file, so onLineUpdate is also invoked for those.
+// An onWarning method is invoked with a message when scripts can't be
+// told apart, so that their counts are combined.
 //
-// XXX: do I do a lineUpdate for every line in a new file?
-// When there are line updates, how do I update the overall coverage data
-// for the file?  Do I just call the file callback again?
+// Listeners that want the Coverage.File objects, which the files
+// property maps filenames to, rather than the per-file data, can have an
+// onScript method that is invoked with each Script as it is parsed and
+// whether it is new, an onFile method that is invoked with each new
+// File, an onFileUpdate method that is invoked with a File and the
+// Script that changed it, and an onText method that is invoked with the
+// lines of the input that aren't -D data.  Set the data property to null
+// before parsing to skip building the per-file data, as the Analyzer
+// does.
 //
 // Should the class have methods for getting coverage stats for a
 // file?  Cedric thinks it could be nice to be able to add extra
@@ -58,18 +75,49 @@
 //     partial: 50
 //     uncovered: 25
 //     dead: 0
+//     ignored: 3          // lines excluded by covermonkey ignore comments
+//     fields: {interp: 900, jit: 3000, stubs: 20}  // opcodes executed, by
+//                         // count field (see Coverage.COUNT_FIELDS)
+//     branches: [10,12]   // branches taken and total branches
+//     functions: [{
+//                 name: "foo"       // best guess, from the source code
+//                 line: 99
+//                 calls: 3
+//              },...]
 //     lines: [{
 //                 linenum: 101
-//                 coverage: "full"|"some"|"none"|"dead"
+//                 coverage: "full"|"some"|"none"|"dead"|"ignored"
 //                 counts: [0,3]
+//                 branches: [1,2]   // taken and total, if there are any
+//                 fields: {interp: 3, jit: 0, stubs: 0}
+//                 startFunc: true   // only on lines that begin a script
+//                 endFunc: true     // only on lines that end a script
 //              },...]
 //   }...]
 //
+// Coverage.File.prototype.toJSON() returns the data for a single file
+// in this format.
+//
 
-function Coverage() {
-    this.data = [];
+// The optional remap and countFields arguments are passed on to
+// Coverage.Parser
+function Coverage(remap, countFields) {
+    var self = this;
+    this.data = [];       // Per-file data objects, sorted by filename
     this._listeners = [];
-    this.filenames = {};  // Map filenames to Coverage.File objects
+    this.filenames = {};  // Map filenames to per-file data objects
+    this.files = {};      // Map filenames to Coverage.File objects
+    this.remap = remap;
+
+    this.parser = new Coverage.Parser(remap, countFields);
+    this.parser.onscript = function(script, isNew) {
+        self._addScript(script, isNew);
+    };
+    this.parser.onwarning = function(message) {
+        self._trigger("onWarning", message);
+    };
+    this._fragment = "";  // Unterminated line from the last parseData()
+    this._touched = {};   // Filenames -> linenums changed by this parseData()
 }
 
 Coverage.prototype.addListener = function(l) {
@@ -95,294 +143,455 @@ Coverage.prototype._trigger = function(name /*, ... */) {
     });
 };
 
+// Parse the next chunk of -D data
 Coverage.prototype.parseData = function(rawdata) {
-    var self = this; // for nested functions
-    var parser = new Coverage.Parser();
-    var lines = rawdata.split("\n")
-    lines.forEach(function(line) { parser.processLine(line); });
-    var scripts = parser.scripts;
+    var lines = (this._fragment + rawdata).split("\n");
+    this._fragment = lines.pop();  // The unterminated last line, if any
+    for(var i = 0; i < lines.length; i++) this._processLine(lines[i]);
+    this._update();
+};
 
-    function assert(v) {
-        if (!v) throw Error("assertion failed");
-    }
+Coverage.prototype._processLine = function(line) {
+    if (!this.parser.processLine(line)) this._trigger("onText", line);
+};
 
+// Start parsing another input, after the unterminated last line of the
+// previous one.  If saved is true, the input holds data written by
+// Script.dump(), whose file and line numbers were already remapped, so
+// they aren't remapped again.
+Coverage.prototype.newInput = function(saved) {
+    if (this._fragment !== "") this._processLine(this._fragment);
+    this._fragment = "";
+    this.parser.remap = saved ? null : this.remap;
+    this.parser.newInput();
+};
 
-    // Convert the array of Script objects to an object mapping filenames
-    // to File objects
+// Parse the unterminated last line of the data, if there is one.  More
+// data can still be parsed after a call to newInput().
+Coverage.prototype.end = function() {
+    if (this._fragment !== "") this._processLine(this._fragment);
+    this._fragment = "";
+    this._update();
+};
 
-    var files = {};  // Map filenames to Coverage.File objects
-    scripts.forEach(function(script) {
-        var filename = script.filename;
-        if (!(filename in files)) {
-            files[filename] = new Coverage.File(filename);
-        }
-        var file = files[filename];
+// The parser calls this for each script it completes.  Add the script
+// to the File for its source file, and remember which lines it touched.
+Coverage.prototype._addScript = function(script, isNew) {
+    var self = this;
+    this._trigger("onScript", script, isNew);
 
-        script.opcodes.forEach(function(opcode) {
-            file.line(opcode.srcline).addOpcode(script.name + ":" + opcode.pc,
-                                                opcode);
-        });
+    script.filenames().forEach(function(filename) {
+        var file = self.files[filename];
+        var isNewFile = !file;
 
-        // The first and last opcodes of each script should correspond
-        // (roughly) to the first and last lines of a function. Mark them
-        // to indicate this.
-        file.line(script.opcodes[0].srcline).startFunc = true;
-        file.line(script.opcodes[script.opcodes.length-1].srcline).endFunc=true;
+        if (isNewFile) file = self.files[filename] = new Coverage.File(filename);
+        if (isNew) file.addScript(script);
+        else file.updateScript(script);
+
+        if (isNewFile) self._trigger("onFile", file);
+        else self._trigger("onFileUpdate", file, script);
+
+        if (self.data === null) return;
+        var touched = self._touched[filename];
+        if (!touched) touched = self._touched[filename] = {};
+        file.opcodesOf(script).forEach(function(opcode) {
+            touched[opcode.srcline] = true;
+        });
     });
+};
+
+// Bring the per-file data up to date with the scripts parsed since the
+// last call, and trigger the listeners.
+Coverage.prototype._update = function() {
+    var self = this; // for nested functions
+    var touched = this._touched;
+    this._touched = {};
+    if (this.data === null) return;
 
     // Deal with the files in alphabetical order
     var filenames = [];
-    for(filename in files) filenames.push(filename);
+    for(var filename in touched) filenames.push(filename);
     filenames.sort();
-    
-    filenames.forEach(function(filename) {
-        var file = files[filename];
-        var coverage = file.coverage();
-        var filedata = {
-            filename: filename,
-            covered: coverage[0],
-            partial: coverage[1],
-            uncovered: coverage[2],
-            dead: coverage[3],
-            lines: []
-        };
 
-        for(var linenum in file.lines) {
-            var line = file.lines[linenum];
-            var l = {};
-            l.linenum = Number(linenum);
-            // XXX: convert to numeric constants?
-            l.coverage = line.coverage();
-            // XXX: cedric wants interpreted vs. jitted counts, but
-            // these are one or more counts for lines with branches
-            l.counts = line.counts();
-            if (line.startFunc) l.startFunc = true;
-            if (line.endFunc) l.endFunc = true;
-            filedata.lines.push(l);
-        }
-
-        // Put the lines in numeric order
-        filedata.lines.sort(function(a,b) {
-            if (a.linenum < b.linenum) return -1;
-            else if (a.linenum > b.linenum) return 1;
-            else return 0;
-        });
+    filenames.forEach(function(filename) {
+        var file = self.files[filename];
 
         if (!(filename in self.filenames)) {
+            var filedata = file.toJSON();
             self.filenames[filename] = filedata;
+            self.data.splice(sortedIndex(self.data, filename, function(f) {
+                return f.filename;
+            }), 0, filedata);
             self._trigger("onNewScript", filename, filedata);
+            return;
         }
-        else {
-            // Otherwise, we already have a data object for this file,
-            // so update it from the new data
-            var olddata = self.filenames[filename];
-
-            // If any of the file's overall coverage stats have changed
-            // copy the new data into the old filedata object and trigger
-            // the onScriptUpdate callback
-            if (olddata.covered !== filedata.covered ||
-                olddata.partial !== filedata.partial ||
-                olddata.uncovered !== filedata.uncovered ||
-                olddata.dead !== filedata.dead) {
-
-                olddata.covered = filedata.covered;
-                olddata.partial = filedata.partial;
-                olddata.uncovered = filedata.uncovered;
-                olddata.dead = filedata.dead;
-                self._trigger("onScriptUpdate", filename, olddata);
-            }
-
-            // Now look through the lines arrays and trigger onLineUpdate
-            // for any lines whose counts have changed.
 
-            // We expect that we'll get exactly the same set of lines
-            // on every call to parseData()
-            assert(filedata.lines.length === olddata.lines.length)
-
-            function equalArrays(a,b) {
-                if (a.length !== b.length) return false;
-                for(var i = 0, n = a.length; i < n; i++) {
-                    if (a[i] !== b[i]) return false;
-                }
-                return true;
+        // Otherwise, we already have a data object for this file,
+        // so update it from the new data
+        var olddata = self.filenames[filename];
+
+        // Update the touched lines, adding any that are new, and trigger
+        // onLineUpdate for the ones that changed.
+        for(var linenum in touched[filename]) {
+            var newline = file.lines[linenum].toJSON();
+            var idx = sortedIndex(olddata.lines, newline.linenum,
+                                  function(l) { return l.linenum; });
+            var oldline = olddata.lines[idx];
+
+            if (!oldline || oldline.linenum !== newline.linenum) {
+                olddata.lines.splice(idx, 0, newline);
+                self._trigger("onLineUpdate", filename, newline);
             }
+            else if (JSON.stringify(oldline) !== JSON.stringify(newline)) {
+                // Copy the new data into the old object, since that is
+                // the one the caller has, and drop any stale properties
+                for(var p in oldline) delete oldline[p];
+                for(p in newline) oldline[p] = newline[p];
+                self._trigger("onLineUpdate", filename, oldline);
+            }
+        }
 
-            for(var i = 0; i < filedata.lines.length; i++) {
-                var newline = filedata.lines[i];
-                var oldline = olddata.lines[i];
-
-                assert(newline.linenum === oldline.linenum);
+        // New scripts can change which scripts are functions
+        olddata.functions = file.functions().map(function(f) {
+            return { name: f.name, line: f.line, calls: f.calls };
+        });
+        olddata.fields = file.fieldCounts();
 
-                if (newline.coverage !== oldline.coverage ||
-                    !equalArrays(newline.counts, oldline.counts)) {
-                    oldline.coverage = newline.coverage;
-                    oldline.counts = newline.counts;
-                    self._trigger("onLineUpdate", filename, oldline);
-                }
-            }
+        // If any of the file's overall coverage stats have changed
+        // copy the new data into the old filedata object and trigger
+        // the onScriptUpdate callback
+        var coverage = file.coverage();
+        var branches = file.branchCoverage();
+        if (olddata.covered !== coverage[0] ||
+            olddata.partial !== coverage[1] ||
+            olddata.uncovered !== coverage[2] ||
+            olddata.dead !== coverage[3] ||
+            olddata.ignored !== coverage[4] ||
+            olddata.branches[0] !== branches[0] ||
+            olddata.branches[1] !== branches[1]) {
+
+            olddata.covered = coverage[0];
+            olddata.partial = coverage[1];
+            olddata.uncovered = coverage[2];
+            olddata.dead = coverage[3];
+            olddata.ignored = coverage[4];
+            olddata.branches = branches;
+            self._trigger("onScriptUpdate", filename, olddata);
         }
     });
+
+    // Return the index at which an element with the specified key
+    // belongs in an array sorted by the key function
+    function sortedIndex(a, key, keyof) {
+        var lo = 0, hi = a.length;
+        while(lo < hi) {
+            var mid = (lo + hi) >> 1;
+            if (keyof(a[mid]) < key) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    }
 };
 
 Coverage.SCRIPT_START = /^--- SCRIPT (.*):(\d+) ---$/;
 Coverage.SCRIPT_END = /^--- END SCRIPT/;
-Coverage.SCRIPT_DATA = /^(\d+):(\d+(?:\/\d+)+)\s+x\s+(\d+)\s+(.*)$/;
+// The optional @"filename" after the line number is not part of the -D
+// format.  Script.dump() adds it to opcodes that were remapped to a file
+// other than the script's.
+Coverage.SCRIPT_DATA = /^(\d+):(\d+(?:\/\d+)+)\s+x\s+(\d+)(?:\s+@"([^"]*)")?\s+(.*)$/;
+
+// The names of the /-separated count fields of the -D data.  The count
+// of an opcode is the sum of these fields.  The -D counts used to have 3
+// fields, and now have 6, but only the first 3 are real counts: of the
+// executions by the interpreter, by JIT-compiled code and by JIT stubs.
+// Other fields are kept with each opcode but not counted.  A null name
+// skips a field.
+Coverage.COUNT_FIELDS = ["interp", "jit", "stubs"];
+
+// Convert a comma-separated list of count field names, with - for the
+// fields to skip, such as "interp,-,jit", to an array like
+// Coverage.COUNT_FIELDS.  Throws an error if the list isn't valid.
+Coverage.parseCountFields = function(spec) {
+    var names = spec.split(",").map(function(name) {
+        name = name.trim();
+        if (name === "-") return null;
+        if (!/^[A-Za-z_]\w*$/.test(name))
+            throw new Error("bad count field name \"" + name + "\"");
+        return name;
+    });
+    if (!names.some(function(name) { return name !== null; }))
+        throw new Error("no count fields named");
+    return names;
+};
 
 // Parse a series of data lines to build up an array of Script objects
 Coverage.Parser = (function() {
-    function Parser(remap) {
+    function Parser(remap, countFields) {
         this.inscript = false;
-        this.scriptlines = null;
+        this.script = null;  // The Script being parsed, unless it's skipped
         this.scripts = [];   // Array of Script objects that hold the data
-        this.scriptMap = {}; // String->Script map for detecting duplicate scripts
+        this.scriptMap = {}; // Map script ids to Scripts, to find duplicates
+        this.digests = {};   // Map script ids to a second hash of the Scripts
+        this.count = 0;      // The number of scripts parsed, with repeats
+        this.seen = {};      // The ids of the scripts in the current input
         this.remap = remap;  // Option function for remapping file/line
+        this.countFields = countFields || Coverage.COUNT_FIELDS;
+        // Keep the (null) and -e scripts instead of skipping them?
+        this.evals = false;
+        // Keep all the assembly code of the opcodes?  If not, the opcodes
+        // of new scripts only keep their names, except for jumps and
+        // switches, which keep their targets, so big inputs take less
+        // memory.
+        this.assembly = true;
+        // Optional function called with each Script that is added and
+        // true if it is new or false if its counts were added to a
+        // Script we had already seen.  Both are the same object then.
+        this.onscript = null;
+        // Optional function called with a message about scripts we can't
+        // tell apart.  Their counts are combined.
+        this.onwarning = null;
+    };
+
+    // Call this at the start of each input, such as each -D file or
+    // saved file, so that scripts that appear twice in the same input can
+    // be told from scripts that are repeated in other inputs.
+    Parser.prototype.newInput = function() {
+        this.seen = {};
     };
 
     // process a single line.  Return true if we consumed it; false otherwise
     Parser.prototype.processLine = function(dataline) {
         if (this.inscript) {
-            this.scriptlines.push(dataline);
             if (dataline.match(Coverage.SCRIPT_END)) {
-                // Skip initial dummy script and any -e scripts
-                if (this.scriptlines[0] !== "--- SCRIPT (null):0 ---" &&
-                    this.scriptlines[0] !== "--- SCRIPT -e:1 ---") {
-                    var script = new Coverage.Script(this.scriptlines,
-                                                     this.remap);
-                    var string = script.toString();
-                    
-                    var existingScript = this.scriptMap[string];
-                    if (existingScript) {
-                        // We've seen this script before
-                        existingScript.addCounts(script);
-                    }
-                    else {
-                        script.checkReachability();
-                        this.scripts.push(script);
-                        this.scriptMap[string] = script;
-                    }
+                if (this.script) {
+                    this.count++;
+                    this.addScript(this.script);
                 }
-                
-                this.scriptlines = null;
+                this.script = null;
                 this.inscript = false;
             }
+            else if (this.script) {
+                this.script.addLine(dataline);
+            }
             return true;
         }
         else {
             if (dataline.match(Coverage.SCRIPT_START)) {
+                // Skip the initial dummy script and any -e scripts, unless
+                // we're keeping them.  The dummy script starts the output
+                // of each run, so several runs can be concatenated into
+                // one input.  Scripts are parsed a line at a time, so the
+                // lines of the -D data aren't kept.
+                var dummy = dataline === "--- SCRIPT (null):0 ---";
+                if (dummy) this.newInput();
                 this.inscript = true;
-                this.scriptlines = [ dataline ];
+                if (this.evals || (!dummy && dataline !== "--- SCRIPT -e:1 ---")) {
+                    this.script = new Coverage.Script([ dataline ], this.remap,
+                                                      this.countFields);
+                }
                 return true;
             }
             return false;
         }
     }
+
+    // Add a Script object to the array of scripts. If we've seen the same
+    // script before, then just add its counts to the existing one.
+    Parser.prototype.addScript = function(script) {
+        // Scripts are told apart by their hashes, and not by their
+        // disassembly, which would take as much memory as the scripts
+        var string = script.toString();
+        var id = script.name + "-" + script.endline() + "@" +
+            (script.entrypoint || 0) + "#" + hash(string, 0x811c9dc5);
+        var digest = string.length + ":" + hash(string, 0x050c5d1f);
+
+        // Different scripts with the same hash get a numbered suffix
+        for(var n = 2; id in this.digests && this.digests[id] !== digest; n++) {
+            id = id.replace(/(#[0-9a-f]+)(?:\.\d+)?$/, "$1." + n);
+        }
+        script.id = id;
+
+        // The same script twice in one input is either two scripts that
+        // we can't tell apart, like identical functions on the same line,
+        // or one script that was loaded more than once.  Either way the
+        // counts are combined, which is what we want for the second case.
+        if (this.seen[id] === 1 && this.onwarning) {
+            this.onwarning(script.name + ": identical scripts ending on line " +
+                           script.endline() + " can't be told apart; " +
+                           "their counts are combined, as are those of " +
+                           "a script that is loaded more than once");
+        }
+        this.seen[id] = (this.seen[id] || 0) + 1;
+
+        var existingScript = this.scriptMap[id];
+        if (existingScript) {
+            // We've seen this script before
+            existingScript.addCounts(script);
+            if (this.onscript) this.onscript(existingScript, false);
+        }
+        else {
+            var problems = script.problems.concat(script.checkReachability());
+            if (this.onwarning) problems.forEach(this.onwarning, this);
+            if (!this.assembly) script.dropAssembly();
+            this.scripts.push(script);
+            this.scriptMap[id] = script;
+            this.digests[id] = digest;
+            if (this.onscript) this.onscript(script, true);
+        }
+    };
+
+    // Return a string of 8 hex digits that is a hash of the string s.
+    // This is the 32-bit FNV-1a hash, which starts with the offset basis
+    // 0x811c9dc5.  Other starting values give other hashes.
+    function hash(s, basis) {
+        var h = basis;
+        for(var i = 0; i < s.length; i++) {
+            h ^= s.charCodeAt(i);
+            h = (h + (h << 1) + (h << 4) + (h << 7) + (h << 8) + (h << 24)) >>> 0;
+        }
+        return ("0000000" + h.toString(16)).slice(-8);
+    }
+
     return Parser;
 }());
 
 Coverage.Script = (function() {
     /*
-     * Parse an array of lines to create a Script object.
+     * Parse an array of lines to create a Script object, or an array of
+     * the first line and then the rest one at a time with addLine().
      * "Script" is used in the SpiderMonkey internals sense: it is the body
      * of a JS function or the JS toplevel code, or an eval string.
      * 
-     * Scripts have a name which is a (hopefully) unique id that includes the
-     * source filename and starting line number. That isn't enough to be unique
-     * because in "function a() { function b() {}}" both scripts have the same
-     * file and line number. So I also have to include the ending line number
-     * and/or ending opcode in the script name.  I could also include some kind
-     * of hashcode of the script's opcodes in the name.  Or just use the
-     * entire script disassembly as the name, I suppose.
-     * 
-     * XXX: Am I ever going
-     * to be able to disambiguate functions a and b in the following, though?
+     * Scripts have a name that includes the source filename and starting
+     * line number. That isn't unique because in
+     * "function a() { function b() {}}" both scripts have the same file and
+     * line number, and minified code has many functions on each line. So
+     * once the Parser has added a script, it also has an id that adds the
+     * ending line number, the entry point and a hash of the disassembly to
+     * the name, like "foo.js:1-9@0#6f2b0d1e".  The id is what tells scripts
+     * apart and identifies the same script in different runs.
+     *
+     * Functions a and b in the following still can't be told apart, since
+     * their disassembly is the same, so the Parser warns about them:
      *   function() { function a(){} function b(){} }
      * 
-     * Scripts also have a filename property that gives their filename
+     * Scripts also have a filename property that gives their filename.
+     * If the remap function maps some opcodes to other files, then those
+     * opcodes have a srcfile property, too.
      * 
      * In addition to their name, scripts also have an array of opcodes and
      * a map of pc addresses to opcode indexes.
      *
      * Finally, each script has an entry point: the index of the starting opcode.
      * 
-     * Each opcode includes its string of assembly code.  
+     * Each opcode includes its string of assembly code (or just the name of
+     * the opcode after dropAssembly() is called), the numbers in
+     * all the count fields of the -D data, and its count: the sum of the
+     * fields named in the countFields array (Coverage.COUNT_FIELDS by
+     * default), which the script keeps.
      * And, after the script is analyzed, each opcode will also have a
      * reachable flag to indicate if it can ever actually be executed.
+     * Reachable conditional and switch opcodes also get a targets array
+     * holding the opcodes that execution can continue with: the branches
+     * of the opcode.
      */
-    function Script(lines, remap) {
+    function Script(lines, remap, countFields) {
         var script = this;
         script.opcodes = [];
         script.pcToOpcodeIndex = {};
         script.remap = remap;
+        script.countFields = countFields || Coverage.COUNT_FIELDS;
+        script.problems = [];  // Messages about data lines that were skipped
 
-        lines.forEach(function(dataline) {
-            var match;
-            var file, line, virtual;
-
-            if (match = dataline.match(Coverage.SCRIPT_START)) {
-                file = match[1];
-                line = parseInt(match[2], 10);
-                if (script.remap) {
-                    script.rawfilename = file;
-                    virtual = script.remap(file, line);
-                    file = virtual[0];
-                    line = virtual[1];
-                }
-                script.filename = file; 
-                script.startline = line
-                script.name = file + ":" + line;
-            }
-            else if (dataline.match(Coverage.SCRIPT_END)) {
-                return;
-            }
-            else if (dataline === "main:") {
-                script.entrypoint = script.opcodes.length;
-            }
-            else if (match = dataline.match(Coverage.SCRIPT_DATA)) {
-                line = parseInt(match[3], 10);
-                if (script.remap) {
-                    virtual = script.remap(script.rawfilename, line);
-                    line = virtual[1];
-                }
-
-                // The counts field used to have 3 counts and this was
-                // hardcoded. Now it has 6, but only the first 3 are real
-                // counts. I've changed the regexp to allow any number.
-                // But the code below assumes that there are at least 3.
-                // Hopefully the -D output will stabilize...
-                var counts = match[2].split('/');
-
-                var opcode = {
-                    pc: parseInt(match[1], 10),
-                    count: parseInt(counts[0], 10) +
-                        parseInt(counts[1], 10) +
-                        parseInt(counts[2], 10),
-                    srcline: line, 
-                    assembly: match[4]
-                };
-
-                // Discard the (potentially very long) anonymous function 
-                // souce associated with lambda opcodes
-                if (opcode.assembly.match(/^lambda /))
-                    opcode.assembly = "lambda";
-                if (opcode.assembly.match(/^deflocalfun /))
-                    opcode.assembly = "deflocalfun";
+        lines.forEach(function(dataline) { script.addLine(dataline); });
+    }
 
-                script.pcToOpcodeIndex[opcode.pc] = script.opcodes.length;
-                script.opcodes.push(opcode);
+    // Parse one more line of the script.  The Parser builds scripts a line
+    // at a time, so that it doesn't have to keep their lines.
+    Script.prototype.addLine = function(dataline) {
+        var script = this;
+        var match;
+        var file, line, virtual;
+
+        if (match = dataline.match(Coverage.SCRIPT_START)) {
+            file = match[1];
+            line = parseInt(match[2], 10);
+            if (script.remap) {
+                script.rawfilename = file;
+                virtual = script.remap(file, line);
+                file = virtual[0];
+                line = virtual[1];
             }
-            else if (dataline[0] === '\t') {
-                // this is part of a switch (or other?) disassembly
-                // for the previous opcode, so append it there
-                script.opcodes[script.opcodes.length-1].assembly += dataline;
+            script.filename = file; 
+            script.startline = line
+            script.name = file + ":" + line;
+        }
+        else if (dataline.match(Coverage.SCRIPT_END)) {
+            return;
+        }
+        else if (dataline === "main:") {
+            script.entrypoint = script.opcodes.length;
+        }
+        else if (match = dataline.match(Coverage.SCRIPT_DATA)) {
+            line = parseInt(match[3], 10);
+            file = match[4];
+            if (script.remap) {
+                virtual = script.remap(script.rawfilename, line);
+                file = virtual[0];
+                line = virtual[1];
             }
-            else {
-                // Just ignore lines that we don't recognize.
-                // We have to do this because some opcodes like lambda and
-                // deflocalfun print out long function bodies on multiple lines
+
+            // The regexp allows any number of count fields, and
+            // countFields says which of them are counts
+            var fields = parseFields(match[2]);
+
+            var opcode = {
+                pc: parseInt(match[1], 10),
+                count: countOf(fields, script.countFields),
+                fields: fields,
+                srcline: line, 
+                assembly: match[5]
+            };
+
+            // Concatenated files can have code from more than one
+            // source file in a script, so opcodes from files other
+            // than the script's remember their file
+            if (file && file !== script.filename) opcode.srcfile = file;
+
+            // Discard the (potentially very long) anonymous function 
+            // souce associated with lambda opcodes
+            if (opcode.assembly.match(/^lambda /))
+                opcode.assembly = "lambda";
+            if (opcode.assembly.match(/^deflocalfun /))
+                opcode.assembly = "deflocalfun";
+
+            // A pc that appears twice can't be told apart from the
+            // first one, so keep the first
+            if (opcode.pc in script.pcToOpcodeIndex) {
+                script.problems.push(script.name + ": opcode at pc " + opcode.pc +
+                                     " (line " + line + ") repeats an earlier pc " +
+                                     "and is ignored");
                 return;
             }
-        });
-    }
+
+            script.pcToOpcodeIndex[opcode.pc] = script.opcodes.length;
+            script.opcodes.push(opcode);
+        }
+        else if (dataline[0] === '\t') {
+            // this is a case of a switch, so append it to the switch,
+            // which is the previous opcode.  Lines of the source of a
+            // lambda can start with a tab too, and are ignored like the
+            // rest of it.
+            var last = script.opcodes[script.opcodes.length-1];
+            if (last && opname(last) in switches) last.assembly += dataline;
+        }
+        else {
+            // Just ignore lines that we don't recognize.
+            // We have to do this because some opcodes like lambda and
+            // deflocalfun print out long function bodies on multiple lines
+            return;
+        }
+    };
 
     // Return a verbose representation of a script.  Distinct scripts will
     // always return distinct strings. (Except in the case of identical functions
@@ -390,19 +599,160 @@ Coverage.Script = (function() {
     Script.prototype.toString = function() {
         var s = this.name + ":" + this.entrypoint + "\n";
         var ops = this.opcodes.map(function(opcode) {
-            return opcode.pc + ":" + opcode.srcline + ":"+ opcode.assembly;
+            return opcode.pc + ":" + opcode.srcline + ":" +
+                (opcode.srcfile ? opcode.srcfile + ":" : "") + opcode.assembly;
         });
         return s + ops.join("\n");
     }
 
 
+    // Return the script in -D format, with the opcode counts it has now.
+    // Parsing the returned string gives an equivalent Script object, so
+    // this is how coverage data is saved to be merged with later runs.
+    // Note that if the script was remapped, the filename and line
+    // numbers are the remapped ones.
+    Script.prototype.dump = function() {
+        var lines = ["--- SCRIPT " + this.name + " ---"];
+        var entrypoint = this.entrypoint;
+
+        this.opcodes.forEach(function(opcode, index) {
+            if (index === entrypoint) lines.push("main:");
+            // Switch cases were on lines of their own, each starting
+            // with a tab, so put them back that way
+            lines.push(pad(opcode.pc, "0") + ":" + opcode.fields.join("/") + " x " +
+                       pad(opcode.srcline, " ") +
+                       (opcode.srcfile ? ' @"' + opcode.srcfile + '"' : "") + "  " +
+                       opcode.assembly.replace(/\t/g, "\n\t"));
+        });
+
+        lines.push("--- END SCRIPT " + this.name + " ---");
+        return lines.join("\n") + "\n";
+
+        // Pad the number n to 5 characters, the way -D does
+        function pad(n, c) {
+            var s = String(n);
+            while(s.length < 5) s = c + s;
+            return s;
+        }
+    };
+
+    // Return the name of the source file of the opcode
+    Script.prototype.fileOf = function(opcode) {
+        return opcode.srcfile || this.filename;
+    };
+
+    // Return a view of this script whose code is moved to the named file
+    // and offset lines earlier, such as the code of an eval moved from
+    // the file that called eval to a file of its own.  The view shares
+    // the counts of this script.
+    Script.prototype.relocate = function(filename, offset) {
+        var script = Object.create(this);
+        script.filename = filename;
+        script.startline = this.startline - offset;
+        script.name = filename + ":" + script.startline;
+        script.opcodes = this.opcodes.map(function(opcode) {
+            var view = Object.create(opcode);
+            view.srcline = opcode.srcline - offset;
+            view.srcfile = undefined;
+            return view;
+        });
+
+        // Branch targets are opcodes too
+        script.opcodes.forEach(function(view) {
+            if (!view.targets) return;
+            view.targets = view.targets.map(function(target) {
+                return script.opcodes[script.pcToOpcodeIndex[target.pc]];
+            });
+        });
+        return script;
+    };
+
+    // Forget the assembly code of the opcodes, except for their names and
+    // the targets of jumps and switches, to save memory.  This must be
+    // called after checkReachability(), and after Parser.addScript() has
+    // used toString() to identify the script.
+    Script.prototype.dropAssembly = function() {
+        this.opcodes.forEach(function(opcode) {
+            var op = opname(opcode);
+            if (!linear(op)) return;
+            opcode.assembly = names[op] || (names[op] = op);
+        });
+    };
+    var names = {};  // One string for each opcode name, for all scripts
+
+    // Return an array of the names of the files that this script has
+    // code from.  This is usually just the script's own file.
+    Script.prototype.filenames = function() {
+        var script = this, filenames = [];
+        this.opcodes.forEach(function(opcode) {
+            var filename = script.fileOf(opcode);
+            if (filenames.indexOf(filename) === -1) filenames.push(filename);
+        });
+        return filenames;
+    };
+
+    // Return the last line of this script's own file that it has code on
+    Script.prototype.endline = function() {
+        var endline = this.startline;
+        for(var i = 0; i < this.opcodes.length; i++) {
+            var opcode = this.opcodes[i];
+            if (!opcode.srcfile && opcode.srcline > endline) endline = opcode.srcline;
+        }
+        return endline;
+    };
+
+    // Return the number of times this script was entered: the count of
+    // its entry point opcode.
+    Script.prototype.calls = function() {
+        return this.opcodes[this.entrypoint || 0].count;
+    };
+
+    // Return the total number of opcodes this script executed
+    Script.prototype.executions = function() {
+        var total = 0;
+        this.opcodes.forEach(function(opcode) { total += opcode.count; });
+        return total;
+    };
+
     // Add the opcode counts from that script to the opcodes in this script.
     // This method requires that this.equals(that)
     Script.prototype.addCounts = function(that) {
-        for(var i = 0; i < this.opcodes.length; i++)
-            this.opcodes[i].count += that.opcodes[i].count;
+        for(var i = 0; i < this.opcodes.length; i++) {
+            var opcode = this.opcodes[i], other = that.opcodes[i];
+            var fields = opcode.fields.slice();  // It may be shared
+            opcode.count += other.count;
+            for(var j = 0; j < other.fields.length; j++)
+                fields[j] = (fields[j] || 0) + other.fields[j];
+            opcode.fields = fields;
+        }
     };
 
+    // Convert the /-separated count fields of an opcode to an array of
+    // numbers.  Most opcodes have the same few fields, like 1/0/0/0/0/0,
+    // so they share arrays to save memory, and the arrays must not be
+    // changed.
+    function parseFields(s) {
+        if (s in fieldArrays) return fieldArrays[s];
+        var fields = s.split('/').map(function(field) {
+            return parseInt(field, 10);
+        });
+        if (numFieldArrays < 10000) {
+            fieldArrays[s] = fields;
+            numFieldArrays++;
+        }
+        return fields;
+    }
+    var fieldArrays = {}, numFieldArrays = 0;
+
+    // Return the sum of the count fields that have names
+    function countOf(fields, countFields) {
+        var count = 0;
+        for(var i = 0; i < countFields.length; i++) {
+            if (countFields[i] !== null) count += fields[i] || 0;
+        }
+        return count;
+    }
+
     var switches = {
         "tableswitch":true,
         "lookupswitch":true,
@@ -467,99 +817,255 @@ Coverage.Script = (function() {
 
     function linear(op) { return !(op in nonlinear); }
 
-    function reachable(script, opcodeIndex) {
-        var opcode, op;
-        opcode = script.opcodes[opcodeIndex];
-        opcode.entrypoint = true; // execution can jump to here
+    // Return the name of the opcode
+    function opname(opcode) { return opcode.assembly.match(/(\w+)/)[1]; }
 
-        while(opcodeIndex < script.opcodes.length) {
-            // If this opcode is already marked as reachable, then
-            // we've already been here and we're done.
-            if (opcode.reachable) return;
-            
-            // Mark this opcode as reachable.
-            opcode.reachable = true;
-
-            // Get the name of this opcode
-            op = opcode.assembly.match(/(\w+)/)[1];
-
-            // If this opcode is not a linear one, then break
-            // of the loop and handle it in the code below
-            if (!linear(op)) break;
-
-            // Mark this opcode as a linear one
-            opcode.fallsthrough = true;
-
-            // And move on to the next opcode
-            opcode = script.opcodes[++opcodeIndex];
-        } 
-
-        if (opcodeIndex >= script.opcodes.length) return;
-
-        // Now the current opcode is non-linear, so recurse to
-        // mark the opcodes that are reachable from it.  For
-        // conditional branches, it will be the next opcode plus
-        // the branch target.  For unconditional it will just be
-        // the branch target.  For switches, there will be many.
-        // And for things like stop, return and throw, there will
-        // be no reachable opcodes.
-        
-        if (op in terminators) {
-            // This opcode makes the script exit, so nothing is 
-            // reachable from here.
-            return;
-        }
-        else if (op in unconditionals) {
-            // The unconditional jump target is reachable
-            reachable(script, branchIndex(opcode.assembly));
-        }
-        else if (op in conditionals) {
-            // The next opcode and the jump target are both reachable
-            reachable(script, opcodeIndex+1);
-            // If there is a branch address, then that is reachable, too.
-            // (I have to test this since I'm treating try opcodes as
-            // branches, and they don't always have offsets)
-            var branch = branchIndex(opcode.assembly)
-            if (branch) reachable(script, branch);
-        }
-        else if (op in switches) {
-            // Multiple opcodes are reachable
-            // The -D output for switches includes relative jump offsets
-            // not absolute ones like those used by jumps
+    // Return an array of the indexes of the opcodes that the non-linear
+    // opcode at the specified index can jump to: the jump target of a
+    // conditional or unconditional jump, or the default and case targets
+    // of a switch.  The -D output for switches includes relative jump
+    // offsets, not absolute ones like those used by jumps.
+    function jumpTargets(script, opcodeIndex) {
+        var opcode = script.opcodes[opcodeIndex];
+        var op = opname(opcode);
+        var absolute;
 
+        if (op in switches) {
             // Each case is on its own line, starting with the 2nd line
             // The default offset is on the first line after the string "ffset"
             var cases = opcode.assembly.split("\t");
-
             var offset = parseInt(cases[0].match(/ffset (\d+)/)[1], 10);
-            var absolute = opcode.pc + offset;
-            var index = script.pcToOpcodeIndex[absolute];
-            reachable(script, index);
+            var indexes = [script.pcToOpcodeIndex[opcode.pc + offset]];
 
             for(var i = 1; i < cases.length; i++) {
                 offset = parseInt(cases[i].match(/: (\d+)$/)[1], 10);
-                absolute = opcode.pc + offset;
-                index = script.pcToOpcodeIndex[absolute];
-                reachable(script, index);
+                indexes.push(script.pcToOpcodeIndex[opcode.pc + offset]);
             }
+            return indexes;
         }
 
-        function branchIndex(assembly) {
-            var match = assembly.match(/^\w+\s+(\d+)/);
-            if (!match) return null;
-            return script.pcToOpcodeIndex[match[1]];
+        // Jumps have an absolute address.  (I have to test this since I'm
+        // treating try opcodes as branches, and they don't always have
+        // offsets)
+        var match = opcode.assembly.match(/^\w+\s+(\d+)/);
+        if (!match) return [];
+        return [script.pcToOpcodeIndex[match[1]]];
+    }
+
+    // Mark the opcodes of the script that execution can reach from
+    // opcode 0.  This uses a worklist of the opcodes that execution can
+    // jump to rather than recursion, so huge scripts, like generated
+    // state machines with thousands of switch cases, don't overflow the
+    // stack.  Returns an array of messages about jump targets that aren't
+    // opcodes of the script, which are left out.
+    function reachable(script) {
+        var problems = [];
+        var worklist = [0];
+
+        while(worklist.length) {
+            var opcodeIndex = worklist.pop();
+            var opcode = script.opcodes[opcodeIndex];
+            var op;
+            if (!opcode) continue;    // A conditional at the very end
+            opcode.entrypoint = true; // execution can jump to here
+
+            // If this opcode is already marked as reachable, then
+            // we've already been here and we're done with it.
+            if (opcode.reachable) continue;
+
+            // Mark the run of linear opcodes from here as reachable, up
+            // to the first non-linear one
+            for(;;) {
+                opcode.reachable = true;
+                op = opname(opcode);
+                if (!linear(op)) break;
+                opcode.fallsthrough = true;
+
+                // Stop at the end of the script or at code we've
+                // already been to
+                opcode = script.opcodes[++opcodeIndex];
+                if (!opcode || opcode.reachable) break;
+            }
+            if (linear(op)) continue;
+
+            // Now the current opcode is non-linear, so add the opcodes
+            // that are reachable from it to the worklist.  For
+            // conditional branches, it will be the next opcode plus
+            // the branch target.  For unconditional it will just be
+            // the branch target.  For switches, there will be many.
+            // And for things like stop, return and throw, there will
+            // be no reachable opcodes.
+
+            if (op in terminators) {
+                // This opcode makes the script exit, so nothing is
+                // reachable from here.
+            }
+            else if (op in unconditionals) {
+                // The unconditional jump target is reachable
+                var target = targets(opcodeIndex)[0];
+                if (target !== undefined) worklist.push(target);
+            }
+            else if (op in conditionals) {
+                // The next opcode and the jump target are both reachable.
+                // If there is no branch address, it just falls through.
+                var branch = targets(opcodeIndex)[0];
+                if (opcodeIndex+1 >= script.opcodes.length) {
+                    problems.push(script.name + ": " + op + " at pc " +
+                                  opcode.pc + " (line " + opcode.srcline + ") " +
+                                  "is the last opcode, so it has nothing to " +
+                                  "fall through to; the script may be truncated");
+                }
+                if (branch !== undefined) {
+                    worklist.push(branch);
+                    setTargets(opcode, [opcodeIndex+1, branch]);
+                }
+                worklist.push(opcodeIndex+1);
+            }
+            else if (op in switches) {
+                // Multiple opcodes are reachable
+                var indexes = targets(opcodeIndex);
+                indexes.forEach(function(index) { worklist.push(index); });
+                setTargets(opcode, indexes);
+            }
+        }
+        return problems;
+
+        // Return the jump targets of the opcode at the index, leaving out
+        // and reporting any that aren't opcodes
+        function targets(opcodeIndex) {
+            var opcode = script.opcodes[opcodeIndex];
+            var indexes = jumpTargets(script, opcodeIndex);
+            var found = indexes.filter(function(index) {
+                return index !== undefined;
+            });
+            if (found.length < indexes.length) {
+                problems.push(script.name + ": " + opname(opcode) + " at pc " +
+                              opcode.pc + " (line " + opcode.srcline + ") " +
+                              "jumps to a pc that isn't an opcode; " +
+                              "ignoring that target");
+            }
+            return found;
+        }
+
+        // Remember the distinct opcodes that the branching opcode can
+        // continue with, in the order given.
+        function setTargets(opcode, indexes) {
+            opcode.targets = [];
+            indexes.forEach(function(index) {
+                var target = script.opcodes[index];
+                if (target && opcode.targets.indexOf(target) === -1)
+                    opcode.targets.push(target);
+            });
         }
     }
 
+    // Mark the opcodes that can ever execute, and return an array of
+    // messages about any problems with the jumps of the script.
     Script.prototype.checkReachability = function() {
         // Mark the entry point of the script as reachable, and
-        // from there recursively determine what else is reachable.
+        // from there determine what else is reachable.
         // Note that this code treats 0 as the entry point, even when
         // this.entrypoint is something else.  Before this.entrypoint
         // we get things like defvar opcodes that just fall through to the
         // entrypoint.  If we start at this.entrypoint then sometime we'll
         // have opcodes marked unreachable that we don't want marked that way.
-        reachable(this, 0);
+        return reachable(this);
+    };
+
+    // Divide the script into basic blocks: runs of opcodes that always
+    // execute together because only the first one can be jumped to and
+    // only the last one can jump.  Returns an array of blocks in opcode
+    // order, each with these properties:
+    //
+    //   opcodes:    the array of opcodes in the block
+    //   reachable:  false if the block can never execute
+    //   count:      the number of times the block was entered
+    //   successors: an array of { block, count } edges to the blocks that
+    //               execution can continue with, and the number of times
+    //               it did.  When a block can be entered in more than one
+    //               way, edge counts have to be guessed from the counts
+    //               of the blocks, so they are only approximate.
+    //
+    // This must only be called after checkReachability().
+    Script.prototype.basicBlocks = function() {
+        var script = this, opcodes = this.opcodes;
+        var successors = [];  // Indexes of the opcodes after each opcode
+        var leaders = { 0: true };
+
+        if (this.entrypoint) leaders[this.entrypoint] = true;
+
+        opcodes.forEach(function(opcode, index) {
+            var op = opname(opcode), next = [];
+
+            if (linear(op)) next = [index+1];
+            else if (op in unconditionals || op in switches)
+                next = jumpTargets(script, index);
+            else if (op in conditionals)
+                next = [index+1].concat(jumpTargets(script, index));
+
+            next = next.filter(function(n, i) {
+                return n !== undefined && n < opcodes.length &&
+                    next.indexOf(n) === i;
+            });
+            successors[index] = next;
+
+            // Jump targets and the opcodes after non-linear ones begin
+            // new blocks
+            if (!linear(op)) {
+                leaders[index+1] = true;
+                next.forEach(function(n) { leaders[n] = true; });
+            }
+        });
+
+        var blocks = [], blockAt = {};
+        opcodes.forEach(function(opcode, index) {
+            if (index in leaders || !blocks.length) {
+                blockAt[index] = {
+                    opcodes: [],
+                    reachable: !!opcode.reachable,
+                    count: opcode.count,
+                    successors: [],
+                    predecessors: 0
+                };
+                blocks.push(blockAt[index]);
+            }
+            blocks[blocks.length-1].opcodes.push(opcode);
+            blocks[blocks.length-1].last = index;
+        });
+
+        blocks.forEach(function(block) {
+            successors[block.last].forEach(function(n) {
+                block.successors.push({ block: blockAt[n], count: 0 });
+                blockAt[n].predecessors++;
+            });
+        });
+
+        // A block entered only from here was entered as many times as
+        // it executed.  Whatever is left of the executions of this block
+        // must have taken the other edge, if there is just one.
+        blocks.forEach(function(block) {
+            var out = block.opcodes[block.opcodes.length-1].count;
+            var edges = block.successors, guessed = [];
+
+            edges.forEach(function(edge) {
+                if (edge.block.predecessors === 1) {
+                    edge.count = Math.min(edge.block.count, out);
+                    out -= edge.count;
+                }
+                else guessed.push(edge);
+            });
+
+            if (guessed.length === 1) guessed[0].count = out;
+            else guessed.forEach(function(edge) {
+                edge.count = Math.min(edge.block.count, out);
+            });
+        });
+
+        blocks.forEach(function(block) {
+            delete block.predecessors;
+            delete block.last;
+        });
+        return blocks;
     };
 
     return Script;
@@ -569,8 +1075,74 @@ Coverage.File = (function() {
     function File(name) {
         this.name = name;
         this.lines = {};
+        this.scripts = [];  // The Script objects whose code is in this file
+        this.source = null; // Optional array of source lines, see setSource()
+        this.ignored = {};  // Line numbers excluded from coverage by pragmas
+        this.changed = null; // The line numbers of a subset(), if this is one
+        this.countFields = Coverage.COUNT_FIELDS; // Those of the scripts
     }
 
+    // Set the array of source lines of this file, and exclude the lines
+    // that its covermonkey ignore comments ask us to from the coverage.
+    File.prototype.setSource = function(source) {
+        this.source = source;
+        this.ignored = source ? ignoredLines(source) : {};
+    };
+
+    // Add the opcodes of the specified script that are in this file to
+    // the lines of this file
+    File.prototype.addScript = function(script) {
+        var file = this;
+        this.scripts.push(script);
+        this.countFields = script.countFields;
+
+        var opcodes = this.opcodesOf(script);
+        opcodes.forEach(function(opcode) {
+            file.line(opcode.srcline).addOpcode(script.id + ":" + opcode.pc,
+                                                opcode);
+        });
+
+        // The first and last opcodes of each script should correspond
+        // (roughly) to the first and last lines of a function. Mark them
+        // to indicate this.
+        var first = script.opcodes[0], last = script.opcodes[script.opcodes.length-1];
+        if (opcodes[0] === first) file.line(first.srcline).startFunc = true;
+        if (opcodes[opcodes.length-1] === last) file.line(last.srcline).endFunc=true;
+    };
+
+    // Call this when the counts of a script that was already added to
+    // this file change, so that its lines recompute their counts
+    File.prototype.updateScript = function(script) {
+        var file = this;
+        this.opcodesOf(script).forEach(function(opcode) {
+            file.lines[opcode.srcline].invalidate();
+        });
+    };
+
+    // Return a view of this file that only has the lines whose numbers
+    // are in the linenums array, such as the lines changed by a patch.
+    // Its changed property maps all of those numbers to true, including
+    // the ones of lines without code.  The view shares everything else
+    // with this file.
+    File.prototype.subset = function(linenums) {
+        var file = Object.create(this);
+        file.lines = {};
+        file.changed = {};
+        linenums.forEach(function(linenum) {
+            file.changed[linenum] = true;
+            if (linenum in this.lines) file.lines[linenum] = this.lines[linenum];
+        }, this);
+        return file;
+    };
+
+    // Return the opcodes of the script that are in this file
+    File.prototype.opcodesOf = function(script) {
+        var file = this;
+        return script.opcodes.filter(function(opcode) {
+            return script.fileOf(opcode) === file.name;
+        });
+    };
+
     File.prototype.line = function(linenum) {
         if (!this.lines[linenum]) {
             this.lines[linenum] = new Coverage.Line(this, linenum);
@@ -578,8 +1150,10 @@ Coverage.File = (function() {
         return this.lines[linenum];
     };
 
+    // Return the number of covered, partially covered, uncovered, dead
+    // and ignored lines of this file as an array
     File.prototype.coverage = function() {
-        var covered = 0, partial = 0, uncovered = 0, dead = 0;
+        var covered = 0, partial = 0, uncovered = 0, dead = 0, ignored = 0;
 
         for(var linenum in this.lines) {
             var line = this.lines[linenum];
@@ -588,19 +1162,163 @@ Coverage.File = (function() {
             case "some": partial++; break;
             case "none": uncovered++; break;
             case "dead": dead++; break;
+            case "ignored": ignored++; break;
             case "": // do nothing in this case
             }
         }
 
-        return [covered, partial, uncovered, dead];
+        return [covered, partial, uncovered, dead, ignored];
+    };
+
+    // Return the branch coverage for this file as a two-element array:
+    // the number of branches taken and the total number of branches.
+    File.prototype.branchCoverage = function() {
+        var taken = 0, total = 0;
+
+        for(var linenum in this.lines) {
+            var coverage = this.lines[linenum].branchCoverage();
+            taken += coverage[0];
+            total += coverage[1];
+        }
+
+        return [taken, total];
+    };
+
+    // Return an array of objects describing the functions in this file.
+    // Each has the Script object of the function body, the line the
+    // function starts on, the number of times it was called, and a name.
+    //
+    // Not every script is a function: there is also the top-level code
+    // of the file and eval code. So we only count scripts that some other
+    // script defines with a lambda, deffun, etc. opcode on the line where
+    // the script starts.
+    //
+    // Scripts don't know their function names, so if this.source is set,
+    // we guess the name from the source line.  Functions that start on
+    // ignored lines are left out.
+    File.prototype.functions = function() {
+        var self = this;
+
+        // Map line numbers to the scripts that define functions there
+        var definers = {};
+        this.scripts.forEach(function(script) {
+            self.opcodesOf(script).forEach(function(opcode) {
+                if (!opcode.assembly.match(definesFunction)) return;
+                var line = opcode.srcline;
+                if (!(line in definers)) definers[line] = [];
+                definers[line].push(script);
+            });
+        });
+
+        var functions = [];
+        var onLine = {};  // Map lines to the number of functions found there
+        this.scripts.forEach(function(script) {
+            // Scripts that start in other files aren't functions of this one
+            if (script.filename !== self.name) return;
+            var line = script.startline;
+            if (self.ignored[line]) return;
+            // Leave out the functions that start outside of a subset()
+            if (!(line in self.lines)) return;
+            var defined = definers[line] && definers[line].some(function(s) {
+                return s !== script;
+            });
+            if (!defined) return;
+
+            // When more than one function starts on a line, as in
+            // minified code, the data doesn't say which script is which
+            // function of the line, so this guesses that they are in the
+            // same order
+            var nth = onLine[line] = (onLine[line] || 0) + 1;
+            var names = self.source
+                ? functionNames(self.source[line-1] || "")
+                : [];
+            functions.push({
+                script: script,
+                name: names[Math.min(nth, names.length) - 1] || "(anonymous)",
+                line: line,
+                calls: script.calls()
+            });
+        });
+
+        return functions;
+    };
+
+    // Opcodes that create function objects
+    var definesFunction = /^(lambda|deffun|defun|deflocalfun|closure)/;
+    File.definesFunction = definesFunction;
+
+    // Guess the names of the functions that begin on the specified
+    // source line, in order
+    function functionNames(srcline) {
+        var names = [];
+        var re = /\bfunction\b/g, match;
+        while((match = re.exec(srcline))) {
+            var named = srcline.slice(match.index).match(/^function\s+([\w$]+)/) ||
+                srcline.slice(0, match.index).match(/([\w$.]+)\s*[:=]\s*$/);
+            names.push(named ? named[1] : "(anonymous)");
+        }
+        return names;
+    }
+
+    // Return an object mapping the names of the count fields to the
+    // number of opcodes of this file that were executed as counted by
+    // each field
+    File.prototype.fieldCounts = function() {
+        var totals = {};
+        this.countFields.forEach(function(name) { if (name) totals[name] = 0; });
+        for(var linenum in this.lines) {
+            var counts = this.lines[linenum].fieldCounts();
+            for(var name in counts) totals[name] += counts[name];
+        }
+        return totals;
+    };
+
+    // Return the function coverage for this file as a two-element array:
+    // the number of functions called and the total number of functions.
+    File.prototype.functionCoverage = function() {
+        var functions = this.functions();
+        var called = functions.filter(function(f) { return f.calls > 0; });
+        return [called.length, functions.length];
+    };
+
+    // Return the data for this file in the format described at the top
+    // of this file.
+    File.prototype.toJSON = function() {
+        var coverage = this.coverage();
+        var filedata = {
+            filename: this.name,
+            covered: coverage[0],
+            partial: coverage[1],
+            uncovered: coverage[2],
+            dead: coverage[3],
+            ignored: coverage[4],
+            fields: this.fieldCounts(),
+            branches: this.branchCoverage(),
+            functions: this.functions().map(function(f) {
+                return { name: f.name, line: f.line, calls: f.calls };
+            }),
+            lines: []
+        };
+
+        for(var linenum in this.lines) {
+            filedata.lines.push(this.lines[linenum].toJSON());
+        }
+
+        // Put the lines in numeric order
+        filedata.lines.sort(function(a,b) {
+            if (a.linenum < b.linenum) return -1;
+            else if (a.linenum > b.linenum) return 1;
+            else return 0;
+        });
+
+        return filedata;
     };
 
     // Return the coverage class for line n of the specified file.
     // Lines that don't have executable code will return an empty string.
     File.prototype.coverageClass = function(n) {
-        if (n in this.lines) 
-            return " " + this.lines[n].coverage();
-        return "";
+        var coverage = n in this.lines ? this.lines[n].coverage() : "";
+        return coverage ? " " + coverage : "";
     };
 
     // Return the profile class for line n.  This will be based on the 
@@ -608,6 +1326,7 @@ Coverage.File = (function() {
     File.prototype.profileClass = function(n) {
         if (!(n in this.lines)) return "";
         var counts = this.lines[n].counts();
+        if (counts.length === 0) return "";  // insignificant, like a comment
         var count = counts[counts.length-1];  // the last one is biggest
         return " p" + log(count);
 
@@ -617,6 +1336,93 @@ Coverage.File = (function() {
         }
     };
 
+    // Comments like /* covermonkey ignore next */ exclude code from the
+    // coverage.  "ignore next" excludes the statement that follows it,
+    // "ignore start" and "ignore end" exclude the lines between them, and
+    // "ignore file" excludes the whole file.
+    var pragma = /\/[*\/]\s*covermonkey\s+ignore\s+(next|start|end|file)\b/;
+
+    // Return an object whose properties are the numbers of the lines of
+    // the source (an array of lines) that are excluded by pragmas
+    function ignoredLines(source) {
+        var ignored = {};
+        var start = null;  // The line of the current "ignore start"
+
+        for(var i = 0; i < source.length; i++) {
+            var match = source[i].match(pragma);
+            if (!match) {
+                if (start !== null) ignored[i+1] = true;
+                continue;
+            }
+
+            switch(match[1]) {
+            case "file":
+                for(var n = 1; n <= source.length; n++) ignored[n] = true;
+                return ignored;
+            case "start":
+                if (start === null) start = i;
+                ignored[i+1] = true;
+                break;
+            case "end":
+                if (start !== null) ignored[i+1] = true;
+                start = null;
+                break;
+            case "next":
+                // The statement may follow the comment on the same line
+                var rest = source[i].substring(match.index + match[0].length)
+                    .replace(/^.*?\*\//, "");
+                var first = code(rest) ? i : nextCode(source, i+1);
+                if (first === -1) break;
+                var last = statementEnd(source, first,
+                                        first === i ? rest : source[first]);
+                for(var n = first; n <= last; n++) ignored[n+1] = true;
+                if (start !== null) ignored[i+1] = true;
+                break;
+            }
+        }
+        return ignored;
+    }
+
+    // Strip the strings and comments from a line of code.  Regular
+    // expression literals and comments that span lines aren't recognized.
+    function code(line) {
+        return line.replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g, '""')
+            .replace(/\/\*.*?\*\//g, "")
+            .replace(/\/\/.*$/, "")
+            .trim();
+    }
+
+    // Return the index of the first line at or after index i that has
+    // code on it, or -1 if there isn't one
+    function nextCode(source, i) {
+        for(; i < source.length; i++) {
+            if (code(source[i]) && !/^\s*\/?\*/.test(source[i])) return i;
+        }
+        return -1;
+    }
+
+    // Return the index of the last line of the statement that starts on
+    // line i, whose text from where the statement begins is text.  The
+    // statement continues until its brackets balance, and through any
+    // else, catch or finally clauses that follow it.
+    function statementEnd(source, i, text) {
+        var depth = 0;
+        for(;;) {
+            code(text).replace(/[(\[{]|[)\]}]/g, function(c) {
+                depth += "([{".indexOf(c) !== -1 ? 1 : -1;
+                return c;
+            });
+            var next = nextCode(source, i+1);
+            if (next === -1) return i;
+            if (depth <= 0 &&
+                !/^\s*(else|catch|finally)\b/.test(code(source[next])) &&
+                !/^\s*[.?:]/.test(code(source[next])))
+                return i;
+            i = next;
+            text = source[i];
+        }
+    }
+
     return File;
 }());
 
@@ -628,13 +1434,37 @@ Coverage.Line = (function() {
         this.opcodes = {};  // Map pc to Opcode object
     }
 
+    // Add an opcode to the line.  The pc argument is the script id and pc
+    // of the opcode, which the Parser makes unique: it leaves out, with a
+    // warning, the opcodes of a script that repeat a pc.  Any other
+    // duplicate is ignored.
     Line.prototype.addOpcode = function(pc, opcode) {
-        if (this.opcodes[pc]) {
-            // XXX: reinstate this somehow?
-            // console.log("Ignoring duplicate opcode");
-            return;
-        }
+        if (this.opcodes[pc]) return;
         this.opcodes[pc] = opcode;
+        this.invalidate();
+    };
+
+    // Return the data for this line in the format described at the top
+    // of this file.
+    Line.prototype.toJSON = function() {
+        var l = {};
+        l.linenum = Number(this.number);
+        // XXX: convert to numeric constants?
+        l.coverage = this.coverage();
+        // These are one or more counts for lines with branches.  The
+        // fields have the interpreted vs. jitted opcode counts.
+        l.counts = this.counts();
+        var branches = this.branchCoverage();
+        if (branches[1]) l.branches = branches;
+        l.fields = this.fieldCounts();
+        if (this.startFunc) l.startFunc = true;
+        if (this.endFunc) l.endFunc = true;
+        return l;
+    };
+
+    // Forget the cached counts after the opcode counts change
+    Line.prototype.invalidate = function() {
+        delete this._counts;
     };
 
     // Return an array of the counts for this line.  If all opcodes have
@@ -717,8 +1547,61 @@ Coverage.Line = (function() {
         return this._counts;
     };
 
+    // Return an array describing the conditional and switch opcodes on
+    // this line.  Each element is an object with the opcode in its opcode
+    // property and an array of its branches in its branches property.
+    // Each branch is the opcode that execution continues with, and
+    // counts as taken if that opcode executed.  (That overstates things
+    // when the opcode can also be reached some other way, as with the
+    // head of a loop, but the -D data doesn't tell us any more.)
+    // Unreachable opcodes are omitted: their branches are dead code.
+    Line.prototype.branches = function() {
+        var branches = [];
+        if (this.file.ignored[this.number]) return branches;
+        for(var pc in this.opcodes) {
+            var opcode = this.opcodes[pc];
+            if (opcode.reachable && opcode.targets && opcode.targets.length > 1)
+                branches.push({ opcode: opcode, branches: opcode.targets });
+        }
+        return branches;
+    };
+
+    // Return the total number of opcodes executed on this line
+    Line.prototype.executions = function() {
+        var total = 0;
+        for(var pc in this.opcodes) total += this.opcodes[pc].count;
+        return total;
+    };
+
+    // Return an object mapping the names of the count fields to the
+    // number of opcodes executed on this line as counted by each field
+    Line.prototype.fieldCounts = function() {
+        var counts = {};
+        var names = this.file.countFields;
+        names.forEach(function(name) { if (name) counts[name] = 0; });
+        for(var pc in this.opcodes) {
+            var fields = this.opcodes[pc].fields;
+            for(var i = 0; i < names.length; i++)
+                if (names[i]) counts[names[i]] += fields[i] || 0;
+        }
+        return counts;
+    };
+
+    // Return the branch coverage for this line as a two-element array:
+    // the number of branches taken and the total number of branches.
+    Line.prototype.branchCoverage = function() {
+        var taken = 0, total = 0;
+        this.branches().forEach(function(b) {
+            b.branches.forEach(function(target) {
+                total++;
+                if (target.count > 0) taken++;
+            });
+        });
+        return [taken, total];
+    };
+
     // Return coverage for this line.
-    // One of the strings "full", "some", "none", "dead" or ""
+    // One of the strings "full", "some", "none", "dead", "ignored" or ""
     Line.prototype.coverage = function() {
         var counts = this.counts();
         // We return "" if the code should be treated as insignificant code
@@ -726,6 +1609,9 @@ Coverage.Line = (function() {
         // unreachable stop opcode
         if (counts.length === 0) return "";
 
+        // Lines excluded by pragmas in the source
+        if (this.file.ignored[this.number]) return "ignored";
+
         if (counts[0] > 0) return "full";
         if (counts.length === 1) {
             if (counts[0] === 0) return "none";
@@ -739,3 +1625,5 @@ Coverage.Line = (function() {
 
     return Line;
 }());
+
+if (typeof module !== "undefined" && module.exports) module.exports = Coverage;
@@ -0,0 +1,690 @@
+// A frontend for engines without the -D option of debug builds of
+// SpiderMonkey.  instrument() parses plain JavaScript with acorn and adds
+// counters to its statements and branches.  The instrumented code runs
+// in Node or any other engine, and then __CoverMonkey.trace() returns the
+// counts in the -D format, which CoverMonkey reads like any other -D
+// data.  register() instruments the files that Node loads with require()
+// and writes the trace when the process exits.  bin/covermonkey-node
+// uses it to run Node programs.
+//
+// The trace doesn't have SpiderMonkey's opcodes.  Each function, and the
+// top-level code of each file, is a script whose "opcodes" are its
+// statements, named for their type, like ExpressionStatement, and the
+// jumps between them: ifeq, ifne, and, or, case, default, goto, try,
+// return, throw and stop, which Coverage.Script knows about.  Each arm of
+// a branch starts with a branch opcode that counts how often it was
+// taken, and functions are defined by defun and lambda opcodes, as in
+// SpiderMonkey.  A few counts, like the number of times that a loop
+// ended, are worked out from the others, so they are only approximate
+// when exceptions are thrown.
+//
+var fs = require("fs");
+var path = require("path");
+var acorn = require("acorn");
+var Analyzer = require("./Analyzer.js");
+
+// An expression for the global object, in any engine
+var GLOBAL = 'typeof globalThis === "object" ? globalThis : Function("return this")()';
+
+// Return the instrumented version of the JavaScript source code, which
+// is reported as the named file.  The line numbers of the code don't
+// change.  Throws a SyntaxError if the source can't be parsed.
+function instrument(source, filename) {
+    var ast = parse(source);
+    var counters = "__cm$" + hash(filename);  // The variable of the counters
+    var scripts = [];   // The scripts of the file, as they are compiled
+    var edits = [];     // Text to insert into the source: { pos, text }
+
+    // The top-level code starts with the prelude that sets up the
+    // counters, after any "use strict" directive
+    var top = newScript(1);
+    var body = ast.body, directives = 0;
+    while(directives < body.length && body[directives].directive) directives++;
+    var start = directives ? body[directives-1].end :
+        body.length ? body[0].start : source.length;
+    var prelude = edit(start, "");
+    edit(start, count(top, 0));
+    statements(body.slice(directives), top);
+    var end = body.length ? body[body.length-1].loc.end.line : 1;
+    stop(top, end, source.length, "\n");
+
+    var tables = scripts.map(function(script) {
+        var ops = script.defuns.concat(script.ops);
+        return {
+            line: script.line,
+            entry: script.defuns.length,
+            counters: script.counters,
+            ops: ops.map(function(op) {
+                var asm = op.name;
+                if (op.label) asm += " " + (script.defuns.length + op.label.index);
+                return [op.line, asm, op.count];
+            })
+        };
+    });
+    var tablesJSON = JSON.stringify(tables);
+    prelude.text = (directives ? ";" : "") + "var " + counters + " = (" +
+        runtime.toString().replace(/\n\s*/g, " ") + ")(" + GLOBAL + ", " +
+        JSON.stringify(filename) + ", " +
+        JSON.stringify(filename + "#" + hash(tablesJSON)) + ", " +
+        tablesJSON + ");";
+
+    return applyEdits(source, edits);
+
+    // Remember to insert text at the position in the source.  Edits at
+    // the same position are inserted in the order they were made, so
+    // the code that opens something is edited before the code inside it,
+    // and the code that closes it after.
+    function edit(pos, text) {
+        var e = { pos: pos, text: text, order: edits.length };
+        edits.push(e);
+        return e;
+    }
+
+    function newScript(line) {
+        var script = {
+            index: scripts.length,
+            line: line,
+            defuns: [],   // The opcodes that define functions, before main:
+            ops: [],
+            counters: 1,  // Counter 0 counts the calls of the script
+            jumps: []     // The targets of break and continue statements
+        };
+        scripts.push(script);
+        return script;
+    }
+
+    // Return the code that increments a counter of the script
+    function count(script, k) {
+        return counters + "[" + script.index + "][" + k + "]++;";
+    }
+    function counter(script) { return script.counters++; }
+
+    // Counts are arrays of counter numbers plus one, which are added, or
+    // negated, which are subtracted
+    function C(k) { return [k+1]; }
+    function minus(a, b) {
+        return a.concat(b.map(function(n) { return -n; }));
+    }
+
+    // Labels are the targets of jumps.  They are bound to the opcode that
+    // the script adds next.
+    function label() { return { index: -1 }; }
+    function bind(script, l) { l.index = script.ops.length; }
+
+    function op(script, line, name, count, l) {
+        script.ops.push({ line: line, name: name, count: count, label: l });
+    }
+
+    // An opcode named for a statement, with its column, so that scripts
+    // on the same line can be told apart
+    function stmtOp(script, node, name, count) {
+        op(script, node.loc.start.line,
+           (name || node.type) + " col " + (node.loc.start.column + 1), count);
+    }
+
+    // The opcode that starts an arm of a branch
+    function branch(script, line, count) { op(script, line, "branch", count); }
+
+    // Count a statement by putting a counter in front of it, or at the
+    // position at if there is one, and return its count
+    function counted(node, script, at) {
+        var k = counter(script);
+        edit(at === undefined ? node.start : at, count(script, k));
+        return C(k);
+    }
+
+    // Add the script's last opcode, which counts how often execution got
+    // to its end, and the counter at the position pos
+    function stop(script, line, pos, prefix) {
+        var k = counter(script);
+        edit(pos, prefix + ";" + count(script, k));
+        op(script, line, "stop", C(k));
+    }
+
+    function statements(nodes, script) {
+        nodes.forEach(function(node) { statement(node, script); });
+    }
+
+    // Compile a statement that is the body of another one, wrapping it in
+    // braces if it isn't a block so that there is room for counters.  If
+    // k is given, counter k counts how often the body ran.
+    function substatement(node, script, k) {
+        var text = k === undefined ? "" : count(script, k);
+        if (node.type === "BlockStatement") {
+            if (text) edit(node.start + 1, text);
+            statement(node, script);
+        }
+        else {
+            edit(node.start, "{" + text);
+            statement(node, script);
+            edit(node.end, "}");
+        }
+    }
+
+    // Compile a statement.  If at is given, the counter of the statement
+    // goes there instead of in front of it, as for labeled statements.
+    function statement(node, script, at, labels) {
+        var line = node.loc.start.line;
+        var n, k, kt, kb, lbody, lnext, lcont, lexit;
+
+        switch(node.type) {
+        case "EmptyStatement":
+        case "ImportDeclaration":
+            return;
+
+        case "BlockStatement":
+        case "StaticBlock":
+            statements(node.body, script);
+            return;
+
+        case "FunctionDeclaration":
+            // Functions are defined when the script starts
+            script.defuns.push({ line: line, name: "defun function " +
+                                 (node.id ? node.id.name : "default"),
+                                 count: C(0) });
+            compileFunction(node, line);
+            return;
+
+        case "ExportNamedDeclaration":
+        case "ExportDefaultDeclaration":
+            if (!node.declaration) return;
+            if (/Declaration$/.test(node.declaration.type))
+                statement(node.declaration, script, node.start);
+            else
+                simple(node.declaration, script, node.start, node.type);
+            return;
+
+        case "LabeledStatement":
+            // A counter between the label and the statement would be what
+            // the label labels, so put it in front of the label
+            labels = (labels || []).concat(node.label.name);
+            at = at === undefined ? node.start : at;
+            if (/^(For|ForIn|ForOf|While|DoWhile|Switch|Labeled)Statement$/.test(node.body.type)) {
+                statement(node.body, script, at, labels);
+                return;
+            }
+            lexit = label();
+            script.jumps.push({ labels: labels, brk: lexit, block: true });
+            statement(node.body, script, at);
+            script.jumps.pop();
+            bind(script, lexit);
+            return;
+
+        case "IfStatement":
+            n = counted(node, script, at);
+            expressions(node.test, script, n);
+            kt = counter(script);
+            k = counter(script);
+            var lelse = label();
+            lexit = label();
+            op(script, line, "ifeq", n, lelse);
+            branch(script, node.consequent.loc.start.line, C(kt));
+            substatement(node.consequent, script, kt);
+            op(script, line, "goto", C(kt), lexit);
+            bind(script, lelse);
+            if (node.alternate) {
+                branch(script, node.alternate.loc.start.line, C(k));
+                substatement(node.alternate, script, k);
+            }
+            else {
+                // An else that counts how often the test was false
+                branch(script, line, C(k));
+                edit(node.end, " else {" + count(script, k) + "}");
+            }
+            bind(script, lexit);
+            return;
+
+        case "WhileStatement":
+        case "ForStatement":
+            if (node.type === "ForStatement") {
+                n = counted(node, script, at);
+                stmtOp(script, node, null, n);
+                if (node.init) expressions(node.init, script, n);
+            }
+            kt = node.test ? counter(script) : -1;
+            kb = counter(script);
+            lnext = label();
+            lcont = label();
+            lexit = label();
+            bind(script, lnext);
+            if (node.test) {
+                edit(node.test.start, "(" + count(script, kt).slice(0, -1) + ", ");
+                expressions(node.test, script, C(kt));
+                edit(node.test.end, ")");
+                op(script, line, "ifeq", C(kt), lexit);
+            }
+            branch(script, node.body.loc.start.line, C(kb));
+            script.jumps.push({ labels: labels, brk: lexit, cont: lcont });
+            substatement(node.body, script, kb);
+            script.jumps.pop();
+            bind(script, lcont);
+            if (node.update) expressions(node.update, script, C(kb));
+            op(script, line, "goto", C(kb), lnext);
+            bind(script, lexit);
+            if (node.test) branch(script, line, minus(C(kt), C(kb)));
+            return;
+
+        case "DoWhileStatement":
+            n = counted(node, script, at);
+            kt = counter(script);
+            kb = counter(script);
+            lbody = label();
+            lcont = label();
+            lexit = label();
+            bind(script, lbody);
+            branch(script, node.body.loc.start.line, C(kb));
+            script.jumps.push({ labels: labels, brk: lexit, cont: lcont });
+            substatement(node.body, script, kb);
+            script.jumps.pop();
+            bind(script, lcont);
+            edit(node.test.start, "(" + count(script, kt).slice(0, -1) + ", ");
+            expressions(node.test, script, C(kt));
+            edit(node.test.end, ")");
+            op(script, node.test.loc.start.line, "ifne", C(kt), lbody);
+            bind(script, lexit);
+            // The test was true once for each time the body ran again
+            branch(script, node.test.loc.start.line,
+                   minus(C(kt), minus(C(kb), n)));
+            return;
+
+        case "ForInStatement":
+        case "ForOfStatement":
+            n = counted(node, script, at);
+            stmtOp(script, node, null, n);
+            expressions(node.right, script, n);
+            kb = counter(script);
+            lnext = label();
+            lcont = label();
+            lexit = label();
+            bind(script, lnext);
+            op(script, line, "ifeq", n.concat(C(kb)), lexit);
+            branch(script, node.body.loc.start.line, C(kb));
+            expressions(node.left, script, C(kb));
+            script.jumps.push({ labels: labels, brk: lexit, cont: lcont });
+            substatement(node.body, script, kb);
+            script.jumps.pop();
+            bind(script, lcont);
+            op(script, line, "goto", C(kb), lnext);
+            bind(script, lexit);
+            branch(script, line, n);
+            return;
+
+        case "SwitchStatement":
+            n = counted(node, script, at);
+            stmtOp(script, node, null, n);
+            expressions(node.discriminant, script, n);
+            lexit = label();
+            var tested = n, dflt = null;
+            var bodies = node.cases.map(function(c) {
+                var l = label();
+                if (!c.test) {
+                    dflt = l;
+                    return l;
+                }
+                var kc = counter(script);
+                edit(c.test.start, "(" + count(script, kc).slice(0, -1) + ", ");
+                expressions(c.test, script, C(kc));
+                edit(c.test.end, ")");
+                op(script, c.loc.start.line, "case", C(kc), l);
+                tested = C(kc);
+                return l;
+            });
+            op(script, line, "default", tested, dflt || lexit);
+            script.jumps.push({ labels: labels, brk: lexit });
+            node.cases.forEach(function(c, i) {
+                var kc = counter(script);
+                bind(script, bodies[i]);
+                branch(script, c.loc.start.line, C(kc));
+                edit(c.consequent.length ? c.consequent[0].start : c.end,
+                     count(script, kc));
+                statements(c.consequent, script);
+            });
+            script.jumps.pop();
+            bind(script, lexit);
+            return;
+
+        case "TryStatement":
+            n = counted(node, script, at);
+            var lcatch = label(), lfinally = label();
+            op(script, line, "try", n, node.handler ? lcatch : lfinally);
+            statement(node.block, script);
+            op(script, line, "goto", n, lfinally);
+            if (node.handler) {
+                k = counter(script);
+                bind(script, lcatch);
+                branch(script, node.handler.loc.start.line, C(k));
+                edit(node.handler.body.start + 1, count(script, k));
+                if (node.handler.param)
+                    expressions(node.handler.param, script, C(k));
+                statement(node.handler.body, script);
+            }
+            bind(script, lfinally);
+            if (node.finalizer) statement(node.finalizer, script);
+            return;
+
+        case "WithStatement":
+            n = counted(node, script, at);
+            stmtOp(script, node, null, n);
+            expressions(node.object, script, n);
+            substatement(node.body, script);
+            return;
+
+        case "ReturnStatement":
+        case "ThrowStatement":
+            n = counted(node, script, at);
+            if (node.argument) expressions(node.argument, script, n);
+            stmtOp(script, node, node.type === "ReturnStatement" ? "return" : "throw", n);
+            return;
+
+        case "BreakStatement":
+        case "ContinueStatement":
+            n = counted(node, script, at);
+            var target = null;
+            for(var i = script.jumps.length-1; i >= 0 && !target; i--) {
+                var jump = script.jumps[i];
+                if (node.label ?
+                    !jump.labels || jump.labels.indexOf(node.label.name) === -1 :
+                    jump.block)  // Plain breaks don't leave labeled blocks
+                    continue;
+                target = node.type === "BreakStatement" ? jump.brk : jump.cont;
+                if (!node.label && !target) continue;  // Continue in a switch
+                break;
+            }
+            if (target) op(script, line, "goto", n, target);
+            else stmtOp(script, node, null, n);
+            return;
+
+        default:
+            simple(node, script, at);
+            return;
+        }
+    }
+
+    // Compile a statement without branches of its own, such as an
+    // expression or a declaration
+    function simple(node, script, at, name) {
+        var n = counted(node, script, at);
+        stmtOp(script, node, name, n);
+        expressions(node, script, n);
+    }
+
+    // Compile the branches and functions in an expression, which runs as
+    // many times as the count says
+    function expressions(node, script, n) {
+        if (!node || typeof node.type !== "string") return;
+        var kt, kf, lelse, lexit;
+
+        switch(node.type) {
+        case "FunctionExpression":
+        case "ArrowFunctionExpression":
+            op(script, node.loc.start.line, "lambda", n);
+            compileFunction(node, node.loc.start.line);
+            return;
+
+        case "MethodDefinition":
+        case "Property":
+            if (node.computed) expressions(node.key, script, n);
+            if (node.value && node.value.type === "FunctionExpression" &&
+                (node.type === "MethodDefinition" || node.method ||
+                 node.kind !== "init")) {
+                // Methods start at their names
+                var line = node.key.loc.start.line;
+                op(script, line, "lambda", n);
+                compileFunction(node.value, line);
+            }
+            else {
+                expressions(node.value, script, n);
+            }
+            return;
+
+        case "StaticBlock":
+            statement(node, script);
+            return;
+
+        case "ConditionalExpression":
+            expressions(node.test, script, n);
+            kt = counter(script);
+            kf = counter(script);
+            lelse = label();
+            lexit = label();
+            op(script, node.loc.start.line, "ifeq", n, lelse);
+            arm(node.consequent, kt);
+            op(script, node.consequent.loc.end.line, "goto", C(kt), lexit);
+            bind(script, lelse);
+            arm(node.alternate, kf);
+            bind(script, lexit);
+            return;
+
+        case "LogicalExpression":
+            expressions(node.left, script, n);
+            kt = counter(script);
+            lelse = label();
+            lexit = label();
+            op(script, node.loc.start.line,
+               node.operator === "&&" ? "and" : "or", n, lelse);
+            arm(node.right, kt);
+            op(script, node.right.loc.end.line, "goto", C(kt), lexit);
+            bind(script, lelse);
+            // The right side was skipped the rest of the time
+            branch(script, node.loc.start.line, minus(n, C(kt)));
+            bind(script, lexit);
+            return;
+        }
+
+        for(var key in node) {
+            if (key === "loc") continue;
+            var value = node[key];
+            if (Array.isArray(value))
+                value.forEach(function(v) { expressions(v, script, n); });
+            else if (value && typeof value === "object")
+                expressions(value, script, n);
+        }
+
+        // Count how often an expression that is an arm of a branch runs
+        function arm(expr, k) {
+            branch(script, expr.loc.start.line, C(k));
+            edit(expr.start, "(" + count(script, k).slice(0, -1) + ", ");
+            expressions(expr, script, C(k));
+            edit(expr.end, ")");
+        }
+    }
+
+    // Compile a function into a script of its own that starts on the line
+    function compileFunction(fn, line) {
+        var script = newScript(line);
+        fn.params.forEach(function(param) { expressions(param, script, C(0)); });
+
+        var body = fn.body;
+        if (body.type !== "BlockStatement") {
+            // An arrow function that returns an expression
+            edit(body.start, "(" + count(script, 0).slice(0, -1) + ", ");
+            expressions(body, script, C(0));
+            edit(body.end, ")");
+            stmtOp(script, body, "return", C(0));
+            op(script, body.loc.end.line, "stop", []);
+            return;
+        }
+
+        var nodes = body.body, directives = 0;
+        while(directives < nodes.length && nodes[directives].directive) directives++;
+        if (directives) edit(nodes[directives-1].end, ";" + count(script, 0));
+        else edit(body.start + 1, count(script, 0));
+        statements(nodes.slice(directives), script);
+        stop(script, body.loc.end.line, body.end - 1, "");
+    }
+}
+
+// Parse JavaScript as a script, or as a module if it has import or
+// export declarations
+function parse(source) {
+    var options = {
+        ecmaVersion: "latest",
+        locations: true,
+        allowHashBang: true,
+        allowReturnOutsideFunction: true
+    };
+    try {
+        options.sourceType = "script";
+        return acorn.parse(source, options);
+    }
+    catch(e) {
+        options.sourceType = "module";
+        options.allowReturnOutsideFunction = false;
+        try {
+            return acorn.parse(source, options);
+        }
+        catch(e2) {
+            throw e;  // The error of the script is more to the point
+        }
+    }
+}
+
+// Insert the text of the edits into the source
+function applyEdits(source, edits) {
+    edits.sort(function(a, b) { return a.pos - b.pos || a.order - b.order; });
+    var parts = [], pos = 0;
+    edits.forEach(function(e) {
+        parts.push(source.substring(pos, e.pos), e.text);
+        pos = e.pos;
+    });
+    parts.push(source.substring(pos));
+    return parts.join("");
+}
+
+// Return a string of 8 hex digits that is the 32-bit FNV-1a hash of s
+function hash(s) {
+    var h = 0x811c9dc5;
+    for(var i = 0; i < s.length; i++) {
+        h ^= s.charCodeAt(i);
+        h = (h + (h << 1) + (h << 4) + (h << 7) + (h << 8) + (h << 24)) >>> 0;
+    }
+    return ("0000000" + h.toString(16)).slice(-8);
+}
+
+// The code that the prelude of each instrumented file runs, with the
+// global object, the name of the file, a key that identifies the file
+// and its code, and the tables of its scripts.  It returns the counters
+// of the file, and defines the global __CoverMonkey object, whose trace()
+// method returns the -D data of all the files.  A file that is loaded
+// twice uses the same counters both times.  This is converted to a string
+// and put on one line, so it must not have // comments, and it must work
+// in any engine.
+function runtime(g, filename, key, scripts) {
+    var cm = g.__CoverMonkey;
+    if (!cm) {
+        cm = g.__CoverMonkey = { files: [], counters: {} };
+        cm.trace = function() {
+            var out = [ "--- SCRIPT (null):0 ---", "main:",
+                        "00000:1/0/0 x     0  stop", "--- END SCRIPT (null):0 ---" ];
+            function pad(n, c) {
+                var s = String(n);
+                while(s.length < 5) s = c + s;
+                return s;
+            }
+            for(var f = 0; f < cm.files.length; f++) {
+                var file = cm.files[f];
+                for(var i = 0; i < file.scripts.length; i++) {
+                    var script = file.scripts[i], c = file.counters[i];
+                    var name = file.name + ":" + script.line;
+                    out.push("--- SCRIPT " + name + " ---");
+                    for(var j = 0; j < script.ops.length; j++) {
+                        var op = script.ops[j], n = 0;
+                        for(var t = 0; t < op[2].length; t++) {
+                            var k = op[2][t];
+                            n += k > 0 ? c[k-1] : -c[-k-1];
+                        }
+                        if (j === script.entry) out.push("main:");
+                        out.push(pad(j, "0") + ":" + Math.max(n, 0) + "/0/0 x " +
+                                 pad(op[0], " ") + "  " + op[1]);
+                    }
+                    out.push("--- END SCRIPT " + name + " ---");
+                }
+            }
+            return out.join("\n") + "\n";
+        };
+    }
+    if (!cm.counters[key]) {
+        var counters = cm.counters[key] = [];
+        for(var s = 0; s < scripts.length; s++) {
+            counters[s] = [];
+            for(var k = 0; k < scripts[s].counters; k++) counters[s][k] = 0;
+        }
+        cm.files.push({ name: filename, scripts: scripts, counters: counters });
+    }
+    return cm.counters[key];
+}
+
+// Instrument the files that Node loads with require() from now on, and
+// write the trace when the process exits.  Options:
+//
+//   include, exclude: arrays of glob patterns that select the files to
+//               instrument, as for Analyzer.fileFilter().  Files in
+//               node_modules directories are never instrumented.
+//   output:     the name of the file to write the trace to.  The default
+//               is stdout.
+//   onwarning:  a function that is called with a message about a file
+//               that couldn't be instrumented and was loaded as it is.
+//               The default writes it to stderr.
+//
+// Files are reported by their names relative to the current directory.
+// ES modules aren't loaded with require(), so they aren't instrumented.
+function register(options) {
+    options = options || {};
+    var Module = require("module");
+    var load = Module._extensions[".js"];
+    var filter = Analyzer.fileFilter(options.include, options.exclude);
+    var onwarning = options.onwarning || function(message) {
+        console.warn("CoverMonkey: %s", message);
+    };
+
+    Module._extensions[".js"] = function(module, filename) {
+        var name = path.relative(process.cwd(), filename);
+        if (/^\.\.[\/\\]/.test(name)) name = filename;
+        if (/[\/\\]node_modules[\/\\]/.test(filename) || !filter(name))
+            return load(module, filename);
+
+        var code;
+        try {
+            code = instrument(fs.readFileSync(filename, "utf8").replace(/^\uFEFF/, ""),
+                              name);
+        }
+        catch(e) {
+            onwarning("can't instrument " + name + ": " + e.message);
+            return load(module, filename);
+        }
+        module._compile(code, filename);
+    };
+
+    process.on("exit", function() {
+        var cm = global.__CoverMonkey;
+        if (!cm) return;
+        if (options.output) fs.writeFileSync(options.output, cm.trace());
+        else writeAll(1, cm.trace());
+    });
+}
+
+// Write all of the text to the file descriptor, even if it is a pipe
+// that isn't ready for all of it at once.  This runs as the process
+// exits, when there is no event loop to wait for the pipe with, so when
+// it is full we sleep, for longer each time it is still full, up to
+// MAX_BACKOFF milliseconds.
+const MAX_BACKOFF = 100;
+function writeAll(fd, text) {
+    var buffer = Buffer.from(text), written = 0;
+    var backoff = 1;
+    var sleeper = new Int32Array(new SharedArrayBuffer(4));
+    while(written < buffer.length) {
+        try {
+            written += fs.writeSync(fd, buffer, written);
+            backoff = 1;
+        }
+        catch(e) {
+            if (e.code !== "EAGAIN") throw e;
+            Atomics.wait(sleeper, 0, 0, backoff);
+            backoff = Math.min(2*backoff, MAX_BACKOFF);
+        }
+    }
+}
+
+exports.instrument = instrument;
+exports.register = register;
@@ -0,0 +1,214 @@
+// The live coverage server started by the --serve option
+//
+var http = require("http");
+var Reporters = require("./Reporters.js");
+
+// Start an HTTP server on the specified port of localhost that shows
+// the coverage of all files as the -D data arrives.  The server listens
+// to the events of the Analyzer that reads the data, and pushes the
+// changes to the browser as server-sent events, so the data is only
+// parsed once.  The options object may have a filter function that
+// returns false for files that shouldn't be shown.  Returns the
+// http.Server.  If it can't listen on the port, the error is reported
+// on stderr and the exit code of the process is set to 1.
+function serveLiveCoverage(port, analyzer, options) {
+    options = options || {};
+    var filter = options.filter || function() { return true; };
+    var complete = false;    // Have we seen all of the data?
+    var clients = [];        // Response streams of /events requests
+
+    // Send an event to all the browsers or just to the specified one
+    function send(type, data, client) {
+        var message = "event: " + type + "\n" +
+            "data: " + JSON.stringify(data) + "\n\n";
+        (client ? [client] : clients).forEach(function(c) {
+            c.write(message);
+        });
+    }
+
+    analyzer.on("file", function(file) {
+        if (!filter(file.name)) return;
+        // Apply the ignore comments in the source, as the reports do
+        file.setSource(analyzer.readSource(file.name));
+        if (clients.length) send("file", file.toJSON());
+    });
+    analyzer.on("update", function(file, script) {
+        if (!filter(file.name) || !clients.length) return;
+        // The browser already has the other lines, so just send the
+        // totals and the lines of the script
+        var coverage = file.coverage();
+        send("file", {
+            filename: file.name,
+            covered: coverage[0],
+            partial: coverage[1],
+            uncovered: coverage[2],
+            dead: coverage[3],
+            ignored: coverage[4]
+        });
+        var sent = {};
+        file.opcodesOf(script).forEach(function(opcode) {
+            var linenum = opcode.srcline;
+            if (sent[linenum]) return;
+            sent[linenum] = true;
+            send("line", { filename: file.name, line: file.lines[linenum].toJSON() });
+        });
+    });
+    analyzer.on("end", function() {
+        complete = true;
+        send("done", {});
+    });
+
+    var server = http.createServer(function(request, response) {
+        var requrl = new URL(request.url, "http://localhost");
+
+        switch(requrl.pathname) {
+        case "/":
+            response.writeHead(200, {"Content-Type": "text/html"});
+            response.end(liveHTML());
+            break;
+
+        case "/events":
+            response.writeHead(200, {
+                "Content-Type": "text/event-stream",
+                "Cache-Control": "no-cache"
+            });
+            response.flushHeaders();  // Before there are any events to send
+            // Bring the new browser up to date
+            Object.keys(analyzer.files).sort().forEach(function(filename) {
+                if (filter(filename))
+                    send("file", analyzer.files[filename].toJSON(), response);
+            });
+            if (complete) send("done", {}, response);
+
+            clients.push(response);
+            request.on("close", function() {
+                clients.splice(clients.indexOf(response), 1);
+            });
+            break;
+
+        case "/source":
+            // Only serve the source of files we have coverage data for
+            var filename = requrl.searchParams.get("file");
+            var srclines = filename in analyzer.files && filter(filename) ?
+                analyzer.readSource(filename) : null;
+            if (!srclines) {
+                response.writeHead(404, {"Content-Type": "text/plain"});
+                response.end("Unknown file\n");
+                break;
+            }
+            response.writeHead(200, {"Content-Type": "application/json"});
+            response.end(JSON.stringify(srclines));
+            break;
+
+        default:
+            response.writeHead(404, {"Content-Type": "text/plain"});
+            response.end("Not found\n");
+        }
+    });
+
+    server.on("error", function(e) {
+        console.warn("CoverMonkey: can't serve live coverage on port %d: %s",
+                     port, e.message);
+        process.exitCode = 1;
+    });
+    server.listen(port, "127.0.0.1", function() {
+        console.warn("CoverMonkey: serving live coverage at http://localhost:%d/",
+                     server.address().port);
+    });
+
+    return server;
+}
+
+// Return the page displayed by the live coverage server.  Its script
+// builds the summary table and the annotated source from the events
+// that serveLiveCoverage() sends.
+function liveHTML() {
+    var html = "";
+    var printf = Reporters.printer({ write: function(s) { html += s; } });
+
+    Reporters.htmlHeader(printf, "CoverMonkey Live Coverage");
+    printf('<h1>CoverMonkey Live Coverage</h1>\n' +
+           '<p id="status">Reading -D data...</p>\n' +
+           '<table>\n<thead><tr><th>Source File<th>Cover%%<th>Executable Lines' +
+           '<th>Covered<th>Partial<th>Uncovered<th>Dead</tr></thead>\n' +
+           '<tbody id="files"></tbody>\n</table>\n' +
+           '<h2 id="filename"></h2>\n<div id="source"></div>\n' +
+           '<script>\n' +
+           'var files = {};   // Map filenames to coverage data\n' +
+           'var shown = null; // The file whose source is displayed\n' +
+           'var events = new EventSource("events");\n' +
+           'events.addEventListener("file", function(e) {\n' +
+           '    var data = JSON.parse(e.data);\n' +
+           '    var file = files[data.filename];\n' +
+           '    if (!file) file = files[data.filename] = data;\n' +
+           '    else for(var p in data) file[p] = data[p];\n' +
+           '    showRow(file);\n' +
+           '}, false);\n' +
+           'events.addEventListener("line", function(e) {\n' +
+           '    var data = JSON.parse(e.data);\n' +
+           '    // Replace the line, or insert it if it is new\n' +
+           '    var lines = files[data.filename].lines;\n' +
+           '    for(var i = 0; i < lines.length; i++) {\n' +
+           '        if (lines[i].linenum >= data.line.linenum) break;\n' +
+           '    }\n' +
+           '    if (lines[i] && lines[i].linenum === data.line.linenum) lines[i] = data.line;\n' +
+           '    else lines.splice(i, 0, data.line);\n' +
+           '    if (data.filename === shown) showLine(data.line);\n' +
+           '}, false);\n' +
+           'events.addEventListener("done", function(e) {\n' +
+           '    document.getElementById("status").textContent = "All -D data read.";\n' +
+           '}, false);\n' +
+           'function percent(n, d) { return d ? (n*100/d).toFixed(1) + "%%" : "-"; }\n' +
+           'function showRow(file) {\n' +
+           '    var id = "row:" + file.filename;\n' +
+           '    var row = document.getElementById(id);\n' +
+           '    if (!row) {\n' +
+           '        row = document.createElement("tr");\n' +
+           '        row.id = id;\n' +
+           '        document.getElementById("files").appendChild(row);\n' +
+           '    }\n' +
+           '    var lines = file.covered + file.partial + file.uncovered + file.dead;\n' +
+           '    row.innerHTML = "<td><a href=\\"#\\"></a><td>" + percent(file.covered, lines) +\n' +
+           '        "<td>" + lines + "<td>" + file.covered + "<td>" + file.partial +\n' +
+           '        "<td>" + file.uncovered + "<td>" + file.dead;\n' +
+           '    var a = row.getElementsByTagName("a")[0];\n' +
+           '    a.textContent = file.filename;\n' +
+           '    a.onclick = function() { showSource(file.filename); return false; };\n' +
+           '}\n' +
+           'function showSource(filename) {\n' +
+           '    var request = new XMLHttpRequest();\n' +
+           '    request.open("GET", "source?file=" + encodeURIComponent(filename));\n' +
+           '    request.onload = function() {\n' +
+           '        if (request.status !== 200) return;\n' +
+           '        var div = document.getElementById("source");\n' +
+           '        div.innerHTML = "";\n' +
+           '        JSON.parse(request.responseText).forEach(function(text, n) {\n' +
+           '            var line = document.createElement("div");\n' +
+           '            line.id = "L" + (n+1);\n' +
+           '            line.className = "line";\n' +
+           '            line.innerHTML = "<span class=\\"num\\">" + (n+1) + "</span>" +\n' +
+           '                "<span class=\\"type\\"></span>";\n' +
+           '            line.appendChild(document.createTextNode(text || " "));\n' +
+           '            div.appendChild(line);\n' +
+           '        });\n' +
+           '        shown = filename;\n' +
+           '        document.getElementById("filename").textContent = filename;\n' +
+           '        files[filename].lines.forEach(showLine);\n' +
+           '    };\n' +
+           '    request.send();\n' +
+           '}\n' +
+           'function showLine(data) {\n' +
+           '    var line = document.getElementById("L" + data.linenum);\n' +
+           '    if (!line) return;\n' +
+           '    line.className = "line " + data.coverage;\n' +
+           '    line.getElementsByClassName("type")[0].textContent =\n' +
+           '        data.coverage === "full" ? "// " + data.counts.join(",")\n' +
+           '                                 : data.coverage ? "//" + data.coverage : "";\n' +
+           '}\n' +
+           '</script>\n' +
+           '</body>\n</html>\n');
+
+    return html;
+}
+
+exports.serve = serveLiveCoverage;
@@ -1,21 +1,16 @@
-// This code expects the Coverage class and its various 
-// properties defined in Coverage.js, but that file is not a Node
-// module, so ../Makefile just creates a CoverMonkey file by
-// concatenating Coverage.js with this file.
-// 
-// XXX: it might be nice if the code in this file could just call the 
-// the coverage() function and use its output.  But it isn't currently 
-// written to do that. Refactoring is possible, but calling coverage()
-// directly would mean that -D data can't be streamed: I'd have to read
-// all the data and then process it in one big chunk...
+// The CoverMonkey command-line interface.  main() parses the command
+// line, reads the -D data into an Analyzer (see Analyzer.js), and passes
+// the results to the reporters in Reporters.js.  bin/CoverMonkey calls it.
 //
-var assert = require("assert");
 var fs = require("fs");
 var path = require("path");
 var console = require("console");
-var util = require("util");
+var Coverage = require("./Coverage.js");
+var Analyzer = require("./Analyzer.js");
+var Reporters = require("./Reporters.js");
+var LiveServer = require("./LiveServer.js");
 
-const VERSION = "0.15";
+const VERSION = Analyzer.VERSION;
 
 function usage(code) {
     var done = process.stdout.write(
@@ -26,7 +21,13 @@ function usage(code) {
 "    detect dead code and report code coverage.\n" +
 "\n" +
 "    CoverMonkey reads -D data from stdin by default. Use the -d option\n" +
-"    to make it read from a file instead.\n" +
+"    to make it read from a file instead. Use -d more than once to\n" +
+"    combine the data from several runs into one report.\n" +
+"\n" +
+"    CoverMonkey can save the data it has read with --save, and read\n" +
+"    saved data back in with --merge. This allows the results of\n" +
+"    separate runs, such as the shards of a test suite, to be merged.\n" +
+"    The counts of scripts found in more than one input are summed.\n" +
 "\n" +
 "    CoverMonkey writes basic code coverage statistics to stdout.\n" +
 "    Use -q, -p, -c and -l to modify the information displayed.\n" +
@@ -34,18 +35,66 @@ function usage(code) {
 "    CoverMonkey can generate an HTML file that annotates and colors your \n" +
 "    source code to highlight uncovered and dead code and indicate how\n" +
 "    many times each line executed.  Use the -h, -a, and -b options to \n" +
-"    control HTML generation.\n" +
+"    control HTML generation.  In the HTML, the n and p keys move to the\n" +
+"    next and previous uncovered line, s and S to partially covered\n" +
+"    lines, and d and D to dead lines.\n" +
 "\n" +
 "    By default, CoverMonkey will output coverage information for all \n" +
 "    source files that were run. Use one or more -t options to specify\n" +
-"    which files CoverMonkey should analyze.\n" +
+"    which files CoverMonkey should analyze, and --include and --exclude\n" +
+"    to select files by glob pattern. The same files are used for all of\n" +
+"    the reports.\n" +
+"\n" +
+"    Comments in the source can exclude code from the coverage: use\n" +
+"    /* covermonkey ignore next */ before a statement or function,\n" +
+"    // covermonkey ignore start and // covermonkey ignore end around\n" +
+"    a block of lines, or /* covermonkey ignore file */ anywhere in a\n" +
+"    file. Excluded lines are reported as ignored instead of counting\n" +
+"    towards the coverage.\n" +
+"\n" +
+"    CoverMonkey can enforce minimum coverage levels. If any of the\n" +
+"    thresholds set with --min-coverage, --max-uncovered, --max-dead or\n" +
+"    --thresholds is not met, it lists the failing targets on stderr\n" +
+"    and exits with status 2.\n" +
+"\n" +
+"    CoverMonkey can compare the coverage with that of an earlier run,\n" +
+"    given with --baseline, and list the lines that are no longer\n" +
+"    covered, newly dead or new and uncovered. With --fail-on-regression\n" +
+"    it exits with status 2 if there are any, or if the coverage\n" +
+"    percentage went down.\n" +
 "\n" +
 " Options:\n" +
 "\n" +
-"    -d <file> Read -D data from the specified file instead of stdin\n" +
+"    -d <file> Read -D data from the specified file instead of stdin.\n" +
+"              Multiple -d options are allowed. Use - for stdin.\n" +
+"\n" +
+"    --save <file> Save the coverage data to the specified file so\n" +
+"              that it can be merged with later runs.\n" +
+"\n" +
+"    --merge <file> Merge in the coverage data from a file written\n" +
+"              by --save. Multiple --merge options are allowed. If there\n" +
+"              are --merge options and no -d options, stdin is not read.\n" +
 "\n" +
 "    -t <file> Analyze coverage for the specified target file.\n" +
-"              Multiple -t options are allowed.\n" +
+"              Multiple -t options are allowed. The target may also be\n" +
+"              the basename of a file, if only one file has that name,\n" +
+"              a directory, to analyze all the files under it, or a\n" +
+"              glob pattern.\n" +
+"\n" +
+"    --include <glob> Only analyze files that match the glob pattern,\n" +
+"              such as src/**/*.js. ** matches any number of\n" +
+"              directories. Multiple --include options are allowed. A\n" +
+"              pattern that starts with ! excludes files instead.\n" +
+"\n" +
+"    --exclude <glob> Don't analyze files that match the glob pattern,\n" +
+"              such as **/vendor/**. Multiple --exclude options are\n" +
+"              allowed.\n" +
+"\n" +
+"    --diff <file> Only analyze the lines that the patch in the file,\n" +
+"              a unified diff such as the output of git diff, adds or\n" +
+"              changes. Use - to read the patch from stdin; the -D data\n" +
+"              must then be read with -d. The HTML output shows just the\n" +
+"              changed lines and some context.\n" +
 "\n" +
 "    -q        Quiet: don't display any output to stdout\n" +
 "\n" +
@@ -53,7 +102,9 @@ function usage(code) {
 "\n" +
 "    -c        Display the coverage statistics in compact tabular form\n" +
 "\n" +
-"    -l        List the line numbers of all uncovered lines\n" +
+"    -l        List the line numbers of all uncovered lines, of\n" +
+"              lines with branches that were never taken, and of\n" +
+"              functions that were never called\n" +
 "\n" +
 "    -h <file> Output annotated source code, in HTML format, to the \n" +
 "              specified file.\n" +
@@ -62,16 +113,109 @@ function usage(code) {
 "              This may be useful for understanding partially-covered\n" +
 "              lines.\n" +
 "\n" +
+"    --htmldir <dir> Output the HTML as a directory of files instead:\n" +
+"              an index.html page with a sortable summary table, and one\n" +
+"              page of annotated source code for each target.\n" +
+"\n" +
+"    --collapse Collapse long runs of fully covered lines and lines\n" +
+"              without code in the HTML. Click on them to expand them.\n" +
+"\n" +
 "    -b        Automatically launch a browser window to display the\n" +
 "              HTML. If no -h option, writes HTML to a temporary file.\n" +
+"              With --htmldir, displays the index page.\n" +
 "              This option may only work on MacOS.\n" +
 "\n" +
+"    --lcov <file> Output coverage data to the specified file in the\n" +
+"              LCOV tracefile format read by genhtml and most coverage\n" +
+"              dashboards.\n" +
+"\n" +
+"    --cobertura <file> Output coverage data to the specified file in\n" +
+"              the Cobertura XML format used by Jenkins and GitLab.\n" +
+"\n" +
+"    --json <file> Output coverage data for all targets, along with\n" +
+"              overall totals, to the specified file in JSON format.\n" +
+"\n" +
+"    --hotspots [n] List the n most executed lines and the n most\n" +
+"              called functions of all targets, with the share of all the\n" +
+"              opcodes executed that each accounts for, after the coverage\n" +
+"              statistics and in the HTML output. n defaults to 10.\n" +
+"\n" +
+"    --cfg <dir> Write the control-flow graph of each function of each\n" +
+"              target to the specified directory, as a Graphviz DOT file.\n" +
+"              Unreachable blocks are orange and blocks that never ran are\n" +
+"              red. The HTML output links each function to its graph.\n" +
+"\n" +
+"    --min-coverage <percent> Fail if less than this percentage of the\n" +
+"              significant lines of all targets are fully covered.\n" +
+"\n" +
+"    --max-uncovered <n> Fail if all targets together have more than\n" +
+"              n uncovered lines.\n" +
+"\n" +
+"    --max-dead <n> Fail if all targets together have more than n\n" +
+"              dead lines.\n" +
+"\n" +
+"    --thresholds <file> Read coverage thresholds from the specified\n" +
+"              JSON file. Its \"total\" property holds the thresholds for\n" +
+"              all targets combined, its \"each\" property holds the\n" +
+"              thresholds for every target, and its \"files\" property\n" +
+"              maps target filenames to thresholds for that target alone,\n" +
+"              which override its \"each\" thresholds of the same kind.\n" +
+"              Like -t, a filename may be a basename if only one file has\n" +
+"              that name. A filename that matches no file in the data, or\n" +
+"              a basename of more than one file, is a failure.\n" +
+"              Thresholds are objects with \"coverage\", \"uncovered\" and\n" +
+"              \"dead\" properties, any of which may be omitted. E.g.:\n" +
+"                { \"total\": { \"coverage\": 80 },\n" +
+"                  \"each\": { \"dead\": 0 },\n" +
+"                  \"files\": { \"src/parser.js\": { \"uncovered\": 10 } } }\n" +
+"\n" +
+"    --baseline <file> Compare the coverage with that of an earlier\n" +
+"              run, saved with --save or written with --json. The\n" +
+"              changes are listed after the coverage statistics, and the\n" +
+"              HTML output highlights the changed lines. Lines are\n" +
+"              matched by line number. The overall change is that of\n" +
+"              the files in both runs; new files, and files that are\n" +
+"              no longer in the data, are listed separately.\n" +
+"\n" +
+"    --fail-on-regression Exit with status 2 if the coverage regressed\n" +
+"              since the --baseline run.\n" +
+"\n" +
+"    -f        Force: overwrite existing output files\n" +
+"\n" +
 "    --atlines Honor //@line comments in the source\n" +
 "              This option is probably not generally useful\n" +
 "\n" +
+"    --sourcemaps Use the source maps of the files that were run to\n" +
+"              report coverage of the original source files instead. Maps\n" +
+"              are found with //# sourceMappingURL comments, or in .map\n" +
+"              files next to the files that were run. Lines are mapped to\n" +
+"              the first original line on them, so minified files that\n" +
+"              have only a few lines aren't mapped usefully.\n" +
+"\n" +
+"    --evals   Report the coverage of the code run by eval and new\n" +
+"              Function, in virtual files named for the file and line of\n" +
+"              the call, like \"foo.js:12 (eval)\", and of the top-level\n" +
+"              (null) and -e scripts. The source of these files is made\n" +
+"              from their assembly code, a line for each line of code.\n" +
+"\n" +
+"    --count-fields <names> Name the /-separated count fields of the\n" +
+"              -D data, separated by commas, with - for a field that\n" +
+"              isn't an execution count. The count of an opcode is the\n" +
+"              sum of the named fields. The default, interp,jit,stubs,\n" +
+"              suits current debug builds of SpiderMonkey. The JSON and\n" +
+"              the HTML assembly code show the count of each field.\n" +
+"\n" +
 "    --noecho  CoverMonkey normally echos lines read from stdin to stdout\n" +
 "              if they are not -D output. With this option it does not.\n" +
 "\n" +
+"    --progress Report the number of bytes and scripts read so far on\n" +
+"              stderr every few seconds, for long runs.\n" +
+"\n" +
+"    --serve <port> Start a web server on the specified port of\n" +
+"              localhost that displays the coverage of all files while the\n" +
+"              -D data is still being read, and keeps it up to date. The\n" +
+"              server keeps running after the data ends; stop it with ^C.\n" +
+"\n" +
 "    -v        Display the CoverMonkey version number and exit\n" +
 "\n" +
 "    --help    Display this message and exit\n" +
@@ -84,337 +228,477 @@ function usage(code) {
 }
 
 
-// Loop through the command-line arguments collecting input files and options
-var options = {
-    input: null,
-    quiet: false,     // quiet: don't write to stdout
-    percent: false,   // percents: only output coverage %
-    compact: false,   // tabular output
-    listlines: false, // list individual uncovered lines
-    targets: [],      // Which js files do we want stats on?
-    htmlfile: null,
-    overwrite: false,
-    openhtml: false,  // automatically open the html file in a browser?
-    outputops: false,
-    atlines: false,
-    echo: true,
-};
-
-
-process.argv.shift();  // throw away the path to node
-process.argv.shift();  // throw away the path to this script
-
-while(process.argv.length) {
-    var arg = process.argv.shift();
-    switch(arg) {
-    case '--help':
-        usage(0);
-        break;
-    case '-v':
-        console.log(VERSION);
-        process.exit(0);
-        break;
-    case '-d':
-        if (!process.argv.length || options.inputfile) usage(1);
-        options.input = fs.createReadStream(process.argv.shift(),
-                                            { encoding: "utf8"});
-        break;
-    case '-q':
-        options.quiet = true;
-        break;
-    case '-p':
-        options.percent = true;
-        break;
-    case '-c':
-        options.compact = true;
-        break;
-    case '-l':
-        options.listlines = true;
-        break;
-    case '-t':
-        if (!process.argv.length) usage(1);
-        options.targets.push(process.argv.shift());
-        break;
-    case '-h':
-        if (!process.argv.length) usage(1);
-        if (options.htmlfile) usage(1); // only specify one
-        options.htmlfile = process.argv.shift();
-        break;
-    case '-f':
-        options.overwrite = true;
-        break;
-    case '-b':
-        options.openhtml = true;
-        break;
-    case '-a':
-        options.outputops = true;
-        break;
-    case '--atlines':
-        options.atlines = true;
-        break;
-    case '--noecho':
-        options.echo = false;
-        break;
-    default: 
-        console.log("Unexpected argument: %s", arg);
-        usage(1);
-        break;
+// Loop through the command-line arguments collecting input files and
+// options, and return the options.
+function parseArguments(argv) {
+    var options = {
+        inputs: [],       // -D data files to read; "-" means stdin
+        mergefiles: [],   // saved coverage data files to merge in
+        savefile: null,   // where to save the merged coverage data
+        quiet: false,     // quiet: don't write to stdout
+        percent: false,   // percents: only output coverage %
+        compact: false,   // tabular output
+        listlines: false, // list individual uncovered lines
+        targets: [],      // Which js files do we want stats on?
+        include: [],      // glob patterns of files to analyze
+        exclude: [],      // glob patterns of files not to analyze
+        diff: null,       // patch whose changed lines we want stats on
+        htmlfile: null,
+        htmldir: null,    // multi-page HTML output directory
+        lcovfile: null,   // LCOV tracefile output
+        coberturafile: null, // Cobertura XML output
+        jsonfile: null,   // JSON output
+        cfgdir: null,     // control-flow graph output directory
+        hotspots: 0,      // how many of the most executed lines to list
+        baseline: null,   // coverage of an earlier run to compare with
+        failregression: false, // exit with an error if coverage regressed
+        thresholds: {     // minimum coverage levels to enforce
+            total: {},    // for all targets combined
+            each: {},     // for every individual target
+            files: {}     // for specific targets
+        },
+        overwrite: false,
+        openhtml: false,  // automatically open the html file in a browser?
+        outputops: false,
+        collapse: false,  // collapse uninteresting lines in the HTML?
+        atlines: false,
+        sourcemaps: false, // remap lines with source maps?
+        evals: false,     // report the code run by eval and Function?
+        countFields: null, // names of the -D count fields, if not the default
+        echo: true,
+        progress: false,  // report progress while reading?
+        serve: null       // port number for the live coverage server
+    };
+
+    while(argv.length) {
+        var arg = argv.shift();
+        switch(arg) {
+        case '--help':
+            usage(0);
+            break;
+        case '-v':
+            console.log(VERSION);
+            process.exit(0);
+            break;
+        case '-d':
+            if (!argv.length) usage(1);
+            options.inputs.push(argv.shift());
+            break;
+        case '--save':
+            if (!argv.length) usage(1);
+            if (options.savefile) usage(1); // only specify one
+            options.savefile = argv.shift();
+            break;
+        case '--merge':
+            if (!argv.length) usage(1);
+            options.mergefiles.push(argv.shift());
+            break;
+        case '-q':
+            options.quiet = true;
+            break;
+        case '-p':
+            options.percent = true;
+            break;
+        case '-c':
+            options.compact = true;
+            break;
+        case '-l':
+            options.listlines = true;
+            break;
+        case '-t':
+            if (!argv.length) usage(1);
+            options.targets.push(argv.shift());
+            break;
+        case '--include':
+            if (!argv.length) usage(1);
+            options.include.push(argv.shift());
+            break;
+        case '--exclude':
+            if (!argv.length) usage(1);
+            options.exclude.push(argv.shift());
+            break;
+        case '-h':
+            if (!argv.length) usage(1);
+            if (options.htmlfile) usage(1); // only specify one
+            options.htmlfile = argv.shift();
+            break;
+        case '--htmldir':
+            if (!argv.length) usage(1);
+            if (options.htmldir) usage(1); // only specify one
+            options.htmldir = argv.shift();
+            break;
+        case '--lcov':
+            if (!argv.length) usage(1);
+            if (options.lcovfile) usage(1); // only specify one
+            options.lcovfile = argv.shift();
+            break;
+        case '--cobertura':
+            if (!argv.length) usage(1);
+            if (options.coberturafile) usage(1); // only specify one
+            options.coberturafile = argv.shift();
+            break;
+        case '--json':
+            if (!argv.length) usage(1);
+            if (options.jsonfile) usage(1); // only specify one
+            options.jsonfile = argv.shift();
+            break;
+        case '--hotspots':
+            // The count is optional
+            options.hotspots = /^\d+$/.test(argv[0]) ? parseInt(argv.shift(), 10) : 10;
+            break;
+        case '--cfg':
+            if (!argv.length) usage(1);
+            if (options.cfgdir) usage(1); // only specify one
+            options.cfgdir = argv.shift();
+            break;
+        case '--min-coverage':
+            options.thresholds.total.coverage = numericArg();
+            break;
+        case '--max-uncovered':
+            options.thresholds.total.uncovered = numericArg();
+            break;
+        case '--max-dead':
+            options.thresholds.total.dead = numericArg();
+            break;
+        case '--thresholds':
+            if (!argv.length) usage(1);
+            readThresholds(argv.shift());
+            break;
+        case '--diff':
+            if (!argv.length) usage(1);
+            if (options.diff) usage(1); // only specify one
+            options.diff = argv.shift();
+            break;
+        case '--baseline':
+            if (!argv.length) usage(1);
+            if (options.baseline) usage(1); // only specify one
+            options.baseline = argv.shift();
+            break;
+        case '--fail-on-regression':
+            options.failregression = true;
+            break;
+        case '-f':
+            options.overwrite = true;
+            break;
+        case '-b':
+            options.openhtml = true;
+            break;
+        case '-a':
+            options.outputops = true;
+            break;
+        case '--collapse':
+            options.collapse = true;
+            break;
+        case '--atlines':
+            options.atlines = true;
+            break;
+        case '--sourcemaps':
+            options.sourcemaps = true;
+            break;
+        case '--evals':
+            options.evals = true;
+            break;
+        case '--count-fields':
+            if (!argv.length) usage(1);
+            try {
+                options.countFields = Coverage.parseCountFields(argv.shift());
+            }
+            catch(e) {
+                console.log("--count-fields: %s", e.message);
+                usage(1);
+            }
+            break;
+        case '--noecho':
+            options.echo = false;
+            break;
+        case '--progress':
+            options.progress = true;
+            break;
+        case '--serve':
+            options.serve = numericArg();
+            break;
+        default:
+            console.log("Unexpected argument: %s", arg);
+            usage(1);
+            break;
+        }
     }
-}
 
-// If no input file was specified, then read text from standard in
-if (!options.input) {
-    process.stdin.resume();
-    process.stdin.setEncoding('utf8');
-    options.input = process.stdin;
-}
+    // Return the next command-line argument as a number or display the
+    // usage message if it isn't one.
+    function numericArg() {
+        var arg = argv.shift();
+        if (!/^(\d+\.?\d*|\.\d+)$/.test(arg)) {
+            if (arg !== undefined)
+                console.log("Not a number: %s", arg);
+            usage(1);
+        }
+        return parseFloat(arg);
+    }
+
+    // Read thresholds from the named JSON file into options.thresholds.
+    // Exit if the file can't be read or holds anything but thresholds.
+    function readThresholds(filename) {
+        var config;
+        try {
+            config = JSON.parse(fs.readFileSync(filename, "utf8"));
+        }
+        catch(e) {
+            console.log("Can't read thresholds from %s: %s", filename, e.message);
+            process.exit(1);
+        }
+
+        function bad(key, message) {
+            console.log("Bad thresholds in %s: %s %s", filename, key, message);
+            process.exit(1);
+        }
+        function isObject(x) {
+            return x !== null && typeof x === "object" && !Array.isArray(x);
+        }
+
+        // Check that a set of thresholds only has numbers in range
+        function thresholdsOf(key, t) {
+            if (!isObject(t)) bad(key, "is not an object");
+            for(var p in t) {
+                if (!(p in limits)) bad(key + "." + p, "is not a threshold");
+                var n = t[p];
+                if (typeof n !== "number" || !isFinite(n) ||
+                    n < 0 || n > limits[p])
+                    bad(key + "." + p, "is not a number " +
+                        (isFinite(limits[p]) ? "from 0 to " + limits[p] : "of 0 or more") +
+                        ": " + JSON.stringify(n));
+            }
+            return t;
+        }
+        var limits = { coverage: 100, uncovered: Infinity, dead: Infinity };
 
-// Collect the coverage information, then analyze and report it
-parseScripts(options.input, analyzeAndReportCoverage);
-
-
-// Pass in a source file and line number (sfile, sline)
-// Returns the corresponding "virtual" file and line [vfile, vline]
-// based on @line comments in the specified source file, if any
-function remap(sfile, sline) {
-    if (remap.lastfile === sfile && remap.lastline === sline)
-        return remap.lastresult;
-
-    var atlines = atlineMap[sfile]
-    if (!atlines) {
-        atlines = [];
-        var srclines = fs.readFileSync(sfile, "utf8").split("\n");
-        srclines.forEach(function(l, n) {
-            var match = l.match(atlinePattern);
-            if (match) {
-                atlines.push({
-                    pline: n+1,
-                    vline: parseInt(match[1]),
-                    vfile: match[2]
-                });
+        if (!isObject(config)) bad("the file", "is not an object");
+        for(var kind in config) {
+            if (!(kind in options.thresholds))
+                bad(kind, "is not \"total\", \"each\" or \"files\"");
+        }
+        ["total", "each"].forEach(function(kind) {
+            if (!(kind in config)) return;
+            var t = thresholdsOf(kind, config[kind]);
+            for(var p in t) options.thresholds[kind][p] = t[p];
+        });
+        if ("files" in config) {
+            if (!isObject(config.files)) bad("files", "is not an object");
+            for(var name in config.files) {
+                options.thresholds.files[name] =
+                    thresholdsOf("files[" + JSON.stringify(name) + "]",
+                                 config.files[name]);
             }
-        })
-        
-        atlineMap[sfile] = atlines;
+        }
     }
 
-    var vfile = sfile, vline = sline;
+    // If no input file was specified, then read text from standard in
+    if (options.inputs.length === 0 && options.mergefiles.length === 0)
+        options.inputs.push("-");
 
-    for(var i = 0; i < atlines.length; i++) {
-        var a = atlines[i];
-        if (a.pline >= sline) break;
-        else {
-            vfile = a.vfile;
-            vline = sline - a.pline + a.vline - 1;
-        }
+    // Standard in can't hold both the patch and the -D data
+    if (options.diff === "-" && options.inputs.indexOf("-") !== -1) {
+        console.log("--diff - reads the patch from stdin: use -d or --merge " +
+                    "for the coverage data");
+        usage(1);
     }
 
-    remap.lastfile = sfile;
-    remap.lastline = sline;
-    return remap.lastresult = [vfile, vline];
+    return options;
 }
 
-// Maps filenames to an array of AtLine objects
-var atlineMap = {};
-// What an @line comment looks like
-var atlinePattern = /\/\/@line (\d+) "([^"]+)"/;
-
-// Read a stream of -D data and parse it. Interpret filenames relative to
-// the specified directory.  If stream is stdin then any lines before the
-// beginning of the -D data are printed to stdout.
-function parseScripts(stream, callback) {
-    var fragment = "";  // line fragments we haven't processed yet
-    var parser = new Coverage.Parser(options.atlines ? remap : null);
-
-    stream.on('data', function(chunk) {
-        // Add any pending fragment to this chunk and break into lines
-        var lines = (fragment + chunk).split("\n");
-        
-        // The last element of the array is an unterminated line
-        fragment = lines.pop();
-        
-        // Now process the complete lines we got
-        lines.forEach(function(line) {
-            var consumed = parser.processLine(line);
-            if (!consumed && stream === process.stdin && options.echo) {
-                console.log(line);
-            }
-        });
+// Run CoverMonkey with the specified array of command-line arguments,
+// not including the paths of node and the script.
+function main(argv) {
+    var options = parseArguments(argv.slice());
+    var analyzer = new Analyzer({
+        atlines: options.atlines,
+        sourcemaps: options.sourcemaps,
+        countFields: options.countFields,
+        evals: options.evals,
+        // Only keep the assembly code if something will show it
+        assembly: options.outputops || !!options.savefile || !!options.cfgdir
+    });
+    analyzer.on("warning", function(message) {
+        console.warn("CoverMonkey: %s", message);
     });
 
-    stream.on('end', function() {
-        if (fragment != "") {
-            var consumed = parser.processLine(fragment);
-            if (!consumed && stream === process.stdin && options.echo) {
-                console.log(fragment);
-            }
-        }
+    // Start the live coverage server, if requested.  It shows what the
+    // analyzer reads as it reads it.
+    if (options.serve !== null) {
+        LiveServer.serve(options.serve, analyzer, {
+            filter: Analyzer.fileFilter(options.include, options.exclude)
+        });
+    }
+
+    // Read the patch, if there is one, and the coverage information,
+    // then analyze and report it
+    readDiff(options, function() {
+        readCoverage(analyzer, options, analyze);
+    });
 
-        if (parser.scripts.length === 0) {
+    function analyze() {
+        if (analyzer.scripts.length === 0) {
             console.log("CoverMonkey: No coverage data to process.\n" +
                         "CoverMonkey: Are you using a debug build of spidermonkey?");
             process.exit(0);
         }
 
-        callback(parser.scripts);
-    });
-}
-
-
-// Analyize the input and generate the output
-function analyzeAndReportCoverage(scripts) {
-    var data = {};
+        analyzer.end();
+        if (options.savefile) saveCoverage(analyzer, options);
 
-    // Convert the array of Script objects to an object mapping filenames
-    // to File objects
-    scripts.forEach(function(script) {
-        var filename = script.filename;
-        if (!(filename in data)) {
-            data[filename] = new Coverage.File(filename);
+        var results = analyzer.results(options.targets, options);
+        if (!options.baseline) {
+            reportCoverage(results, options);
+            return;
         }
-        var file = data[filename];
 
-        script.opcodes.forEach(function(opcode) {
-            file.line(opcode.srcline).addOpcode(script.name + ":" + opcode.pc,
-                                                opcode);
+        // Compare the results with the baseline run
+        Analyzer.loadBaseline(options.baseline, options, function(e, baseline) {
+            if (e) {
+                console.log("CoverMonkey: can't read baseline %s: %s",
+                            options.baseline, e.message);
+                process.exit(1);
+            }
+            options.comparison = Analyzer.compare(baseline, results, options);
+            reportCoverage(results, options);
         });
+    }
+}
+
+// Read the patch named by options.diff, if any, and set options.changes
+// to the lines that it changes, as the results() of an Analyzer expect.
+// Then invoke the callback.
+function readDiff(options, callback) {
+    if (!options.diff) {
+        callback();
+        return;
+    }
+
+    var stream = options.diff === "-" ? process.stdin :
+        fs.createReadStream(options.diff);
+    var text = "";
+    stream.setEncoding("utf8");
+    stream.on("data", function(chunk) { text += chunk; });
+    stream.on("error", function(e) {
+        console.log("CoverMonkey: can't read %s: %s", options.diff, e.message);
+        process.exit(1);
+    });
+    stream.on("end", function() {
+        options.changes = Analyzer.parseDiff(text);
+        callback();
+    });
+    if (stream.resume) stream.resume();
+}
+
+// Read the saved coverage data and the -D data from all of the inputs
+// into the analyzer, so that repeated scripts have their counts summed.
+// Then invoke the callback.  If an input is stdin then any lines that aren't -D
+// data are printed to stdout.  With the progress option, report how
+// much has been read on stderr every 5 seconds, and at the end.
+function readCoverage(analyzer, options, callback) {
+    var inputs = options.mergefiles.map(function(filename) {
+        return { filename: filename, saved: true };
+    }).concat(options.inputs.map(function(filename) {
+        return { filename: filename, saved: false };
+    }));
+    var echo = false;  // Echo the lines of the current input?
+
+    analyzer.on("text", function(line) {
+        if (echo) console.log(line);
     });
 
+    var timer = options.progress ? setInterval(progress, 5000) : null;
+    next();
 
-    // If no targets were specified, use all known files as targets
-    if (options.targets.length === 0) { 
-        for(filename in data) {
-            // -D outputs a "(null)" script for the toplevel
-            if (path.basename(filename) === "(null)") continue;
-            options.targets.push(filename);
+    function next() {
+        var input = inputs.shift();
+        if (!input) {
+            if (timer) {
+                clearInterval(timer);
+                progress();
+            }
+            callback();
+            return;
         }
-        options.targets.sort();         // Alphabetially
+
+        var stream = input.filename === "-" ? process.stdin :
+            fs.createReadStream(input.filename);
+        echo = stream === process.stdin && options.echo;
+
+        analyzer.read(stream, input.saved, function(e) {
+            if (e) {
+                console.log("CoverMonkey: can't read %s: %s",
+                            input.filename, e.message);
+                process.exit(1);
+            }
+            next();
+        });
     }
 
-    // Now loop through the targets and output coverage data for each one
-    // Unless the -q option was used
-    if (!options.quiet) {
+    function progress() {
+        var p = analyzer.progress();
+        console.warn("CoverMonkey: read %s MB, %d scripts (%d distinct)",
+                     (p.bytes / 1048576).toFixed(1), p.scripts, p.distinct);
+    }
+}
 
-        var total = {
-            lines: 0, 
-            covered: 0,
-            partial: 0,
-            uncovered: 0,
-            dead: 0
-        };
-
-        if (options.compact) {
-            console.log("%s %s", pad(47), pad.center("Coverage", 28));
-            console.log("Cover% %s %s %s %s %s %s",
-                        pad.right("Filename", 32),
-                        pad.right("Lines", 7),
-                        pad.right("Full", 7),
-                        pad.right("Partial", 7),
-                        pad.right("None", 7),
-                        pad.right("Dead", 7));
-                        
-        }
+// Write the scripts to options.savefile so they can be merged later
+function saveCoverage(analyzer, options) {
+    var out = createOutput(options.savefile, "saved coverage", options);
+    if (!out) return;
+    analyzer.save(out);
+    out.end();
+}
 
-        options.targets.forEach(function(target, index) {
-            var file = data[target];
-
-            // If file is null here look for a file name with the same basename
-            // And alter the target in the array
-            if (!file) {
-                target = path.basename(target);
-
-                for(var filename in data) {
-                    if (path.basename(filename) === target) {
-                        target = filename;
-                        file = data[filename];
-                        options.targets[index] = target;
-                        break;
-                    }
-                }
-                if (!file) {
-                    console.warn("Unknown target file %s", target);
-                    return; 
-                }
-            }
+// Output the coverage results in all the requested forms
+function reportCoverage(results, options) {
+    // Don't guess which of several files with the same name was meant
+    if (results.ambiguous.length) {
+        results.ambiguous.forEach(function(a) {
+            console.warn("CoverMonkey: target %s is ambiguous. It matches:\n    %s",
+                         a.target, a.matches.join("\n    "));
+        });
+        console.warn("CoverMonkey: use a longer path to pick one of them.");
+        process.exit(1);
+    }
 
-            var coverage = file.coverage();
-            var covered = coverage[0];
-            var partial = coverage[1];
-            var uncovered = coverage[2];
-            var dead = coverage[3];
-            var lines = covered + partial + uncovered + dead;
-
-            total.lines += lines;
-            total.covered += covered;
-            total.partial += partial;
-            total.uncovered += uncovered;
-            total.dead += dead;
-
-            if (options.compact) {
-                console.log("%s% %s %s %s %s %s %s",
-                            pad.right(percent(covered/lines), 5),
-                            pad.right(target, 32),
-                            pad.right(lines, 7),
-                            pad.right(covered, 7),
-                            pad.right(partial, 7),
-                            pad.right(uncovered, 7),
-                            pad.right(dead, 7));
-            }
-            else if (options.percent  || covered === lines) {
-                console.log("%s: %s%", target, percent(covered/lines));
-            }
-            else {
-                console.log("%s: %s%\n\t" +
-                            "significant lines: %d\n\t" +
-                            "          covered: %d (%s%)\n\t" +
-                            "partially covered: %d (%s%)\n\t" +
-                            "        uncovered: %d (%s%)\n\t" +
-                            "             dead: %d (%d%)",
-                            target, percent(covered/lines),  lines,
-                            covered, percent(covered/lines),
-                            partial, percent(partial/lines),
-                            uncovered, percent(uncovered/lines),
-                            dead, percent(dead/lines));
-
-                if (options.listlines) {
-                    for(linenum in file.lines) {
-                        var line = file.lines[linenum];
-                        var msg = null;
-                        switch(line.coverage()) {
-                        case 'some':
-                            msg = "partially covered";
-                            break;
-                        case 'none':
-                            msg = "uncovered";
-                            break;
-                        case 'dead':
-                            msg = "unreachable";
-                            break;
-                        }
-                        if (msg) console.log("%s:%d: %s",
-                                             file.name, linenum, msg);
-                    }
-                }
-            }
+    // Nor report on fewer files than were asked for
+    if (results.unknown.length) {
+        results.unknown.forEach(function(target) {
+            console.warn("CoverMonkey: unknown target %s. No file in the " +
+                         "coverage data matches it.", target);
         });
+        process.exit(1);
+    }
+
+    // Unless the -q option was used, display the coverage of each target
+    if (!options.quiet) {
+        Reporters.text(results, process.stdout, options);
+        if (options.hotspots) Reporters.hotspots(results, process.stdout, options);
+        if (options.comparison)
+            Reporters.comparison(results, process.stdout, options);
+    }
 
-        if (options.compact) {
-            console.log("%s% %s %s %s %s %s %s",
-                        pad.right(percent(total.covered/total.lines), 5),
-                        pad.right("ALL FILES", 32),
-                        pad.right(total.lines, 7),
-                        pad.right(total.covered, 7),
-                        pad.right(total.partial, 7),
-                        pad.right(total.uncovered, 7),
-                        pad.right(total.dead, 7));
+    if (options.htmldir) {
+        // Check for an existing report up front so that we don't
+        // overwrite some of its files and then complain about the others.
+        var index = path.join(options.htmldir, "index.html");
+        if (!options.overwrite && fs.existsSync(index)) {
+            console.log("%s exists: no HTML output written. Use -f to force overwrite",
+                        index);
         }
         else {
-            console.log("Overall Coverage: %s%",
-                        percent(total.covered/total.lines));
+            Reporters.htmlDir(results, options.htmldir,
+                              htmlOptions(options, options.htmldir), function(e) {
+                if (e) cantWrite(options.htmldir, e);
+                if (options.openhtml && !options.htmlfile) {
+                    require("child_process").spawn("open", [index]);
+                }
+            });
         }
     }
 
-    if (options.htmlfile || options.openhtml) {
+    if (options.htmlfile || (options.openhtml && !options.htmldir)) {
         // If no html filename specified, use a temporary file
         // XXX: this may be MacOS dependent.  Surprisingly, Node
         // doesn't have temporary path creation utility.
@@ -424,171 +708,94 @@ function analyzeAndReportCoverage(scripts) {
                 Math.floor(Math.random()*100000000) + ".html";
         }
 
-        outputHTML(data, function() {
-            if (options.openhtml) {
-                require("child_process").spawn("open", [options.htmlfile]);
-            }
-        });
+        writeReport(options.htmlfile, "HTML", Reporters.html, results,
+                    htmlOptions(options, path.dirname(options.htmlfile)),
+                    function() {
+                        if (options.openhtml) {
+                            require("child_process").spawn("open",
+                                                           [options.htmlfile]);
+                        }
+                    });
     }
-}
-
-// Return a string of n spaces where n is <= 50;
-function pad(n) { return pad.spaces.substring(0,n); }
-pad.spaces = "                                                  ";
-
-// Return the string s centered in a field n characters wide
-pad.center = function(s, n) {
-    s = String(s);
-    if (s.length >= n) return s;
-    var left = Math.floor((n - s.length)/2),
-        right = n - s.length - left;
-    return pad(left) + s + pad(right);
-};
-// Return the string s right-justified in a field n characters wide
-pad.right = function(s, n) {
-    s = String(s);
-    if (s.length >= n) return s.substring(s.length-n);
-    return pad(n - s.length) + s;
-}
-// Return the string s left-justified in a field n characters wide
-pad.left = function(s, n) {
-    s = String(s);
-    if (s.length >= n) return s.substring(0,n);
-    return s + pad(n - s.length);
-}
 
+    if (options.cfgdir) {
+        if (!options.overwrite && fs.existsSync(options.cfgdir)) {
+            console.log("%s exists: no control-flow graphs written. Use -f to force overwrite",
+                        options.cfgdir);
+        }
+        else {
+            Reporters.cfg(results, options.cfgdir, function(e) {
+                if (e) cantWrite(options.cfgdir, e);
+            });
+        }
+    }
 
-// Write an HTML file of coverage information.
-// Invoke the callback when the file has been written.
-function outputHTML(files, callback) {
-    if (!options.htmlfile) return;
+    if (options.lcovfile)
+        writeReport(options.lcovfile, "LCOV", Reporters.lcov, results, options);
+    if (options.coberturafile)
+        writeReport(options.coberturafile, "Cobertura", Reporters.cobertura,
+                    results, options);
+    if (options.jsonfile)
+        writeReport(options.jsonfile, "JSON", Reporters.json, results, options);
+
+    var failures = Reporters.checkThresholds(results, options.thresholds);
+    if (failures.length) {
+        console.error("CoverMonkey: coverage thresholds not met:");
+        failures.forEach(function(msg) { console.error("\t%s", msg); });
+        process.exitCode = 2;
+    }
 
-    if (!options.overwrite && path.existsSync(options.htmlfile)) {
-        console.log("%s exists: no HTML output written. Use -f to force overwrite",
-                    options.htmlfile);
-        return;
+    if (options.failregression && options.comparison &&
+        options.comparison.regressed) {
+        console.error("CoverMonkey: coverage regressed since the baseline %s",
+                      options.baseline);
+        process.exitCode = 2;
     }
+}
 
-    var out = fs.createWriteStream(options.htmlfile);
-    out.on("close", function() { callback(); });
+// Return a copy of the options for an HTML report written to the
+// specified directory, with the URL of the --cfg directory added
+function htmlOptions(options, dir) {
+    var copy = {};
+    for(var p in options) copy[p] = options[p];
+    if (options.cfgdir) {
+        copy.cfgurl = path.relative(dir, options.cfgdir).split(path.sep).join("/");
+    }
+    return copy;
+}
 
-    function printf(fmt) {
-        out.write(util.format.apply(util, Array.prototype.slice.call(arguments,0)));
+// Open the named output file and return a writable stream for it, or
+// return null if the file exists and -f was not specified. The kind
+// argument describes the output for the warning message.  If the file
+// can't be written, exit with an error.
+function createOutput(filename, kind, options) {
+    if (!options.overwrite && fs.existsSync(filename)) {
+        console.log("%s exists: no %s output written. Use -f to force overwrite",
+                    filename, kind);
+        return null;
     }
-    
-    printf('<html><head>\n' +
-           '<title>CoverMonkey Code Coverage</title>\n' + 
-           '<style type="text/css">\n' +
-           '.line {white-space: pre; font-family: monospace; font-weight: bold; padding:1px;}\n' +
-           '.full {background-color: #fff}\n' +  // white for full coverage
-           '.none {background-color: #faa}\n' +  // red for no coverage
-           '.some {background-color: #ffa}\n' +  // yellow for partial coverage
-           '.dead {background-color: #fca}\n' +  // orange for dead code
-           '.p0 {color:#000;}\n' +
-           '.p1 {color:#200;}\n' +
-           '.p2 {color:#400;}\n' +
-           '.p3 {color:#600;}\n' +
-           '.p4 {color:#800;}\n' +
-           '.p5 {color:#a00;}\n' +
-           '.p6 {color:#c00;}\n' +
-           '.p7 {color:#e00;}\n' +
-           '.p8 {color:#f00;}\n' +
-           '.p9 {color:#f00;}\n' +
-           'table {border-collapse:collapse;}\n' +
-           'td, th {border:solid black 1px; padding:3px 5px 3px 5px;}\n' +
-           'th {background-color:rgba(0,0,0,0.1)}\n' +
-           '.num {float:left; font-weight:bold; text-align:right; margin-right:1%; width:4%; text-decoration:none; color:inherit;}\n' +
-           '.type {float:right; font-weight:bold; font-size:smaller; text-align:left; margin-left:1%; width:9%; }\n' +
-           '.ops { margin-left: 5%; padding-left: 10px; }\n' +
-           '.hidden { display:none; }\n' +
-           '</style>\n' +
-           '<script>\n' +
-           'document.addEventListener("click", clickHandler, true);\n' +
-           'function clickHandler(e) {\n' +
-           '    if (e.target.classList.contains("num")) return;\n' +
-           '    for(var elt = e.target; elt; elt = elt.parentNode) {\n' +
-           '        if (elt.classList.contains("line")) {\n' +
-           '            elt = elt.getElementsByTagName("table")[0];\n' +
-           '            if (elt) elt.classList.toggle("hidden");\n' +
-           '            return;\n' +
-           '        }\n' +
-           '    }\n' +
-           '}\n' +
-           '</script>\n' +
-           '</head>\n' +
-           '<body>\n' +
-           '<h1>CoverMonkey Code Coverage</h1>\n'
-          );
-
-    
-    printf('<table>\n<tr><th>Source File<th>Executable Lines' +
-           '<th>Covered<th>Partial<th>Uncovered<th>Dead</tr>\n');
-
-    // Summary table
-    options.targets.forEach(function(target) {
-        var file = files[target];
-        var coverage = file.coverage();
-        var covered = coverage[0];
-        var partial = coverage[1];
-        var uncovered = coverage[2];
-        var dead = coverage[3];
-        var lines = covered + partial + uncovered + dead;
-        printf('<tr><td><a href="#%s">%s</a><td>%d' +
-               '<td>%d (%d%)<td>%d (%d%)<td>%d (%d%)<td>%d (%d%)</tr>\n',
-               target, target, lines, 
-               covered, percent(covered/lines),
-               partial, percent(partial/lines),
-               uncovered, percent(uncovered/lines),
-               dead, percent(dead/lines));
-        
-    });
 
-    printf("</table>\n");
-
-    // Now output the annotated source code of each target
-    options.targets.forEach(function(target) {
-        var file = files[target];
-        var srclines = fs.readFileSync(target, "utf8").split("\n");
-
-        printf('<a name="%s"><h2>%s</h2></a>\n', target, target);
-        srclines.forEach(function(srcline, linenum) {
-            linenum += 1; // line numbers are 1-based, not 0-based
-            var linedata = file.lines[linenum];
-            var cov = file.coverageClass(linenum);
-            var c = "line" + cov + file.profileClass(linenum);
-            if (srcline === "") srcline = " "; // To make the HTML format right.
-            if (cov) {
-                if (cov === " full") {
-                    var counts = linedata.counts();
-                    cov = "// " + counts.join(",");
-                }
-                else
-                    cov = "//" + cov;
-            }
-            printf('<div id="%s:%d" class="%s"><a href="#%s:%d" class="num">%d</a>' +
-                   '<span class="type">%s</span>%s',
-                   target, linenum, c, target, linenum, linenum, cov, srcline);
-
-            if (options.outputops && linedata) {
-                printf('<table class="ops hidden">');
-                printf('<tr><th>Function @<th>PC<th>#<th>Instruction</tr>');
-                for(pc in linedata.opcodes) {
-                    var opcode = linedata.opcodes[pc];
-                    var idx = pc.lastIndexOf(":");
-                    printf("<tr><td>%s<td>%s<td>%d<td>%s</tr>",
-                           pc.substring(0,idx),
-                           pc.substring(idx+1),
-                           opcode.count,
-                           opcode.assembly);
-                }
-                printf("</table>");
-            }
-            printf("</div>\n");  // close the line div
-        });
-    });
-    
-    printf("</body>\n</html>\n");
+    var out = fs.createWriteStream(filename);
+    out.on("error", function(e) { cantWrite(filename, e); });
+    return out;
+}
+
+// Report that the named output file or directory couldn't be written
+// because of the error e, and exit
+function cantWrite(filename, e) {
+    console.log("CoverMonkey: can't write %s: %s", filename, e.message);
+    process.exit(1);
+}
+
+// Write the named file with one of the functions in Reporters.js, unless
+// createOutput() refuses to.  Invoke the optional callback when the file
+// has been written.
+function writeReport(filename, kind, reporter, results, options, callback) {
+    var out = createOutput(filename, kind, options);
+    if (!out) return;
+    if (callback) out.on("close", callback);
+    reporter(results, out, options);
     out.end();
 }
 
-function percent(x) { return (x*100).toFixed(1); }
+exports.main = main;
@@ -0,0 +1,143 @@
+// The covermonkey-node command-line interface.  main() runs a Node
+// program with the files it loads instrumented by Instrumenter.js, and
+// writes -D data for CoverMonkey when the program exits.
+// bin/covermonkey-node calls it.
+//
+var fs = require("fs");
+var path = require("path");
+var console = require("console");
+var Analyzer = require("./Analyzer.js");
+var Instrumenter = require("./Instrumenter.js");
+
+const VERSION = Analyzer.VERSION;
+
+function usage(code) {
+    var done = process.stdout.write(
+"Usage: covermonkey-node [options] <script> [arguments]\n" +
+"       covermonkey-node --instrument <file>\n" +
+"\n" +
+"    covermonkey-node runs a Node program and writes data in the format\n" +
+"    of SpiderMonkey's -D option for CoverMonkey to read, so that code\n" +
+"    coverage can be measured without a debug build of SpiderMonkey:\n" +
+"\n" +
+"        covermonkey-node my_tests.js | CoverMonkey -h coverage.html\n" +
+"\n" +
+"    The JavaScript files that the program loads with require() are\n" +
+"    instrumented with counters for their statements and branches, except\n" +
+"    for the files in node_modules directories. ES modules aren't\n" +
+"    instrumented. The data is written when the program exits.\n" +
+"\n" +
+"    The arguments after the script are passed to it.\n" +
+"\n" +
+"Options:\n" +
+"\n" +
+"    -o <file> Write the -D data to the file instead of stdout. Use this\n" +
+"              if the program writes to stdout itself.\n" +
+"\n" +
+"    --include <glob> Only instrument files that match the glob pattern,\n" +
+"              as for CoverMonkey's --include option. Multiple --include\n" +
+"              options are allowed.\n" +
+"\n" +
+"    --exclude <glob> Don't instrument files that match the glob pattern.\n" +
+"              Multiple --exclude options are allowed.\n" +
+"\n" +
+"    --instrument <file> Write an instrumented copy of the file to stdout\n" +
+"              and exit, to run in another JavaScript engine. After the\n" +
+"              code has run, __CoverMonkey.trace() returns its -D data.\n" +
+"\n" +
+"    -v        Display the CoverMonkey version number and exit\n" +
+"\n" +
+"    --help    Display this message and exit\n" +
+""
+    );
+
+    if (done) process.exit(code);
+    else process.stdout.on('drain', function() { process.exit(code); });
+
+}
+
+
+// Collect the options up to the name of the script, and return them.  The
+// script and its arguments are left in options.args.
+function parseArguments(argv) {
+    var options = {
+        output: null,     // where to write the -D data; null means stdout
+        include: [],      // glob patterns of files to instrument
+        exclude: [],      // glob patterns of files not to instrument
+        instrument: null, // file to write an instrumented copy of
+        args: []          // the script and its arguments
+    };
+
+    while(argv.length) {
+        var arg = argv.shift();
+        switch(arg) {
+        case '--help':
+            usage(0);
+            break;
+        case '-v':
+            console.log(VERSION);
+            process.exit(0);
+            break;
+        case '-o':
+            if (!argv.length) usage(1);
+            if (options.output) usage(1); // only specify one
+            options.output = argv.shift();
+            break;
+        case '--include':
+            if (!argv.length) usage(1);
+            options.include.push(argv.shift());
+            break;
+        case '--exclude':
+            if (!argv.length) usage(1);
+            options.exclude.push(argv.shift());
+            break;
+        case '--instrument':
+            if (!argv.length) usage(1);
+            options.instrument = argv.shift();
+            break;
+        default:
+            if (arg.charAt(0) === "-") {
+                console.log("Unexpected argument: %s", arg);
+                usage(1);
+            }
+            options.args = [arg].concat(argv);
+            argv = [];
+            break;
+        }
+    }
+
+    if (!options.instrument && !options.args.length) usage(1);
+    return options;
+}
+
+// Run covermonkey-node with the specified array of command-line
+// arguments, not including the paths of node and the script.
+function main(argv) {
+    var options = parseArguments(argv.slice());
+
+    if (options.instrument) {
+        try {
+            var source = fs.readFileSync(options.instrument, "utf8");
+            process.stdout.write(Instrumenter.instrument(source.replace(/^\uFEFF/, ""),
+                                                         options.instrument));
+        }
+        catch(e) {
+            console.log("Can't instrument %s: %s", options.instrument, e.message);
+            process.exit(1);
+        }
+        return;
+    }
+
+    Instrumenter.register({
+        include: options.include,
+        exclude: options.exclude,
+        output: options.output
+    });
+
+    // Run the script as if node had been given it
+    var script = path.resolve(options.args[0]);
+    process.argv = [process.argv[0], script].concat(options.args.slice(1));
+    require("module").runMain();
+}
+
+exports.main = main;
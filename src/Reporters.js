@@ -0,0 +1,1278 @@
+// The CoverMonkey reporters.  Each of them takes the results object
+// returned by Analyzer.prototype.results() and writes a report of them
+// to a writable stream, which it does not end.  Some also take an object
+// of options, with the same names as the command-line options in
+// NodeApp.js.  The exceptions are htmlDir() and cfg(), which write
+// directories.
+//
+var fs = require("fs");
+var path = require("path");
+var util = require("util");
+var Analyzer = require("./Analyzer.js");
+
+const VERSION = Analyzer.VERSION;
+
+// Write the coverage statistics of each target and the overall coverage
+// as text.  Options:
+//   percent:   only output the coverage percentage of each target
+//   compact:   output the statistics as a table
+//   listlines: list the uncovered lines, untaken branches and uncalled
+//              functions of each target
+function outputText(results, out, options) {
+    var println = printer(out, "\n");
+    var files = results.files, total = results.total;
+    options = options || {};
+
+    if (options.compact) {
+        // The banner is centred over the Full to Ignored columns, which
+        // count lines
+        println("%s %s", pad(47), pad.center("Coverage", 5*7 + 4));
+        println("Cover% %s %s %s %s %s %s %s %s %s",
+                pad.right("Filename", 32),
+                pad.right("Lines", 7),
+                pad.right("Full", 7),
+                pad.right("Partial", 7),
+                pad.right("None", 7),
+                pad.right("Dead", 7),
+                pad.right("Ignored", 7),
+                pad.right("Branch%", 7),
+                pad.right("Funcs", 9));
+    }
+
+    results.targets.forEach(function(target) {
+        var file = files[target];
+        var stats = Analyzer.fileStats(file);
+        var lines = stats.lines, covered = stats.covered,
+            partial = stats.partial, uncovered = stats.uncovered,
+            dead = stats.dead;
+
+        if (options.compact) {
+            println("%s% %s %s %s %s %s %s %s %s %s",
+                    pad.right(percent(fraction(stats)), 5),
+                    pad.right(target, 32),
+                    pad.right(lines, 7),
+                    pad.right(covered, 7),
+                    pad.right(partial, 7),
+                    pad.right(uncovered, 7),
+                    pad.right(dead, 7),
+                    pad.right(stats.ignored, 7),
+                    pad.right(branchPercent(stats), 7),
+                    pad.right(stats.functionsCalled + "/" +
+                              stats.functions, 9));
+        }
+        else if (lines === 0 && stats.ignored) {
+            println("%s: ignored", target);
+        }
+        else if (options.percent  || covered === lines) {
+            // Files without significant lines are fully covered
+            println("%s: %s%", target, percent(fraction(stats)));
+        }
+        else {
+            println("%s: %s%\n\t" +
+                    "significant lines: %d\n\t" +
+                    "          covered: %d (%s%)\n\t" +
+                    "partially covered: %d (%s%)\n\t" +
+                    "        uncovered: %d (%s%)\n\t" +
+                    "             dead: %d (%d%)",
+                    target, percent(covered/lines),  lines,
+                    covered, percent(covered/lines),
+                    partial, percent(partial/lines),
+                    uncovered, percent(uncovered/lines),
+                    dead, percent(dead/lines));
+            if (stats.ignored) {
+                println("\t          ignored: %d", stats.ignored);
+            }
+            if (stats.branches) {
+                println("\t         branches: %d/%d (%s%)",
+                        stats.branchesTaken, stats.branches,
+                        branchPercent(stats));
+            }
+            if (stats.functions) {
+                println("\t        functions: %d/%d called (%s%)",
+                        stats.functionsCalled, stats.functions,
+                        percent(stats.functionsCalled/stats.functions));
+            }
+
+            if (options.listlines) {
+                for(var linenum in file.lines) {
+                    var line = file.lines[linenum];
+                    var msg = null;
+                    switch(line.coverage()) {
+                    case 'some':
+                        msg = "partially covered";
+                        break;
+                    case 'none':
+                        msg = "uncovered";
+                        break;
+                    case 'dead':
+                        msg = "unreachable";
+                        break;
+                    }
+                    if (msg) println("%s:%d: %s",
+                                     file.name, linenum, msg);
+
+                    Analyzer.untakenBranches(line).forEach(function(target) {
+                        println("%s:%d: branch to line %d never taken",
+                                file.name, linenum, target.srcline);
+                    });
+                }
+
+                file.functions().forEach(function(f) {
+                    if (f.calls === 0)
+                        println("%s:%d: function %s never called",
+                                file.name, f.line, f.name);
+                });
+            }
+        }
+    });
+
+    if (options.compact) {
+        println("%s% %s %s %s %s %s %s %s %s %s",
+                pad.right(percent(fraction(total)), 5),
+                pad.right("ALL FILES", 32),
+                pad.right(total.lines, 7),
+                pad.right(total.covered, 7),
+                pad.right(total.partial, 7),
+                pad.right(total.uncovered, 7),
+                pad.right(total.dead, 7),
+                pad.right(total.ignored, 7),
+                pad.right(branchPercent(total), 7),
+                pad.right(total.functionsCalled + "/" +
+                          total.functions, 9));
+    }
+    else {
+        println("Overall Coverage: %s%",
+                percent(fraction(total)));
+    }
+}
+
+
+// Write the hotspots.n most executed lines and the most called functions
+// of the targets as text, with the share of all the opcodes executed
+// that each accounts for.
+function outputHotspots(results, out, options) {
+    var println = printer(out, "\n");
+    var hotspots = Analyzer.hotspots(results.files, results.targets,
+                                     options.hotspots);
+
+    function share(executions) {
+        return pad.right(percent(executions/(hotspots.executions || 1)), 6);
+    }
+
+    println("Most executed lines (of %d opcodes executed):",
+            hotspots.executions);
+    println("%s %s  %s", pad.right("Count", 10), pad.right("Ops%", 6), "Line");
+    hotspots.lines.forEach(function(l) {
+        println("%s %s  %s:%d", pad.right(l.count, 10), share(l.executions),
+                l.filename, l.line);
+    });
+
+    println("Most called functions:");
+    println("%s %s  %s", pad.right("Calls", 10), pad.right("Ops%", 6), "Function");
+    hotspots.functions.forEach(function(f) {
+        println("%s %s  %s (%s:%d)", pad.right(f.calls, 10), share(f.executions),
+                f.name, f.filename, f.line);
+    });
+}
+
+// Write the changes in coverage since the baseline run, as found by
+// Analyzer.compare() and passed as options.comparison.  With the
+// listlines option, the lines that are now covered are listed too.
+function outputComparison(results, out, options) {
+    var println = printer(out, "\n");
+    var comparison = options.comparison;
+    var describe = {
+        some: "partially covered",
+        none: "uncovered",
+        dead: "unreachable"
+    };
+
+    println("Changes from baseline:");
+    comparison.files.forEach(function(diff) {
+        var name = diff.filename;
+        if (!diff.before) {
+            println("%s: new file, %s%", name, percent(fraction(diff.after)));
+        }
+        else if (diff.regressed || diff.improved.length ||
+                 fraction(diff.after) !== fraction(diff.before)) {
+            println("%s: %s", name, change(diff.before, diff.after));
+        }
+
+        diff.lost.forEach(function(linenum) {
+            println("%s:%d: was covered, now %s", name, linenum,
+                    describe[results.files[name].lines[linenum].coverage()]);
+        });
+        diff.dead.forEach(function(linenum) {
+            if (diff.lost.indexOf(linenum) === -1)
+                println("%s:%d: newly unreachable", name, linenum);
+        });
+        diff.added.forEach(function(linenum) {
+            println("%s:%d: new uncovered line", name, linenum);
+        });
+        if (options.listlines) {
+            diff.improved.forEach(function(linenum) {
+                println("%s:%d: now covered", name, linenum);
+            });
+        }
+    });
+    comparison.removed.forEach(function(removed) {
+        println("%s: no longer in the data, was %s%", removed.filename,
+                percent(fraction(removed.before)));
+    });
+    println("Overall Coverage: %s%s",
+            change(comparison.before, comparison.after),
+            comparison.added.length || comparison.removed.length
+                ? " (of the files in both runs)" : "");
+
+    function change(before, after) {
+        var delta = percent(fraction(after) - fraction(before));
+        return util.format("%s% -> %s% (%s%s%)",
+                           percent(fraction(before)), percent(fraction(after)),
+                           delta.charAt(0) === "-" ? "" : "+", delta);
+    }
+}
+
+// Compare the coverage statistics of the results against thresholds,
+// an object like the one read by --thresholds, and return an array of
+// messages describing the ones that were not met.  Per-file thresholds
+// for a file that isn't in the coverage data, which is probably a typo,
+// also fail, as do those for a basename of more than one file.  An empty
+// array means success.
+function checkThresholds(results, thresholds) {
+    var failures = [];
+
+    function check(name, stats, threshold) {
+        if (!threshold) return;
+        var covered = stats.lines ? 100*stats.covered/stats.lines : 100;
+
+        if ("coverage" in threshold && covered < threshold.coverage)
+            failures.push(util.format("%s: coverage %s% is below %s%",
+                                      name, covered.toFixed(1),
+                                      threshold.coverage));
+        if ("uncovered" in threshold && stats.uncovered > threshold.uncovered)
+            failures.push(util.format("%s: %d uncovered lines (maximum %d)",
+                                      name, stats.uncovered,
+                                      threshold.uncovered));
+        if ("dead" in threshold && stats.dead > threshold.dead)
+            failures.push(util.format("%s: %d dead lines (maximum %d)",
+                                      name, stats.dead, threshold.dead));
+    }
+
+    // Per-file thresholds may name the target by its full name or,
+    // like -t, by its basename if only one file has that name, and
+    // override the thresholds for each target of the same kind.  The
+    // per-file thresholds of files that aren't targets, because -t or
+    // --diff left them out, don't apply, but the files must still exist.
+    var perfile = thresholds.files || {};
+    var overrides = {}, exact = {};  // Keyed by filename
+    var filenames = Object.keys(results.files);
+    Object.keys(perfile).forEach(function(name) {
+        var matches = filenames.filter(function(filename) {
+            return path.resolve(filename) === path.resolve(name);
+        });
+        var byname = matches.length === 0;
+        if (byname) {
+            matches = filenames.filter(function(filename) {
+                return path.basename(filename) === name;
+            });
+        }
+
+        if (matches.length === 0)
+            failures.push(util.format("%s: no file in the coverage data " +
+                                      "matches these thresholds", name));
+        else if (matches.length > 1)
+            failures.push(util.format("%s: these thresholds are ambiguous: " +
+                                      "the name matches %s. Use a longer path",
+                                      name, matches.join(", ")));
+        else if (!byname || !exact[matches[0]]) {
+            // A full name takes precedence over a basename
+            overrides[matches[0]] = perfile[name];
+            exact[matches[0]] = !byname;
+        }
+    });
+
+    results.targets.forEach(function(target) {
+        var stats = Analyzer.fileStats(results.files[target]);
+        var threshold = {}, p;
+        for(p in thresholds.each) threshold[p] = thresholds.each[p];
+        for(p in overrides[target]) threshold[p] = overrides[target][p];
+        check(target, stats, threshold);
+    });
+
+    check("ALL FILES", results.total, thresholds.total);
+
+    return failures;
+}
+
+// The fraction of the lines of a stats object that are covered, or 1 if
+// there are none
+function fraction(stats) {
+    return stats.lines ? stats.covered/stats.lines : 1;
+}
+
+// Return the percentage of branches taken for a stats object, or "-"
+// if there are no branches at all
+function branchPercent(stats) {
+    if (!stats.branches) return "-";
+    return percent(stats.branchesTaken/stats.branches);
+}
+
+// Write an HTML file of coverage information.  Options:
+//   outputops: include the assembly code of each line
+//   collapse:  collapse long runs of uninteresting lines
+//   cfgurl:    the URL of the directory written by outputCFG(), relative
+//              to the HTML file.  If set, the first line of each script
+//              links to its control-flow graph.
+//   hotspots:  if set, list this many of the most executed lines and
+//              functions after the summary
+function outputHTML(results, out, options) {
+    var printf = printer(out);
+    options = options || {};
+    var graphs = options.cfgurl != null ? cfgNames(results) : {};
+
+    htmlHeader(printf, "CoverMonkey Code Coverage");
+    printf('<h1>CoverMonkey Code Coverage</h1>\n');
+    htmlSummary(results, printf, function(target) { return "#" + target; });
+    if (options.comparison)
+        htmlComparison(options.comparison, printf,
+                       function(target) { return "#" + target; });
+    if (options.hotspots)
+        htmlHotspots(results, printf, function(target) { return ""; },
+                     options.hotspots);
+
+    // Now output the annotated source code of each target
+    htmlToolbar(printf);
+    results.targets.forEach(function(target) {
+        printf('<a name="%s"><h2>%s</h2></a>\n', xmlEscape(target), xmlEscape(target));
+        htmlSource(results.files[target], printf, options, graphs[target]);
+    });
+    
+    printf("</body>\n</html>\n");
+}
+
+// Write a directory of HTML files: an index.html file with the summary
+// table and one page of annotated source code for each target.  The
+// directory is created if it doesn't exist, and existing files in it are
+// overwritten.  The options are the same as for outputHTML().
+// Invoke the callback when all of the files have been written, with an
+// error if the directory or any of the files couldn't be written.
+function outputHTMLDir(results, dir, options, callback) {
+    options = options || {};
+    var files = outputFiles(dir, callback);
+    if (!files) return;
+    var graphs = options.cfgurl != null ? cfgNames(results) : {};
+
+    // Choose a page name for each target, based on its path
+    var pages = {}, used = {};
+    results.targets.forEach(function(target) {
+        var name = safeName(target);
+        var page = name + ".html";
+        for(var n = 2; page in used || page === "index.html"; n++)
+            page = name + "_" + n + ".html";
+        used[page] = true;
+        pages[target] = page;
+    });
+
+    var out = files.open("index.html");
+    var printf = printer(out);
+    htmlHeader(printf, "CoverMonkey Code Coverage");
+    printf('<h1>CoverMonkey Code Coverage</h1>\n');
+    htmlSummary(results, printf, function(target) { return pages[target]; });
+    if (options.comparison)
+        htmlComparison(options.comparison, printf,
+                       function(target) { return pages[target]; });
+    if (options.hotspots)
+        htmlHotspots(results, printf, function(target) { return pages[target]; },
+                     options.hotspots);
+    printf("</body>\n</html>\n");
+    out.end();
+
+    results.targets.forEach(function(target) {
+        var out = files.open(pages[target]);
+        var printf = printer(out);
+        htmlHeader(printf, target + " - CoverMonkey Code Coverage");
+        printf('<p><a href="index.html">&larr; All files</a></p>\n' +
+               '<h2>%s</h2>\n', xmlEscape(target));
+        htmlToolbar(printf);
+        htmlSource(results.files[target], printf, options, graphs[target]);
+        printf("</body>\n</html>\n");
+        out.end();
+    });
+    files.opened();
+}
+
+// Create the directory, if it doesn't exist, for writing several files
+// in, and return an object with an open() method that returns a
+// writable stream for the named file in the directory, and an opened()
+// method to call once all the files have been opened.  The callback is
+// invoked when all the files have been closed, with the first error
+// writing them, if there was one.  If the directory can't be created,
+// the callback is invoked with the error right away and null is
+// returned.
+function outputFiles(dir, callback) {
+    var pending = 1, error = null;
+    function closed() { if (--pending === 0 && callback) callback(error); }
+
+    try {
+        fs.mkdirSync(dir, {recursive: true});
+    }
+    catch(e) {
+        if (callback) callback(e);
+        return null;
+    }
+
+    return {
+        open: function(name) {
+            var out = fs.createWriteStream(path.join(dir, name));
+            pending++;
+            out.on("error", function(e) { error = error || e; });
+            out.on("close", closed);
+            return out;
+        },
+        opened: closed
+    };
+}
+
+// Output the start of an HTML document with the specified title,
+// including the stylesheet and script that the other html functions need
+function htmlHeader(printf, title) {
+    printf('<html><head>\n' +
+           '<title>%s</title>\n' + 
+           '<style type="text/css">\n' +
+           '.line {white-space: pre; font-family: monospace; font-weight: bold; padding:1px;}\n' +
+           '.full {background-color: #fff}\n' +  // white for full coverage
+           '.none {background-color: #faa}\n' +  // red for no coverage
+           '.some {background-color: #ffa}\n' +  // yellow for partial coverage
+           '.dead {background-color: #fca}\n' +  // orange for dead code
+           '.ignored {background-color: #eee}\n' +  // gray for ignored code
+           '.p0 {color:#000;}\n' +
+           '.p1 {color:#200;}\n' +
+           '.p2 {color:#400;}\n' +
+           '.p3 {color:#600;}\n' +
+           '.p4 {color:#800;}\n' +
+           '.p5 {color:#a00;}\n' +
+           '.p6 {color:#c00;}\n' +
+           '.p7 {color:#e00;}\n' +
+           '.p8 {color:#f00;}\n' +
+           '.p9 {color:#f00;}\n' +
+           'table {border-collapse:collapse;}\n' +
+           'td, th {border:solid black 1px; padding:3px 5px 3px 5px;}\n' +
+           'th {background-color:rgba(0,0,0,0.1)}\n' +
+           'thead th {cursor:pointer;}\n' +
+           '.bar {display:inline-block; width:100px; height:0.8em; margin-right:5px; background-color:#faa;}\n' +
+           '.bar span {display:block; height:100%%;}\n' +
+           '.high {background-color:#6c6;}\n' +    // green for >= 90%
+           '.medium {background-color:#ec6;}\n' +  // amber for >= 75%
+           '.low {background-color:#e66;}\n' +     // red for the rest
+           '.bar.ignored {background-color:#eee;}\n' +  // gray for all ignored
+           '.share {background-color:#eee;}\n' +  // shares of the executions
+           '.share span {background-color:#c66;}\n' +
+           '.num {float:left; font-weight:bold; text-align:right; margin-right:1%%; width:4%%; text-decoration:none; color:inherit;}\n' +
+           '.type {float:right; font-weight:bold; font-size:smaller; text-align:left; margin-left:1%%; width:9%%; }\n' +
+           '.ops { margin-left: 5%%; padding-left: 10px; }\n' +
+           '.br {float:right; font-size:smaller; margin-left:1%%;}\n' +
+           '.cfg {float:right; font-size:smaller; margin-left:1%%; font-family:sans-serif;}\n' +
+           '.missed {color:#c00;}\n' +
+           '.regressed {box-shadow: inset 4px 0 #c00;}\n' +  // worse than the baseline
+           '.improved {box-shadow: inset 4px 0 #6c6;}\n' +   // better than the baseline
+           '.hidden { display:none; }\n' +
+           '#toolbar {position:fixed; top:0; right:0; padding:3px 5px; border:solid black 1px; background-color:#eee; font-family:sans-serif; font-size:smaller;}\n' +
+           '.current {outline:solid 2px #00f;}\n' +
+           '.stub {font-family:monospace; font-style:italic; color:#666; padding:1px 0 1px 5%%; background-color:#eef; cursor:pointer;}\n' +
+           // With the filter on, only show partial, uncovered and dead lines
+           '.problems .line, .problems .stub {display:none;}\n' +
+           '.problems .line.some, .problems .line.none, .problems .line.dead {display:block;}\n' +
+           '</style>\n' +
+           '<script>\n' +
+           'document.addEventListener("click", clickHandler, true);\n' +
+           'function clickHandler(e) {\n' +
+           '    if (e.target.tagName === "A") return;\n' +
+           '    // Clicking on a collapsed run of lines expands it\n' +
+           '    if (e.target.classList.contains("stub")) {\n' +
+           '        expand(e.target);\n' +
+           '        return;\n' +
+           '    }\n' +
+           '    for(var elt = e.target; elt && elt.classList; elt = elt.parentNode) {\n' +
+           '        if (elt.classList.contains("line")) {\n' +
+           '            elt = elt.getElementsByTagName("table")[0];\n' +
+           '            if (elt) elt.classList.toggle("hidden");\n' +
+           '            return;\n' +
+           '        }\n' +
+           '    }\n' +
+           '}\n' +
+           'function expand(stub) {\n' +
+           '    stub.nextSibling.classList.remove("hidden");\n' +
+           '    stub.parentNode.removeChild(stub);\n' +
+           '}\n' +
+           '// Expand a collapsed run of lines when a link points into it\n' +
+           'window.addEventListener("hashchange", showTarget, false);\n' +
+           'window.addEventListener("load", showTarget, false);\n' +
+           'function showTarget() {\n' +
+           '    var elt = document.getElementById(decodeURIComponent(location.hash.substring(1)));\n' +
+           '    if (elt && elt.parentNode.classList.contains("fold") &&\n' +
+           '        elt.parentNode.classList.contains("hidden")) {\n' +
+           '        expand(elt.parentNode.previousSibling);\n' +
+           '        elt.scrollIntoView();\n' +
+           '    }\n' +
+           '}\n' +
+           '// Keyboard shortcuts for moving from one problem line to the next:\n' +
+           '// n and p for uncovered lines, s and S for partially covered lines,\n' +
+           '// and d and D for dead lines.\n' +
+           'var keys = { n: ["none", 1], p: ["none", -1], s: ["some", 1],\n' +
+           '             S: ["some", -1], d: ["dead", 1], D: ["dead", -1] };\n' +
+           'document.addEventListener("keydown", function(e) {\n' +
+           '    if (e.ctrlKey || e.metaKey || e.altKey) return;\n' +
+           '    if (e.target.tagName === "INPUT") return;\n' +
+           '    var k = keys[e.key];\n' +
+           '    if (k) jump(k[0], k[1]);\n' +
+           '}, false);\n' +
+           '// Move to the next (dir is 1) or previous (dir is -1) line with\n' +
+           '// the specified coverage class, wrapping around at the ends.\n' +
+           'var current = null;\n' +
+           'function jump(cls, dir) {\n' +
+           '    var lines = document.querySelectorAll(".line." + cls);\n' +
+           '    if (!lines.length) return;\n' +
+           '    var line = dir === 1 ? lines[0] : lines[lines.length-1];\n' +
+           '    if (current) {\n' +
+           '        for(var i = 0; i < lines.length; i++) {\n' +
+           '            var j = dir === 1 ? i : lines.length-1-i;\n' +
+           '            var pos = current.compareDocumentPosition(lines[j]);\n' +
+           '            if (pos & (dir === 1 ? Node.DOCUMENT_POSITION_FOLLOWING\n' +
+           '                                 : Node.DOCUMENT_POSITION_PRECEDING)) {\n' +
+           '                line = lines[j];\n' +
+           '                break;\n' +
+           '            }\n' +
+           '        }\n' +
+           '        current.classList.remove("current");\n' +
+           '    }\n' +
+           '    current = line;\n' +
+           '    current.classList.add("current");\n' +
+           '    current.scrollIntoView({ block: "center" });\n' +
+           '}\n' +
+           '// Sort the summary table by the clicked column.\n' +
+           '// Clicking the same column again reverses the order.\n' +
+           'function sortTable(th) {\n' +
+           '    var table = th.parentNode.parentNode.parentNode;\n' +
+           '    var tbody = table.tBodies[0];\n' +
+           '    var col = th.cellIndex;\n' +
+           '    var dir = th.getAttribute("data-dir") === "up" ? -1 : 1;\n' +
+           '    th.setAttribute("data-dir", dir === 1 ? "up" : "down");\n' +
+           '    var rows = Array.prototype.slice.call(tbody.rows);\n' +
+           '    rows.sort(function(a, b) {\n' +
+           '        var x = a.cells[col].getAttribute("data-sort");\n' +
+           '        var y = b.cells[col].getAttribute("data-sort");\n' +
+           '        if (!isNaN(x) && !isNaN(y)) { x = Number(x); y = Number(y); }\n' +
+           '        return x < y ? -dir : x > y ? dir : 0;\n' +
+           '    });\n' +
+           '    rows.forEach(function(row) { tbody.appendChild(row); });\n' +
+           '}\n' +
+           '</script>\n' +
+           '</head>\n' +
+           '<body>\n',
+           xmlEscape(title));
+}
+
+// Output the table that summarizes the coverage of each target.  The
+// link function returns the URL of the annotated source for a target.
+// Clicking on a column header sorts the table by that column.
+function htmlSummary(results, printf, link) {
+    var headings = ["Source File", "Cover%", "Executable Lines", "Covered",
+                    "Partial", "Uncovered", "Dead", "Ignored", "Branches",
+                    "Functions"];
+    printf('<table>\n<thead><tr>%s</tr></thead>\n',
+           headings.map(function(h) {
+               return '<th onclick="sortTable(this)">' + h;
+           }).join(""));
+
+    function row(name, href, stats) {
+        var lines = stats.lines, covered = stats.covered,
+            partial = stats.partial, uncovered = stats.uncovered,
+            dead = stats.dead;
+        // Like the text output, show files whose lines are all ignored
+        // as ignored, and sort them below the others
+        var ignored = lines === 0 && stats.ignored > 0;
+        var cover = ignored ? -1 : percent(fraction(stats));
+        function share(n) { return percent(lines ? n/lines : 0); }
+        printf('<tr><td data-sort="%s">%s' +
+               '<td data-sort="%s">%s' +
+               '<td data-sort="%d">%d' +
+               '<td data-sort="%d">%d (%d%)<td data-sort="%d">%d (%d%)' +
+               '<td data-sort="%d">%d (%d%)<td data-sort="%d">%d (%d%)' +
+               '<td data-sort="%d">%d' +
+               '<td data-sort="%s">%s<td data-sort="%s">%s</tr>\n',
+               xmlEscape(name),
+               href ? util.format('<a href="%s">%s</a>', xmlEscape(href),
+                                  xmlEscape(name))
+                    : xmlEscape(name),
+               cover, ignored ? coverageBar(null) + "ignored"
+                              : coverageBar(fraction(stats)) + cover + "%",
+               lines, lines,
+               covered, covered, share(covered),
+               partial, partial, share(partial),
+               uncovered, uncovered, share(uncovered),
+               dead, dead, share(dead),
+               stats.ignored, stats.ignored,
+               stats.branches ? branchPercent(stats) : -1,
+               stats.branches ? util.format("%d/%d (%d%)",
+                                            stats.branchesTaken, stats.branches,
+                                            branchPercent(stats))
+                              : "-",
+               stats.functions ? percent(stats.functionsCalled/stats.functions) : -1,
+               stats.functions ? util.format("%d/%d (%d%)",
+                                             stats.functionsCalled,
+                                             stats.functions,
+                                             percent(stats.functionsCalled/
+                                                     stats.functions))
+                               : "-");
+    }
+
+    printf('<tbody>\n');
+    results.targets.forEach(function(target) {
+        row(target, link(target), Analyzer.fileStats(results.files[target]));
+    });
+    printf('</tbody>\n<tfoot>\n');
+    row("ALL FILES", null, results.total);
+    printf('</tfoot>\n</table>\n');
+}
+
+// Output a table of the changes in coverage of each target since the
+// baseline run, and of the files that are no longer in the data, as
+// found by Analyzer.compare().  The link function
+// returns the URL of the annotated source for a target, where the
+// changed lines are highlighted.
+function htmlComparison(comparison, printf, link) {
+    function cover(stats) {
+        return stats ? percent(stats.lines ? stats.covered/stats.lines : 1) + "%" : "-";
+    }
+    function row(name, href, before, after, diff) {
+        var delta = before && after
+            ? percent((after.lines ? after.covered/after.lines : 1) -
+                      (before.lines ? before.covered/before.lines : 1))
+            : null;
+        printf('<tr%s><td>%s<td>%s<td>%s<td>%s<td>%s<td>%s<td>%s</tr>\n',
+               diff && diff.regressed ? ' class="missed"' : '',
+               href ? util.format('<a href="%s">%s</a>', xmlEscape(href),
+                                  xmlEscape(name))
+                    : xmlEscape(name),
+               cover(before), cover(after),
+               delta !== null ? (delta.charAt(0) === "-" ? "" : "+") + delta + "%" :
+                   after ? "new" : "removed",
+               diff ? diff.lost.length : "", diff ? diff.dead.length : "",
+               diff ? diff.added.length : "");
+    }
+
+    printf('<h2>Changes from baseline</h2>\n' +
+           '<table>\n<thead><tr><th>Source File<th>Before<th>After<th>Change' +
+           '<th>No longer covered<th>Newly dead<th>New uncovered</tr></thead>\n' +
+           '<tbody>\n');
+    comparison.files.forEach(function(diff) {
+        row(diff.filename, link(diff.filename), diff.before, diff.after, diff);
+    });
+    comparison.removed.forEach(function(removed) {
+        row(removed.filename, null, removed.before, null, null);
+    });
+    printf('</tbody>\n<tfoot>\n');
+    row(comparison.added.length || comparison.removed.length
+            ? "FILES IN BOTH RUNS" : "ALL FILES",
+        null, comparison.before, comparison.after, null);
+    printf('</tfoot>\n</table>\n');
+}
+
+// Output tables of the n most executed lines and most called functions.
+// The link function returns the URL of the annotated source for a target.
+function htmlHotspots(results, printf, link, n) {
+    var hotspots = Analyzer.hotspots(results.files, results.targets, n);
+
+    function share(executions) {
+        return percent(executions/(hotspots.executions || 1)) + "%";
+    }
+    function anchor(filename, line, text) {
+        return util.format('<a href="%s#%s:%d">%s</a>',
+                           xmlEscape(link(filename)), xmlEscape(filename),
+                           line, xmlEscape(text));
+    }
+
+    printf('<h2>Hot spots</h2>\n' +
+           '<p>%d opcodes were executed in all.</p>\n', hotspots.executions);
+    printf('<table>\n<thead><tr><th>Line<th>Count<th>Share of opcodes</tr></thead>\n');
+    hotspots.lines.forEach(function(l) {
+        printf('<tr><td>%s<td>%d<td>%s%s</tr>\n',
+               anchor(l.filename, l.line, l.filename + ":" + l.line), l.count,
+               shareBar(l.executions/(hotspots.executions || 1)),
+               share(l.executions));
+    });
+    printf('</table>\n<p></p>\n');
+
+    printf('<table>\n<thead><tr><th>Function<th>Calls<th>Share of opcodes</tr></thead>\n');
+    hotspots.functions.forEach(function(f) {
+        printf('<tr><td>%s<td>%d<td>%s%s</tr>\n',
+               anchor(f.filename, f.line,
+                      f.name + " (" + f.filename + ":" + f.line + ")"),
+               f.calls,
+               shareBar(f.executions/(hotspots.executions || 1)),
+               share(f.executions));
+    });
+    printf('</table>\n');
+}
+
+// Return the HTML for a bar showing the fraction x, colored by how
+// high it is, or an empty gray bar if x is null
+function coverageBar(x) {
+    if (x === null) return '<span class="bar ignored"></span>';
+    var level = x >= 0.9 ? "high" : x >= 0.75 ? "medium" : "low";
+    return util.format('<span class="bar"><span class="%s" style="width:%s%"></span></span>',
+                       level, percent(x));
+}
+
+// Return the HTML for a bar showing the fraction x of all the opcodes
+// that were executed
+function shareBar(x) {
+    return util.format('<span class="bar share"><span style="width:%s%"></span></span>',
+                       percent(x));
+}
+
+// Output the toolbar of buttons for moving between problem lines and
+// for showing only those lines.  The script in htmlHeader() does the work.
+function htmlToolbar(printf) {
+    printf('<div id="toolbar">' +
+           'Uncovered <button onclick="jump(\'none\', -1)" title="p">&#9650;</button>' +
+           '<button onclick="jump(\'none\', 1)" title="n">&#9660;</button> ' +
+           'Partial <button onclick="jump(\'some\', -1)" title="S">&#9650;</button>' +
+           '<button onclick="jump(\'some\', 1)" title="s">&#9660;</button> ' +
+           'Dead <button onclick="jump(\'dead\', -1)" title="D">&#9650;</button>' +
+           '<button onclick="jump(\'dead\', 1)" title="d">&#9660;</button> ' +
+           '<label><input type="checkbox" onclick="document.body.classList.' +
+           'toggle(\'problems\', this.checked)">Only problem lines</label>' +
+           '</div>\n');
+}
+
+// With --collapse, runs of at least this many lines that are fully
+// covered or have no code are collapsed, except for this many lines of
+// context at either end.
+const COLLAPSE_MIN = 10;
+const COLLAPSE_CONTEXT = 2;
+
+// Output the annotated source code of the specified File, with the
+// same options as outputHTML().  The optional graphs argument is the
+// array of control-flow graph filenames from cfgNames() for the file.
+function htmlSource(file, printf, options, graphs) {
+    var target = file.name;
+    var srclines = file.source || [];
+
+    // Map line numbers to the graphs of the scripts that start there
+    var graphsAt = {};
+    if (graphs) {
+        file.scripts.forEach(function(script, i) {
+            if (!graphs[i]) return;
+            var url = options.cfgurl ? options.cfgurl + "/" + graphs[i] : graphs[i];
+            var line = script.startline;
+            (graphsAt[line] = graphsAt[line] || []).push(url);
+        });
+    }
+
+    // With a baseline, map the numbers of changed lines to their change
+    var changes = {}, baseline = {};
+    if (options.comparison) {
+        options.comparison.files.forEach(function(diff) {
+            if (diff.filename !== target) return;
+            baseline = diff.baseline;
+            diff.lost.concat(diff.dead, diff.added).forEach(function(n) {
+                changes[n] = "regressed";
+            });
+            diff.improved.forEach(function(n) { changes[n] = "improved"; });
+        });
+    }
+
+    // If we're collapsing, figure out where each collapsed run of lines
+    // starts and ends.  Lines are numbered from 1.  When the file is a
+    // subset of the lines changed by a patch, all but those lines and
+    // some context are collapsed.
+    var foldStart = {}, foldEnd = {};
+    if (options.collapse || file.changed) {
+        var start = null;  // The first line of the current run
+        var min = file.changed ? 2*COLLAPSE_CONTEXT + 1 : COLLAPSE_MIN;
+        for(var n = 1; n <= srclines.length + 1; n++) {
+            var cls = n <= srclines.length ? file.coverageClass(n) : null;
+            var boring = file.changed
+                ? cls !== null && !(n in file.changed)
+                : (cls === "" || cls === " full" || cls === " ignored") &&
+                  !(n in changes);
+            if (boring) {
+                if (start === null) start = n;
+                continue;
+            }
+            if (start !== null && n - start >= min) {
+                // No context is needed at the start or end of the file
+                var first = start === 1 ? 1 : start + COLLAPSE_CONTEXT;
+                var last = cls === null ? n - 1 : n - 1 - COLLAPSE_CONTEXT;
+                foldStart[first] = last - first + 1;
+                foldEnd[last] = true;
+            }
+            start = null;
+        }
+    }
+
+    srclines.forEach(function(srcline, linenum) {
+        linenum += 1; // line numbers are 1-based, not 0-based
+
+        if (linenum in foldStart) {
+            printf('<div class="stub">%d %s: ' +
+                   'click to expand</div><div class="fold hidden">',
+                   foldStart[linenum],
+                   file.changed ? "unchanged lines" : "lines with nothing to report");
+        }
+
+        var linedata = file.lines[linenum];
+        var cov = file.coverageClass(linenum);
+        var c = "line" + cov + file.profileClass(linenum);
+        if (linenum in changes) c += " " + changes[linenum];
+        if (srcline === "") srcline = " "; // To make the HTML format right.
+        if (cov) {
+            if (cov === " full") {
+                var counts = linedata.counts();
+                cov = "// " + counts.join(",");
+            }
+            else
+                cov = "//" + cov;
+        }
+        printf('<div id="%s:%d" class="%s"%s><a href="#%s:%d" class="num">%d</a>' +
+               '<span class="type">%s</span>',
+               xmlEscape(target), linenum, c,
+               linenum in changes
+                   ? ' title="baseline: ' + (baseline[linenum] || "no code") + '"'
+                   : "",
+               xmlEscape(target), linenum, linenum, cov);
+
+        // Show how many of the line's branches were taken, and list
+        // the lines of the ones that weren't in the tooltip.
+        var branches = linedata ? linedata.branchCoverage() : [0, 0];
+        if (branches[1]) {
+            var untaken = Analyzer.untakenBranches(linedata).map(function(target) {
+                return target.srcline;
+            });
+            printf('<span class="br%s"%s>%d/%d branches</span>',
+                   untaken.length ? " missed" : "",
+                   untaken.length
+                       ? ' title="never taken: line ' + untaken.join(", ") + '"'
+                       : "",
+                   branches[0], branches[1]);
+        }
+        (graphsAt[linenum] || []).forEach(function(url) {
+            printf('<a class="cfg" href="%s">graph</a>', xmlEscape(url));
+        });
+        printf('%s', xmlEscape(srcline));
+
+        if (options.outputops && linedata) {
+            // The count of each opcode is followed by its count fields
+            var fields = [];
+            file.countFields.forEach(function(name, i) {
+                if (name) fields.push(i);
+            });
+            printf('<table class="ops hidden">');
+            printf('<tr><th>Function @<th>PC<th>#%s<th>Instruction</tr>',
+                   fields.map(function(i) {
+                       return "<th>" + xmlEscape(file.countFields[i]);
+                   }).join(""));
+            for(var pc in linedata.opcodes) {
+                var opcode = linedata.opcodes[pc];
+                var idx = pc.lastIndexOf(":");
+                printf("<tr><td>%s<td>%s<td>%d%s<td>%s</tr>",
+                       xmlEscape(pc.substring(0,idx)),
+                       pc.substring(idx+1),
+                       opcode.count,
+                       fields.map(function(i) {
+                           return "<td>" + (opcode.fields[i] || 0);
+                       }).join(""),
+                       xmlEscape(opcode.assembly));
+            }
+            printf("</table>");
+        }
+        printf("</div>\n");  // close the line div
+        if (linenum in foldEnd) printf("</div>\n");  // close the fold
+    });
+}
+
+function percent(x) { return (x*100).toFixed(1); }
+
+// Return a string of n spaces where n is <= 50;
+function pad(n) { return pad.spaces.substring(0,n); }
+pad.spaces = "                                                  ";
+
+// Return the string s centered in a field n characters wide
+pad.center = function(s, n) {
+    s = String(s);
+    if (s.length >= n) return s;
+    var left = Math.floor((n - s.length)/2),
+        right = n - s.length - left;
+    return pad(left) + s + pad(right);
+};
+// Return the string s right-justified in a field n characters wide
+pad.right = function(s, n) {
+    s = String(s);
+    if (s.length >= n) return s.substring(s.length-n);
+    return pad(n - s.length) + s;
+}
+// Return the string s left-justified in a field n characters wide
+pad.left = function(s, n) {
+    s = String(s);
+    if (s.length >= n) return s.substring(0,n);
+    return s + pad(n - s.length);
+}
+
+// Return the name of a file for output about the named source file
+function safeName(filename) {
+    return filename.replace(/^[.\/]+/, "").replace(/[^\w.-]+/g, "_");
+}
+
+// Return an object that maps each target to an array of the names of
+// the files that outputCFG() writes for the scripts of the target, in the
+// order of its scripts.  Each name includes the script's starting line.
+// Scripts that start in some other file are named by that file, so their
+// names here are null.
+function cfgNames(results) {
+    var names = {}, used = {};
+    results.targets.forEach(function(target) {
+        names[target] = results.files[target].scripts.map(function(script) {
+            if (script.filename !== target) return null;
+            var name = safeName(target) + "_" + script.startline;
+            var graph = name + ".dot";
+            for(var n = 2; graph in used; n++) graph = name + "_" + n + ".dot";
+            used[graph] = true;
+            return graph;
+        });
+    });
+    return names;
+}
+
+// Write the control-flow graph of each script of each target to a
+// Graphviz DOT file in the specified directory, which is created if it
+// doesn't exist.  Each basic block is labelled with its source lines and
+// opcodes, and each edge with the number of times it was taken.  Blocks
+// that can never execute are orange, and blocks that never did are red.
+// Use "dot -Tsvg" to turn the files into pictures.  Invoke the callback
+// when all of the files have been written, with an error if the
+// directory or any of the files couldn't be written.
+function outputCFG(results, dir, callback) {
+    var files = outputFiles(dir, callback);
+    if (!files) return;
+    var names = cfgNames(results);
+
+    results.targets.forEach(function(target) {
+        var file = results.files[target];
+        var srclines = file.source || [];
+
+        // Name the scripts that are functions
+        var functionNames = [];
+        file.functions().forEach(function(f) {
+            functionNames[file.scripts.indexOf(f.script)] = f.name;
+        });
+
+        file.scripts.forEach(function(script, i) {
+            if (!names[target][i]) return;
+            var out = files.open(names[target][i]);
+            writeGraph(out, script, functionNames[i] || "(toplevel)", srclines);
+            out.end();
+        });
+    });
+
+    files.opened();
+}
+
+// Write the control-flow graph of a script in DOT format
+function writeGraph(out, script, name, srclines) {
+    var printf = printer(out);
+    var blocks = script.basicBlocks();
+    var calls = script.calls();
+
+    printf('digraph "%s" {\n', dotEscape(script.name));
+    printf('    label="%s (%s), called %d time%s";\n    labelloc=t;\n',
+           dotEscape(name), dotEscape(script.name), calls, calls === 1 ? "" : "s");
+    printf('    node [shape=box, fontname="Courier", style=filled, ' +
+           'fillcolor="#ffffff"];\n');
+
+    blocks.forEach(function(block, i) {
+        // Start a new group of opcodes for each source line
+        var label = [], srcline = null, srcfile = null;
+        block.opcodes.forEach(function(opcode) {
+            if (opcode.srcline !== srcline || opcode.srcfile !== srcfile) {
+                srcline = opcode.srcline;
+                srcfile = opcode.srcfile;
+                if (srcfile) {
+                    // We only have the source of the script's own file
+                    label.push(srcfile + ":" + srcline);
+                }
+                else {
+                    var text = (srclines[srcline-1] || "").trim();
+                    if (text.length > 60) text = text.substring(0, 57) + "...";
+                    label.push(srcline + ": " + text);
+                }
+            }
+            label.push("    " + opcode.pc + ": " + opcode.count + " x " +
+                       opcode.assembly.replace(/\t/g, " "));
+        });
+
+        var color = !block.reachable ? "#ffccaa" : block.count === 0 ? "#ffaaaa" : "";
+        printf('    b%d [label="%s\\l"%s];\n', i,
+               label.map(dotEscape).join("\\l"),
+               color ? ', fillcolor="' + color + '"' : "");
+    });
+
+    blocks.forEach(function(block, i) {
+        block.successors.forEach(function(edge) {
+            printf('    b%d -> b%d [label="%d"%s];\n', i,
+                   blocks.indexOf(edge.block), edge.count,
+                   edge.count === 0 ? ', style=dashed, color="#cc0000"' : "");
+        });
+    });
+
+    printf("}\n");
+}
+
+// Escape a string for a double-quoted DOT string
+function dotEscape(s) {
+    return String(s).replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+}
+
+// Return a printf-style function that writes to the specified stream.
+// The optional suffix, such as a newline, is added to each string.
+function printer(out, suffix) {
+    suffix = suffix || "";
+    return function(fmt) {
+        out.write(util.format.apply(util, Array.prototype.slice.call(arguments,0)) +
+                  suffix);
+    };
+}
+
+// Write the coverage data for each target as an LCOV tracefile.
+// See the geninfo(1) man page for a description of the format.
+function outputLCOV(results, out) {
+    var printf = printer(out);
+
+    results.targets.forEach(function(target) {
+        var file = results.files[target];
+
+        printf("TN:\nSF:%s\n", target);
+
+        // Function names must be unique within the file, and ours are
+        // just guesses, so add the line number when we need to.
+        var functions = file.functions();
+        var names = {}, functionsHit = 0;
+        functions.forEach(function(f) {
+            var name = f.name;
+            if (name in names) name += "@" + f.line;
+            while(name in names) name += "_" + (++names[f.name]);
+            names[name] = 0;
+
+            if (f.calls > 0) functionsHit++;
+            printf("FN:%d,%s\n", f.line, name);
+            printf("FNDA:%d,%s\n", f.calls, name);
+        });
+        printf("FNF:%d\nFNH:%d\n", functions.length, functionsHit);
+
+        // Each conditional or switch opcode on a line is a block, and
+        // the places it can jump to are its branches.  If the opcode
+        // itself never executed, LCOV wants "-" for the count.
+        var branches = 0, branchesHit = 0;
+        for(var linenum in file.lines) {
+            file.lines[linenum].branches().forEach(function(b, block) {
+                b.branches.forEach(function(target, i) {
+                    branches++;
+                    if (target.count > 0) branchesHit++;
+                    printf("BRDA:%d,%d,%d,%s\n", linenum, block, i,
+                           b.opcode.count > 0 ? target.count : "-");
+                });
+            });
+        }
+        printf("BRF:%d\nBRH:%d\n", branches, branchesHit);
+
+        // Dead lines are reported as lines that were never executed,
+        // and ignored lines and lines with no significant code are omitted
+        var lines = 0, linesHit = 0;
+        for(linenum in file.lines) {
+            var line = file.lines[linenum];
+            var coverage = line.coverage();
+            if (coverage === "" || coverage === "ignored") continue;
+
+            var counts = line.counts();
+            var count = Math.max(0, counts[counts.length-1]);
+            lines++;
+            if (count > 0) linesHit++;
+            printf("DA:%d,%d\n", linenum, count);
+        }
+        printf("LF:%d\nLH:%d\n", lines, linesHit);
+        printf("end_of_record\n");
+    });
+}
+
+// Write the coverage data for the targets as Cobertura XML.  Each
+// directory becomes a package, and each file in it becomes a class.
+function outputCobertura(results, out) {
+    var printf = printer(out);
+    var total = results.total;
+
+    // Cobertura rates are fractions between 0 and 1, and a line counts
+    // as covered if it was executed at all.
+    function rate(hit, valid) {
+        return valid ? (hit/valid).toFixed(4) : "1";
+    }
+
+    // Gather the per-line and per-file data first since the package and
+    // top-level elements need the totals as attributes.
+    var packages = {}, packagenames = [];
+    var allbranches = 0, allbranchesHit = 0;
+
+    results.targets.forEach(function(target) {
+        var file = results.files[target];
+        var stats = Analyzer.fileStats(file);
+        var lines = [], branches = 0, branchesHit = 0;
+
+        for(var linenum in file.lines) {
+            var line = file.lines[linenum];
+            var coverage = line.coverage();
+            if (coverage === "" || coverage === "ignored") continue;
+
+            var counts = line.counts();
+            var l = {
+                number: linenum,
+                hits: Math.max(0, counts[counts.length-1])
+            };
+
+            // Partially covered lines have code paths that executed
+            // different numbers of times; treat each distinct count
+            // as a condition, covered if it is non-zero.
+            if (coverage === "some") {
+                var conditions = counts.filter(function(c) { return c >= 0; });
+                l.conditions = conditions.length;
+                l.conditionsHit = conditions.filter(function(c) {
+                    return c > 0;
+                }).length;
+                branches += l.conditions;
+                branchesHit += l.conditionsHit;
+            }
+            lines.push(l);
+        }
+
+        var name = path.dirname(target);
+        if (!(name in packages)) {
+            packages[name] = {
+                classes: [],
+                lines: 0, linesHit: 0,
+                branches: 0, branchesHit: 0
+            };
+            packagenames.push(name);
+        }
+        var pkg = packages[name];
+
+        pkg.classes.push({
+            name: path.basename(target, path.extname(target)),
+            filename: target,
+            methods: file.functions(),
+            lines: lines,
+            linerate: rate(stats.lines - stats.uncovered - stats.dead,
+                           stats.lines),
+            branchrate: rate(branchesHit, branches)
+        });
+        pkg.lines += stats.lines;
+        pkg.linesHit += stats.lines - stats.uncovered - stats.dead;
+        pkg.branches += branches;
+        pkg.branchesHit += branchesHit;
+        allbranches += branches;
+        allbranchesHit += branchesHit;
+    });
+
+    var linesHit = total.lines - total.uncovered - total.dead;
+    printf('<?xml version="1.0" ?>\n' +
+           '<!DOCTYPE coverage SYSTEM ' +
+           '"http://cobertura.sourceforge.net/xml/coverage-04.dtd">\n');
+    printf('<coverage line-rate="%s" branch-rate="%s" lines-covered="%d" ' +
+           'lines-valid="%d" branches-covered="%d" branches-valid="%d" ' +
+           'complexity="0" version="CoverMonkey %s" timestamp="%d">\n',
+           rate(linesHit, total.lines), rate(allbranchesHit, allbranches),
+           linesHit, total.lines, allbranchesHit, allbranches,
+           VERSION, Date.now());
+    printf('<sources><source>.</source></sources>\n<packages>\n');
+
+    packagenames.sort().forEach(function(name) {
+        var pkg = packages[name];
+        printf('<package name="%s" line-rate="%s" branch-rate="%s" ' +
+               'complexity="0">\n<classes>\n',
+               xmlEscape(name), rate(pkg.linesHit, pkg.lines),
+               rate(pkg.branchesHit, pkg.branches));
+
+        pkg.classes.forEach(function(c) {
+            printf('<class name="%s" filename="%s" line-rate="%s" ' +
+                   'branch-rate="%s" complexity="0">\n<methods>\n',
+                   xmlEscape(c.name), xmlEscape(c.filename),
+                   c.linerate, c.branchrate);
+
+            // A method is "covered" if it was called.  We report its
+            // first line with the number of calls.
+            c.methods.forEach(function(m) {
+                printf('<method name="%s" signature="" line-rate="%s" ' +
+                       'branch-rate="1" complexity="0">\n<lines>' +
+                       '<line number="%d" hits="%d" branch="false"/>' +
+                       '</lines>\n</method>\n',
+                       xmlEscape(m.name), m.calls > 0 ? "1" : "0",
+                       m.line, m.calls);
+            });
+            printf('</methods>\n<lines>\n');
+            c.lines.forEach(function(l) {
+                if (l.conditions) {
+                    printf('<line number="%d" hits="%d" branch="true" ' +
+                           'condition-coverage="%d% (%d/%d)"/>\n',
+                           l.number, l.hits,
+                           Math.floor(100*l.conditionsHit/l.conditions),
+                           l.conditionsHit, l.conditions);
+                }
+                else {
+                    printf('<line number="%d" hits="%d" branch="false"/>\n',
+                           l.number, l.hits);
+                }
+            });
+            printf('</lines>\n</class>\n');
+        });
+
+        printf('</classes>\n</package>\n');
+    });
+
+    printf('</packages>\n</coverage>\n');
+}
+
+// Escape the XML special characters in s
+function xmlEscape(s) {
+    return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+// Write the coverage data for the targets as JSON.  The per-file data
+// uses the format described at the top of Coverage.js.
+function outputJSON(results, out) {
+    var total = results.total;
+    var summary = {};
+    for(var p in total) summary[p] = total[p];
+    summary.percent = Number(percent(total.lines ? total.covered/total.lines : 1));
+
+    out.write(JSON.stringify({
+        version: VERSION,
+        summary: summary,
+        files: results.targets.map(function(target) {
+            return results.files[target].toJSON();
+        })
+    }, null, 2));
+    out.write("\n");
+}
+
+exports.text = outputText;
+exports.html = outputHTML;
+exports.htmlDir = outputHTMLDir;
+exports.lcov = outputLCOV;
+exports.cobertura = outputCobertura;
+exports.json = outputJSON;
+exports.cfg = outputCFG;
+exports.hotspots = outputHotspots;
+exports.comparison = outputComparison;
+exports.checkThresholds = checkThresholds;
+
+// These are used by LiveServer.js
+exports.htmlHeader = htmlHeader;
+exports.printer = printer;
@@ -0,0 +1,144 @@
+// Source map support for the --sourcemaps option.  A SourceMap maps the
+// lines of a generated file, such as a bundle of concatenated or
+// transpiled files, back to the original source files, using the
+// version 3 source map format.
+//
+// -D output only gives the line number of each opcode, not the column,
+// so each generated line is mapped to the original line of the first
+// segment on it that has one.  Minified files that put everything on a
+// few lines won't map usefully.
+//
+var fs = require("fs");
+var path = require("path");
+
+// Create a SourceMap from the parsed JSON of a source map.  Relative
+// source filenames are resolved against the directory of mapfile, the
+// name of the map file (or of the generated file, for an inline map).
+function SourceMap(json, mapfile) {
+    if (json.version !== 3)
+        throw new Error("unsupported source map version " + json.version);
+
+    this.lines = [];     // Map 0-based generated lines to { source, line }
+    this.contents = {};  // Map source filenames to their sourcesContent
+
+    if (json.sections) {
+        // An index map is made of maps for different parts of the file
+        var map = this;
+        json.sections.forEach(function(section) {
+            if (!section.map)
+                throw new Error("source map sections with urls are not supported");
+            var sectionMap = new SourceMap(section.map, mapfile);
+            sectionMap.lines.forEach(function(original, line) {
+                if (original) map.lines[section.offset.line + line] = original;
+            });
+            for(var source in sectionMap.contents)
+                map.contents[source] = sectionMap.contents[source];
+        });
+        return;
+    }
+
+    var sources = (json.sources || []).map(function(source) {
+        return resolveSource(source, json.sourceRoot, mapfile);
+    });
+    var contents = json.sourcesContent || [];
+    for(var i = 0; i < sources.length; i++) {
+        if (typeof contents[i] === "string") this.contents[sources[i]] = contents[i];
+    }
+
+    // The source index and line fields of the segments are relative to
+    // those of the previous segment, even across lines.  We don't need
+    // the columns.
+    var source = 0, line = 0;
+    var map = this;
+    json.mappings.split(";").forEach(function(segments, generatedLine) {
+        if (!segments) return;
+        segments.split(",").forEach(function(segment) {
+            var fields = decodeVLQ(segment);
+            if (fields.length < 4) return;  // No original position
+            source += fields[1];
+            line += fields[2];
+            if (!map.lines[generatedLine]) {
+                map.lines[generatedLine] = {
+                    source: sources[source],
+                    line: line + 1
+                };
+            }
+        });
+    });
+}
+
+// Return the { source, line } of the original source for the 1-based
+// line of the generated file, or null if the line isn't mapped
+SourceMap.prototype.lookup = function(line) {
+    return this.lines[line-1] || null;
+};
+
+// Return the SourceMap for the named generated file, or null if it
+// doesn't have one.  The map is found with the sourceMappingURL comment
+// in the file, which may be a data: URL, or else in a .map file next to
+// the generated file.  Throws an error if a map is found but can't be
+// read.
+SourceMap.load = function(filename) {
+    var text;
+    try {
+        text = fs.readFileSync(filename, "utf8");
+    }
+    catch(e) {
+        return null;  // We can't find a map without the generated file
+    }
+
+    // Use the last sourceMappingURL comment in the file
+    var pattern = /\/\/[#@]\s*sourceMappingURL=(\S+)/g;
+    var match, url = null;
+    while(match = pattern.exec(text)) url = match[1];
+
+    if (url && /^data:/.test(url)) {
+        var comma = url.indexOf(",");
+        var data = url.substring(comma+1);
+        data = /;base64$/.test(url.substring(0, comma))
+            ? Buffer.from(data, "base64").toString("utf8")
+            : decodeURIComponent(data);
+        return new SourceMap(JSON.parse(data), filename);
+    }
+
+    var mapfile = url
+        ? path.join(path.dirname(filename), decodeURIComponent(url))
+        : filename + ".map";
+    if (!url && !fs.existsSync(mapfile)) return null;
+
+    return new SourceMap(JSON.parse(fs.readFileSync(mapfile, "utf8")), mapfile);
+};
+
+// Return the filename for a source listed in a source map
+function resolveSource(source, sourceRoot, mapfile) {
+    if (sourceRoot) source = sourceRoot.replace(/\/?$/, "/") + source;
+    source = source.replace(/^file:\/\//, "");
+
+    // Leave other kinds of URLs, like webpack:///, alone
+    if (/^[\w+.-]+:/.test(source) || source.charAt(0) === "/") return source;
+    return path.normalize(path.join(path.dirname(mapfile), source));
+}
+
+var BASE64 = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+// Decode a segment of a source map's mappings into an array of numbers.
+// Each number is a base64 VLQ: groups of 5 bits, least significant
+// first, with a continuation bit, and with the sign in the lowest bit.
+function decodeVLQ(segment) {
+    var values = [], value = 0, shift = 0;
+    for(var i = 0; i < segment.length; i++) {
+        var digit = BASE64.indexOf(segment.charAt(i));
+        if (digit === -1)
+            throw new Error("bad character in source map mappings: " + segment);
+        value += (digit & 31) << shift;
+        if (digit & 32) shift += 5;
+        else {
+            values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+            value = shift = 0;
+        }
+    }
+    return values;
+}
+SourceMap.decodeVLQ = decodeVLQ;
+
+module.exports = SourceMap;
@@ -0,0 +1,35 @@
+// Helpers shared by the tests
+//
+var fs = require("fs");
+var Analyzer = require("../src/Analyzer.js");
+
+// Return an Analyzer that has read the named files of -D data from the
+// fixtures directory, one after the other, with the specified options.
+// The warnings it emits are collected in its warnings property.
+function analyze(filenames, options) {
+    var analyzer = new Analyzer(options);
+    analyzer.warnings = [];
+    analyzer.on("warning", function(message) {
+        analyzer.warnings.push(message);
+    });
+    [].concat(filenames).forEach(function(filename) {
+        analyzer.parser.newInput();
+        analyzer.write(fs.readFileSync(filename, "utf8"));
+        analyzer.flush();
+    });
+    analyzer.end();
+    return analyzer;
+}
+
+// Return a stream-like object for the reporters to write to, which
+// collects what they write in its text property
+function output() {
+    return {
+        text: "",
+        write: function(s) { this.text += s; return true; },
+        end: function() {}
+    };
+}
+
+exports.analyze = analyze;
+exports.output = output;
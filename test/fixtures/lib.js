@@ -0,0 +1,54 @@
+"use strict";
+function classify(n) {
+    if (n < 0) return "negative";
+    else if (n === 0) return "zero";
+    var s = n > 100 ? "big" : "small";
+    return s;
+}
+
+function loops(xs) {
+    var total = 0;
+    for (var i = 0; i < xs.length; i++) {
+        if (xs[i] === 3) continue;
+        total += xs[i];
+    }
+    outer: for (const x of xs) {
+        for (const y in xs) {
+            if (x > 4) break outer;
+        }
+    }
+    var j = 0;
+    do { j++; } while (j < 3);
+    while (j-- > 0) total++;
+    switch (total % 3) {
+    case 0: total++; break;
+    case 1:
+    case 2: total--; break;
+    default: total = 0;
+    }
+    try {
+        if (total > 1000) throw new Error("too big");
+    } catch (e) {
+        total = -1;
+    } finally {
+        total = total || 1;
+    }
+    return total;
+}
+
+/* covermonkey ignore next */ function unused() {
+    return 42;
+}
+
+class Point {
+    constructor(x, y) { this.x = x; this.y = y; }
+    get norm() { return Math.sqrt(this.x * this.x + this.y * this.y); }
+    static origin() { return new Point(0, 0); }
+}
+
+const double = x => x * 2;
+const fallback = (a, b) => a ?? b;
+
+module.exports = { classify, loops, unused, Point, double, fallback };
+return;
+console.log("dead");
@@ -0,0 +1,5 @@
+var lib = require("./lib.js");
+console.log(lib.classify(-1), lib.classify(5));
+console.log(lib.loops([1, 2, 3, 4, 5]));
+console.log(new lib.Point(3, 4).norm, lib.double(2), lib.fallback(null, 1));
+console.log(require.main === module, process.argv.slice(2));
@@ -0,0 +1,12 @@
+// A program for the tests of covermonkey-node
+var shapes = require("./shapes.js");
+
+var total = 0;
+[1, 2, 3].forEach(function(n) {
+    total += shapes.area(n);
+});
+shapes.sign(total);
+shapes.describe({ name: "square", sides: 4 });
+shapes.describe({ name: "triangle", sides: 3 });
+shapes.countdown(3);
+console.log(total);
@@ -0,0 +1,38 @@
+// Code for the tests of the instrumenter
+function area(n) {
+    if (n > 1)
+        return n * n;
+    else
+        return 1;
+}
+
+function sign(n) {
+    return n < 0 ? -1 : n > 0 ? 1 : 0;
+}
+
+function describe(shape) {
+    var parts = [];
+    with (shape) {
+        parts.push(name);
+        if (sides > 3)
+            parts.push("polygon");
+    }
+    return parts.join(" ");
+}
+
+function countdown(n) {
+    var steps = 0;
+    do {
+        steps++;
+    } while (--n > 0);
+    return steps;
+}
+
+function never() {
+    return "never called";
+}
+
+exports.area = area;
+exports.sign = sign;
+exports.describe = describe;
+exports.countdown = countdown;
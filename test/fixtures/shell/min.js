@@ -0,0 +1 @@
+var a=function(x){return x?1:2},b=function(){return 3};a(0);b();b();
@@ -0,0 +1,18 @@
+function kind(x) {
+    switch (x) {
+      case 1: return "one";
+      case 2: return "two";
+      default: return "many";
+    }
+}
+function key(k) {
+    switch (k) {
+      case "a": return 1;
+      case "b: c\t": return 2;
+    }
+    return 0;
+}
+var f = function () {
+	return kind(1) + kind(3) + key("a") + key("z");
+};
+print(f());
@@ -0,0 +1,5 @@
+function sign(x) {
+    if (x < 0) return -1;
+    return 1;
+}
+console.log(add(1, 2), sign(5));
@@ -0,0 +1,9 @@
+function add(a, b) {
+    return a + b;
+}
+function sign(x) {
+    if (x < 0) return -1;
+    return 1;
+}
+console.log(add(1, 2), sign(5));
+//# sourceMappingURL=bundle.js.map
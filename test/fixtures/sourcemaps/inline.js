@@ -0,0 +1,4 @@
+function add(a, b) {
+    return a + b;
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJzb3VyY2VzIjpbImEuanMiXSwibWFwcGluZ3MiOiJBQUFBO0FBQ0EifQ==
@@ -0,0 +1,67 @@
+// Run the tests: node test/run.js, or npm test.
+//
+// Each test-*.js file in this directory exports its tests as functions,
+// under names that say what they check.  A test that takes an argument
+// is asynchronous, and calls it when it is done, with an error if it
+// failed.  The others fail by throwing, usually from the assert module.
+// The tests run one at a time, in the fixtures directory, so that the
+// source files named in the -D data of the fixtures can be read.
+//
+var fs = require("fs");
+var path = require("path");
+
+process.chdir(path.join(__dirname, "fixtures"));
+
+var tests = [];
+fs.readdirSync(__dirname).filter(function(name) {
+    return /^test-.*\.js$/.test(name);
+}).sort().forEach(function(name) {
+    var module = require(path.join(__dirname, name));
+    for(var test in module)
+        tests.push({ name: name + ": " + test, run: module[test] });
+});
+
+var failures = 0;
+var current = 0;  // The index of the test that is running
+function next(i) {
+    current = i;
+    if (i === tests.length) {
+        console.log("%d tests, %d failed", tests.length, failures);
+        process.exitCode = failures ? 1 : 0;
+        return;
+    }
+
+    var test = tests[i];
+    var finished = false;
+    function done(e) {
+        if (finished) return;
+        finished = true;
+        if (e) {
+            failures++;
+            console.log("not ok - %s\n%s", test.name,
+                        String(e && e.stack || e).replace(/^/gm, "    "));
+        }
+        else console.log("ok - %s", test.name);
+        setImmediate(next, i + 1);
+    }
+
+    try {
+        if (test.run.length) test.run(done);
+        else {
+            test.run();
+            done();
+        }
+    }
+    catch(e) {
+        done(e);
+    }
+}
+next(0);
+
+// An asynchronous test that never calls back leaves nothing else to do
+process.on("exit", function() {
+    if (current < tests.length) {
+        console.log("not ok - %s never finished", tests[current].name);
+        process.exitCode = 1;
+    }
+});
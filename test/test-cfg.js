@@ -0,0 +1,126 @@
+// Tests of --cfg, which writes the control-flow graphs of the scripts of
+// run.D as Graphviz DOT files
+//
+var assert = require("assert");
+var child_process = require("child_process");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var Reporters = require("../src/Reporters.js");
+var common = require("./common.js");
+
+// Write the graphs of the results to a new directory, which doesn't
+// exist yet, and pass the callback an object that maps the names of the
+// files written to their contents.  The directory is removed afterwards.
+function graphs(results, callback) {
+    var tmp = fs.mkdtempSync(path.join(os.tmpdir(), "covermonkey-"));
+    var dir = path.join(tmp, "graphs", "cfg");
+    Reporters.cfg(results, dir, function() {
+        var files = {};
+        try {
+            fs.readdirSync(dir).forEach(function(name) {
+                files[name] = fs.readFileSync(path.join(dir, name), "utf8");
+            });
+        }
+        finally {
+            fs.rmSync(tmp, { recursive: true });
+        }
+        callback(files);
+    });
+}
+
+exports["--cfg writes a graph of each script of the targets"] = function(done) {
+    graphs(common.analyze("run.D").results(), function(files) {
+        try {
+            assert.deepStrictEqual(Object.keys(files).sort(), [
+                "lib.js_1.dot", "lib.js_2.dot", "lib.js_39.dot", "lib.js_44.dot",
+                "lib.js_45.dot", "lib.js_46.dot", "lib.js_49.dot", "lib.js_50.dot",
+                "lib.js_9.dot", "main.js_1.dot"
+            ]);
+            for(var name in files) {
+                assert.ok(/^digraph "[^"]+" \{\n[^]*\n\}\n$/.test(files[name]), name);
+            }
+            assert.ok(files["main.js_1.dot"].indexOf(
+                'label="(toplevel) (main.js:1), called 1 time";') !== -1);
+            done();
+        }
+        catch(e) {
+            done(e);
+        }
+    });
+};
+
+exports["the graph of a function has its blocks and the edges taken"] = function(done) {
+    graphs(common.analyze("run.D").results(["lib.js"]), function(files) {
+        try {
+            var dot = files["lib.js_2.dot"];
+            assert.ok(dot.indexOf('label="classify (lib.js:2), called 2 times";') !== -1);
+
+            // The first block is labelled with its source line and opcode,
+            // and both of its edges were taken once
+            assert.ok(dot.indexOf('    b0 [label="3: if (n < 0) return \\"negative\\";' +
+                                  '\\l    0: 2 x ifeq 4\\l"];\n') !== -1, dot);
+            assert.ok(dot.indexOf('    b0 -> b1 [label="1"];\n') !== -1);
+            assert.ok(dot.indexOf('    b0 -> b3 [label="1"];\n') !== -1);
+
+            // Blocks that can't execute and blocks that didn't are colored,
+            // and so are edges never taken
+            assert.ok(/ b2 \[label="[^\n]*goto 10\\l", fillcolor="#ffccaa"\];/.test(dot));
+            assert.ok(/ b4 \[label="[^\n]*return col 23\\l", fillcolor="#ffaaaa"\];/.test(dot));
+            assert.ok(dot.indexOf('    b3 -> b4 [label="0", style=dashed, color="#cc0000"];\n')
+                      !== -1);
+            done();
+        }
+        catch(e) {
+            done(e);
+        }
+    });
+};
+
+exports["the HTML report links the first line of each script to its graph"] = function() {
+    var out = common.output();
+    Reporters.html(common.analyze("run.D").results(), out, { cfgurl: "cfg" });
+    var links = out.text.match(/<a class="cfg" href="[^"]*">/g);
+    assert.strictEqual(links.length, 10);
+    assert.ok(links.indexOf('<a class="cfg" href="cfg/lib.js_2.dot">') !== -1);
+    assert.ok(links.indexOf('<a class="cfg" href="cfg/main.js_1.dot">') !== -1);
+
+    out = common.output();
+    Reporters.html(common.analyze("run.D").results(), out, {});
+    assert.ok(out.text.indexOf('<a class="cfg"') === -1);
+};
+
+exports["--cfg reports a directory it can't write"] = function() {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), "covermonkey-"));
+    var file = path.join(dir, "file");
+    fs.writeFileSync(file, "");
+    fs.mkdirSync(path.join(dir, "cfg", "lib.js_2.dot"), { recursive: true });
+    function covermonkey(args) {
+        return child_process.spawnSync(
+            process.execPath,
+            [path.join(__dirname, "..", "bin", "CoverMonkey"), "-d", "run.D", "-q"]
+                .concat(args),
+            { encoding: "utf8" });
+    }
+
+    try {
+        // The directory can't be created
+        var result = covermonkey(["--cfg", path.join(file, "sub")]);
+        assert.strictEqual(result.status, 1);
+        assert.ok(result.stdout.indexOf("CoverMonkey: can't write " +
+                                        path.join(file, "sub") + ": ENOTDIR") === 0,
+                  result.stdout);
+        assert.strictEqual(result.stderr, "");
+
+        // A graph in it can't be written, but the others are
+        result = covermonkey(["-f", "--cfg", path.join(dir, "cfg")]);
+        assert.strictEqual(result.status, 1);
+        assert.ok(result.stdout.indexOf("CoverMonkey: can't write " +
+                                        path.join(dir, "cfg") + ": EISDIR") === 0,
+                  result.stdout);
+        assert.ok(fs.existsSync(path.join(dir, "cfg", "lib.js_9.dot")));
+    }
+    finally {
+        fs.rmSync(dir, { recursive: true });
+    }
+};
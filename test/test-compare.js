@@ -0,0 +1,175 @@
+// Tests of --baseline: loading the coverage of an earlier run and
+// comparing the current run with it
+//
+var assert = require("assert");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var Analyzer = require("../src/Analyzer.js");
+var Reporters = require("../src/Reporters.js");
+var common = require("./common.js");
+
+// Write a baseline of run.D with the writer function, which is passed
+// the Analyzer and an output stream, then load it and pass the callback
+// an error or null, the baseline and the results of an identical run
+function roundTrip(name, write, callback) {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), "covermonkey-"));
+    var filename = path.join(dir, name);
+    var out = fs.createWriteStream(filename);
+    write(common.analyze("run.D"), out);
+    out.end();
+    out.on("close", function() {
+        Analyzer.loadBaseline(filename, {}, function(e, baseline) {
+            fs.unlinkSync(filename);
+            fs.rmdirSync(dir);
+            callback(e, baseline, common.analyze("run.D").results());
+        });
+    });
+}
+
+// The per-file data of run.D, as loadBaseline() returns it
+function baselineOf(results) {
+    return results.targets.map(function(target) {
+        return JSON.parse(JSON.stringify(results.files[target].toJSON()));
+    });
+}
+
+// Check that the comparison of two identical runs finds no changes
+function assertUnchanged(comparison) {
+    assert.strictEqual(comparison.regressed, false);
+    assert.deepStrictEqual(comparison.before, comparison.after);
+    assert.deepStrictEqual(comparison.added, []);
+    assert.deepStrictEqual(comparison.removed, []);
+    comparison.files.forEach(function(diff) {
+        ["lost", "dead", "added", "improved"].forEach(function(p) {
+            assert.deepStrictEqual(diff[p], [], diff.filename + " " + p);
+        });
+        assert.deepStrictEqual(diff.before, {
+            lines: diff.after.lines,
+            covered: diff.after.covered,
+            partial: diff.after.partial,
+            uncovered: diff.after.uncovered,
+            dead: diff.after.dead
+        });
+    });
+}
+
+exports["an identical run matches a baseline saved with --save"] = function(done) {
+    roundTrip("run.sav", function(analyzer, out) {
+        analyzer.save(out);
+    }, function(e, baseline, results) {
+        if (e) return done(e);
+        try {
+            // The saved data has no ignore comments, but lib.js has some
+            var lib = baseline.filter(function(f) {
+                return f.filename === "lib.js";
+            })[0];
+            assert.strictEqual(lib.ignored, 0);
+            assert.ok(results.total.ignored > 0);
+
+            assertUnchanged(Analyzer.compare(baseline, results));
+            done();
+        }
+        catch(e) {
+            done(e);
+        }
+    });
+};
+
+exports["an identical run matches a baseline written with --json"] = function(done) {
+    roundTrip("run.json", function(analyzer, out) {
+        Reporters.json(analyzer.results(), out);
+    }, function(e, baseline, results) {
+        if (e) return done(e);
+        try {
+            assertUnchanged(Analyzer.compare(baseline, results));
+            done();
+        }
+        catch(e) {
+            done(e);
+        }
+    });
+};
+
+exports["compare lists the lines that lost coverage"] = function() {
+    var results = common.analyze("run.D").results();
+    var baseline = baselineOf(results);
+
+    // Pretend that lines 25 and 26 of lib.js were covered before, and
+    // that line 31 had no code
+    var lines = baseline[0].lines.filter(function(l) {
+        if (l.linenum === 25 || l.linenum === 26) l.coverage = "full";
+        return l.linenum !== 31;
+    });
+    baseline[0].lines = lines;
+
+    var comparison = Analyzer.compare(baseline, results);
+    var lib = comparison.files[0];
+    assert.strictEqual(lib.filename, "lib.js");
+    assert.deepStrictEqual(lib.lost, [25, 26]);
+    assert.deepStrictEqual(lib.added, [31]);
+    assert.deepStrictEqual(lib.improved, []);
+    assert.strictEqual(lib.regressed, true);
+    assert.strictEqual(comparison.regressed, true);
+    assert.strictEqual(comparison.before.covered, comparison.after.covered + 2);
+    assert.strictEqual(comparison.files[1].regressed, false);
+};
+
+exports["compare lists the lines that gained coverage"] = function() {
+    var results = common.analyze("run.D").results();
+    var baseline = baselineOf(results);
+    baseline[0].lines.forEach(function(l) {
+        if (l.linenum === 16) l.coverage = "none";
+    });
+
+    var comparison = Analyzer.compare(baseline, results);
+    assert.deepStrictEqual(comparison.files[0].improved, [16]);
+    assert.strictEqual(comparison.regressed, false);
+};
+
+exports["compare leaves out lines that are ignored in either run"] = function() {
+    var results = common.analyze("run.D").results();
+    var baseline = baselineOf(results);
+    baseline[0].lines.forEach(function(l) {
+        if (l.linenum === 16) l.coverage = "ignored";
+        if (l.linenum === 39) l.coverage = "full";
+    });
+
+    var comparison = Analyzer.compare(baseline, results);
+    var lib = comparison.files[0];
+    assert.deepStrictEqual(lib.lost, []);
+    assert.deepStrictEqual(lib.improved, []);
+    assert.deepStrictEqual(lib.before, {
+        lines: lib.after.lines,
+        covered: lib.after.covered,
+        partial: lib.after.partial,
+        uncovered: lib.after.uncovered,
+        dead: lib.after.dead
+    });
+    assert.strictEqual(lib.after.lines,
+                       Analyzer.fileStats(results.files["lib.js"]).lines - 1);
+};
+
+exports["compare lists new files and the files that are gone"] = function() {
+    var results = common.analyze("run.D").results();
+    var baseline = baselineOf(results).filter(function(f) {
+        return f.filename !== "main.js";
+    });
+    baseline.push({ filename: "gone.js", covered: 3, partial: 0,
+                    uncovered: 1, dead: 0, lines: [] });
+    baseline.push({ filename: "vendor/x.js", covered: 1, partial: 0,
+                    uncovered: 0, dead: 0, lines: [] });
+
+    var comparison = Analyzer.compare(baseline, results,
+                                      { exclude: ["vendor/**"] });
+    assert.deepStrictEqual(comparison.added, ["main.js"]);
+    assert.deepStrictEqual(comparison.removed, [{
+        filename: "gone.js",
+        before: { lines: 4, covered: 3, partial: 0, uncovered: 1, dead: 0 }
+    }]);
+
+    // The totals are of the files in both runs
+    var lib = Analyzer.fileStats(results.files["lib.js"]);
+    assert.strictEqual(comparison.after.lines, lib.lines);
+    assert.strictEqual(comparison.regressed, false);
+};
@@ -0,0 +1,134 @@
+// Tests of the Coverage class, which parses -D data as it arrives
+//
+var assert = require("assert");
+var fs = require("fs");
+var Coverage = require("../src/Coverage.js");
+
+var data = fs.readFileSync("run.D", "utf8");
+
+// Parse the data in chunks of the specified size, and return the
+// Coverage object and the events its listener got
+function parse(text, size) {
+    var coverage = new Coverage();
+    var events = [];
+    coverage.addListener({
+        onNewScript: function(c, filename) {
+            events.push(["new", filename]);
+        },
+        onScriptUpdate: function(c, filename) {
+            events.push(["script", filename]);
+        },
+        onLineUpdate: function(c, filename, line) {
+            events.push(["line", filename, line.linenum]);
+        }
+    });
+    for(var i = 0; i < text.length; i += size)
+        coverage.parseData(text.slice(i, i + size));
+    coverage.end();
+    return { coverage: coverage, events: events };
+}
+
+exports["parseData gives the same data however the input is split"] = function() {
+    var whole = JSON.stringify(parse(data, data.length).coverage.data);
+    [1, 7, 100, 4096].forEach(function(size) {
+        assert.strictEqual(JSON.stringify(parse(data, size).coverage.data), whole,
+                           "chunks of " + size + " characters");
+    });
+};
+
+exports["parseData reports each new file once"] = function() {
+    var events = parse(data, 7).events;
+    assert.deepStrictEqual(events.filter(function(e) {
+        return e[0] === "new";
+    }), [["new", "main.js"], ["new", "lib.js"]]);
+};
+
+exports["parseData only updates the data when a script is complete"] = function() {
+    var coverage = new Coverage();
+    var end = data.indexOf("--- END SCRIPT lib.js:1 ---");
+    coverage.parseData(data.slice(0, end));
+    assert.deepStrictEqual(Object.keys(coverage.filenames), ["main.js"]);
+    coverage.parseData(data.slice(end, end + 10));
+    assert.deepStrictEqual(Object.keys(coverage.filenames), ["main.js"]);
+    coverage.parseData(data.slice(end + 10));
+    coverage.end();
+    assert.deepStrictEqual(Object.keys(coverage.filenames).sort(),
+                           ["lib.js", "main.js"]);
+};
+
+exports["parseData updates the lines of repeated scripts"] = function() {
+    var once = parse(data, data.length).coverage;
+    var twice = parse(data + data, 4096);
+
+    // Counting everything twice changes the counts of every line that
+    // ran, but not which lines are covered
+    var lines = once.filenames["lib.js"].lines;
+    var again = twice.coverage.filenames["lib.js"].lines;
+    assert.strictEqual(again.length, lines.length);
+    lines.forEach(function(line, i) {
+        assert.strictEqual(again[i].coverage, line.coverage);
+        assert.deepStrictEqual(again[i].counts, line.counts.map(function(c) {
+            return c > 0 ? 2*c : c;
+        }));
+    });
+
+    var updated = twice.events.filter(function(e) {
+        return e[0] === "line" && e[1] === "lib.js";
+    }).map(function(e) { return e[2]; });
+    assert.ok(updated.indexOf(16) !== -1);
+    assert.ok(updated.indexOf(25) === -1, "a line that never ran was updated");
+    assert.strictEqual(twice.events.filter(function(e) {
+        return e[0] === "new";
+    }).length, 2);
+};
+
+exports["end() parses an unterminated last line"] = function() {
+    var whole = JSON.stringify(parse(data, data.length).coverage.data);
+    var coverage = new Coverage();
+
+    // Without its END SCRIPT line, the last script isn't complete
+    coverage.parseData(data.replace(/\n$/, ""));
+    assert.notStrictEqual(JSON.stringify(coverage.data), whole);
+    coverage.end();
+    assert.strictEqual(JSON.stringify(coverage.data), whole);
+};
+
+exports["listeners can follow the Files instead of the per-file data"] = function() {
+    var coverage = new Coverage();
+    coverage.data = null;
+    var events = [];
+    coverage.addListener({
+        onScript: function(c, script, isNew) {
+            events.push(["script", script.name, isNew]);
+        },
+        onFile: function(c, file) { events.push(["file", file.name]); },
+        onFileUpdate: function(c, file, script) {
+            events.push(["update", file.name, script.name]);
+        },
+        onText: function(c, line) { events.push(["text", line]); }
+    });
+    coverage.parseData("hello\n" + data);
+    coverage.newInput();
+    coverage.parseData(data);
+    coverage.end();
+
+    assert.strictEqual(coverage.data, null);
+    assert.deepStrictEqual(coverage.filenames, {});
+    assert.deepStrictEqual(Object.keys(coverage.files).sort(), ["lib.js", "main.js"]);
+    assert.deepStrictEqual(events.slice(0, 3), [
+        ["text", "hello"], ["script", "main.js:1", true], ["file", "main.js"]
+    ]);
+    assert.deepStrictEqual(events.filter(function(e) {
+        return e[0] === "file";
+    }), [["file", "main.js"], ["file", "lib.js"]]);
+
+    // Every script but the first of each file updates its file, and the
+    // second time every script is already known
+    var scripts = events.filter(function(e) { return e[0] === "script"; });
+    var half = scripts.length/2;
+    assert.ok(scripts.slice(0, half).every(function(e) { return e[2]; }));
+    assert.ok(scripts.slice(half).every(function(e) { return !e[2]; }));
+    assert.strictEqual(events.filter(function(e) {
+        return e[0] === "update" && e[1] === e[2].replace(/:\d+$/, "");
+    }).length, 2*half - 2);
+};
@@ -0,0 +1,109 @@
+// Tests of --diff, which limits the results to the lines that a patch
+// changes
+//
+var assert = require("assert");
+var Analyzer = require("../src/Analyzer.js");
+var common = require("./common.js");
+
+exports["parseDiff finds the added and changed lines of git diffs"] = function() {
+    var changes = Analyzer.parseDiff([
+        "diff --git a/lib.js b/lib.js",
+        "index 1111111..2222222 100644",
+        "--- a/lib.js",
+        "+++ b/lib.js",
+        "@@ -3,4 +3,5 @@ function classify(n) {",
+        "     if (n < 0) return \"negative\";",
+        "-    else if (n === 0) return \"zero\";",
+        "+    else if (n === 0)",
+        "+        return \"zero\";",
+        "     var s = n > 100 ? \"big\" : \"small\";",
+        "     return s;",
+        "@@ -20 +21 @@ function loops(xs) {",
+        "-    var j = 0;",
+        "+    var j = 1;",
+        "diff --git a/main.js b/main.js",
+        "--- a/main.js",
+        "+++ b/main.js",
+        "@@ -1,2 +1,2 @@",
+        "--- a comment that starts with dashes",
+        "+++ and one that starts with pluses",
+        " var lib = require(\"./lib.js\");",
+        ""
+    ].join("\n"));
+    assert.deepStrictEqual(changes, { "lib.js": [4, 5, 21], "main.js": [1] });
+};
+
+exports["parseDiff handles new and deleted files"] = function() {
+    var changes = Analyzer.parseDiff([
+        "diff --git a/new.js b/new.js",
+        "new file mode 100644",
+        "--- /dev/null",
+        "+++ b/new.js",
+        "@@ -0,0 +1,2 @@",
+        "+var a = 1;",
+        "+var b = 2;",
+        "\\ No newline at end of file",
+        "diff --git a/old.js b/old.js",
+        "deleted file mode 100644",
+        "--- a/old.js",
+        "+++ /dev/null",
+        "@@ -1 +0,0 @@",
+        "-var c = 3;"
+    ].join("\n"));
+    assert.deepStrictEqual(changes, { "new.js": [1, 2] });
+};
+
+exports["parseDiff keeps the names of plain unified diffs"] = function() {
+    var changes = Analyzer.parseDiff([
+        "--- src/old.js\t2011-08-22 10:00:00.000000000 -0700",
+        "+++ src/new.js\t2011-08-23 10:00:00.000000000 -0700",
+        "@@ -7,2 +7,3 @@",
+        " a();",
+        "+b();",
+        " c();",
+        "--- \"b/with space.js\"",
+        "+++ \"b/with space.js\"",
+        "@@ -1 +1 @@",
+        "-x();",
+        "+y();"
+    ].join("\r\n"));
+    assert.deepStrictEqual(changes, { "src/new.js": [8], "b/with space.js": [1] });
+};
+
+exports["parseDiff of something that isn't a patch is empty"] = function() {
+    assert.deepStrictEqual(Analyzer.parseDiff(""), {});
+    assert.deepStrictEqual(Analyzer.parseDiff("Not a patch\n+ at all\n"), {});
+};
+
+exports["results() only report the changed lines of the changed files"] = function() {
+    var analyzer = common.analyze("run.D");
+    var results = analyzer.results([], {
+        changes: { "./lib.js": [16, 25, 26, 27, 28, 100], "other.js": [1] }
+    });
+    assert.deepStrictEqual(results.targets, ["lib.js"]);
+    var lib = results.files["lib.js"];
+    assert.deepStrictEqual(Object.keys(lib.lines).map(Number), [16, 25, 26, 27]);
+    assert.strictEqual(results.total.lines, 4);
+    assert.strictEqual(results.total.covered, 1);
+    assert.strictEqual(results.total.uncovered, 3);
+
+    // The full results are still there for the other reports
+    assert.ok(Object.keys(analyzer.files["lib.js"].lines).length > 30);
+};
+
+exports["results() don't match patched files by basename"] = function() {
+    var analyzer = common.analyze("run.D");
+
+    // Another file named lib.js has no coverage data, so it is left out
+    var results = analyzer.results([], { changes: { "docs/lib.js": [2, 22] } });
+    assert.deepStrictEqual(results.targets, []);
+    assert.deepStrictEqual(results.ambiguous, []);
+    assert.strictEqual(results.total.lines, 0);
+
+    // Paths from the top of the source tree match by their ends
+    results = analyzer.results([], {
+        changes: { "test/fixtures/lib.js": [16], "b/test/fixtures/main.js": [1] }
+    });
+    assert.deepStrictEqual(results.targets, ["lib.js", "main.js"]);
+    assert.deepStrictEqual(Object.keys(results.files["lib.js"].lines), ["16"]);
+};
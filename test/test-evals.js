@@ -0,0 +1,116 @@
+// Tests of --evals, which reports the code compiled by eval and the
+// (null) and -e scripts as virtual files
+//
+var assert = require("assert");
+var Analyzer = require("../src/Analyzer.js");
+var Reporters = require("../src/Reporters.js");
+var common = require("./common.js");
+
+// The -D data of "js -e 'print(1)' app.js", where app.js evals code
+// on line 3 that defines a function, which is called five times
+var data = [
+    "--- SCRIPT (null):0 ---",
+    "main:",
+    "00000:1/0/0 x     0  stop",
+    "--- END SCRIPT (null):0 ---",
+    "--- SCRIPT -e:1 ---",
+    "main:",
+    "00000:1/0/0 x     1  getgname \"print\"",
+    "00001:1/0/0 x     1  stop",
+    "--- END SCRIPT -e:1 ---",
+    "--- SCRIPT app.js:1 ---",
+    "main:",
+    "00000:1/0/0 x     1  getgname \"eval\"",
+    "00001:1/0/0 x     3  eval 1",
+    "00002:1/0/0 x     5  stop",
+    "--- END SCRIPT app.js:1 ---",
+    "--- SCRIPT app.js:3 ---",
+    "main:",
+    "00000:2/0/0 x     3  lambda",
+    "00001:2/0/0 x     4  getgname \"y\"",
+    "00002:2/0/0 x     4  stop",
+    "--- END SCRIPT app.js:3 ---",
+    "--- SCRIPT app.js:3 ---",
+    "main:",
+    "00000:5/0/0 x     3  getarg 0",
+    "00001:5/0/0 x     3  return",
+    "--- END SCRIPT app.js:3 ---",
+    ""
+].join("\n");
+
+var source = [
+    "var code = read('code.js');",
+    "",
+    "eval(code);",
+    "",
+    "done();"
+];
+
+function analyze(options) {
+    var analyzer = new Analyzer(options);
+    analyzer.sources["app.js"] = source;
+    analyzer.end(data);
+    return analyzer;
+}
+
+// Return the coverage and counts of each line of the file, as an object
+function linesOf(file) {
+    var lines = {};
+    for(var linenum in file.lines) {
+        var line = file.lines[linenum];
+        lines[linenum] = [line.coverage(), line.counts()];
+    }
+    return lines;
+}
+
+exports["without --evals, eval'd code is part of its caller"] = function() {
+    var results = analyze({}).results();
+    assert.deepStrictEqual(results.targets, ["app.js"]);
+    assert.deepStrictEqual(Object.keys(linesOf(results.files["app.js"])),
+                           ["1", "3", "4", "5"]);
+};
+
+exports["eval'd code goes in a virtual file named for its caller"] = function() {
+    var results = analyze({ evals: true }).results();
+    assert.deepStrictEqual(results.targets,
+                           ["(null)", "-e", "app.js", "app.js:3 (eval)"]);
+    assert.deepStrictEqual(linesOf(results.files["app.js"]), {
+        1: ["full", [1]], 3: ["full", [1]], 5: ["full", [1]]
+    });
+
+    // The lines are numbered from the line of the call, and the function
+    // the eval'd code defines goes with it
+    var evaled = results.files["app.js:3 (eval)"];
+    assert.deepStrictEqual(linesOf(evaled), {
+        1: ["full", [2, 5]], 2: ["full", [2]]
+    });
+    assert.deepStrictEqual(evaled.functions().map(function(f) {
+        return [f.line, f.calls];
+    }), [[1, 5]]);
+};
+
+exports["virtual files have their disassembly as source"] = function() {
+    var analyzer = analyze({ evals: true });
+    var results = analyzer.results();
+    assert.deepStrictEqual(analyzer.sources["app.js:3 (eval)"],
+                           ["lambda; getarg 0; return", "getgname \"y\"; stop"]);
+    assert.deepStrictEqual(analyzer.sources["-e"], ["getgname \"print\"; stop"]);
+    assert.strictEqual(analyzer.sources["app.js"], source);
+
+    var out = common.output();
+    Reporters.html(results, out, {});
+    assert.ok(out.text.indexOf("<h2>app.js:3 (eval)</h2>") !== -1);
+    assert.ok(out.text.indexOf("getgname &quot;y&quot;; stop") !== -1);
+};
+
+exports["the text report lists the virtual files"] = function() {
+    var out = common.output();
+    Reporters.text(analyze({ evals: true }).results(), out, { percent: true });
+    assert.deepStrictEqual(out.text.split("\n").filter(Boolean), [
+        "(null): 100.0%",
+        "-e: 100.0%",
+        "app.js: 100.0%",
+        "app.js:3 (eval): 100.0%",
+        "Overall Coverage: 100.0%"
+    ]);
+};
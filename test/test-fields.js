@@ -0,0 +1,101 @@
+// Tests of the /-separated count fields of the -D data and --count-fields
+//
+var assert = require("assert");
+var child_process = require("child_process");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var Analyzer = require("../src/Analyzer.js");
+var Coverage = require("../src/Coverage.js");
+var Reporters = require("../src/Reporters.js");
+var common = require("./common.js");
+
+var data = fs.readFileSync("run.D", "utf8");
+
+// run.D with six count fields, as newer builds write: the counts are
+// moved from the interpreter field to the JIT field, and the fourth
+// field, which isn't a count, is 5
+var jitted = data.replace(/^(\d+):(\d+)\/0\/0 x/mg, "$1:0/$2/0/5/0/0 x");
+
+function analyze(text, options) {
+    var analyzer = new Analyzer(options);
+    analyzer.end(text);
+    return analyzer;
+}
+
+exports["parseCountFields names the fields, with - for those to skip"] = function() {
+    assert.deepStrictEqual(Coverage.parseCountFields("interp,jit,stubs"),
+                           Coverage.COUNT_FIELDS);
+    assert.deepStrictEqual(Coverage.parseCountFields(" interp, -, jit"),
+                           ["interp", null, "jit"]);
+    assert.throws(function() { Coverage.parseCountFields("interp,2x"); },
+                  /bad count field name "2x"/);
+    assert.throws(function() { Coverage.parseCountFields("-,-"); },
+                  /no count fields named/);
+};
+
+exports["the count of an opcode is the sum of the count fields"] = function() {
+    var before = common.analyze("run.D").files["lib.js"];
+    var after = analyze(jitted).files["lib.js"];
+    for(var linenum in before.lines) {
+        assert.deepStrictEqual(after.lines[linenum].counts(),
+                               before.lines[linenum].counts(), "line " + linenum);
+    }
+
+    // But the fields show where the opcodes were executed
+    var total = before.fieldCounts().interp;
+    assert.ok(total > 0);
+    assert.deepStrictEqual(after.fieldCounts(), { interp: 0, jit: total, stubs: 0 });
+    assert.deepStrictEqual(after.lines[16].fieldCounts(),
+                           { interp: 0, jit: before.lines[16].executions(), stubs: 0 });
+};
+
+exports["other count fields change the counts"] = function() {
+    // Only the interpreter counts, which are all 0 now
+    var lib = analyze(jitted, { countFields: ["interp"] }).files["lib.js"];
+    assert.deepStrictEqual(lib.fieldCounts(), { interp: 0 });
+    assert.strictEqual(lib.lines[16].coverage(), "none");
+
+    // The fourth field is 5 for every opcode, so every line ran
+    lib = analyze(jitted, { countFields: ["interp", null, null, "extra"] }).files["lib.js"];
+    assert.deepStrictEqual(lib.lines[16].counts(), [5]);
+    assert.strictEqual(lib.lines[25].coverage(), "full");
+};
+
+exports["the HTML assembly code shows the count of each field"] = function() {
+    var results = analyze(jitted).results();
+    var out = common.output();
+    Reporters.html(results, out, { outputops: true });
+    assert.ok(out.text.indexOf(
+        "<tr><th>Function @<th>PC<th>#<th>interp<th>jit<th>stubs<th>Instruction</tr>"
+    ) !== -1);
+    assert.ok(/<tr><td>[^<]*<td>\d+<td>(\d+)<td>0<td>\1<td>0<td>/.test(out.text));
+};
+
+exports["--count-fields sets the count fields of the JSON report"] = function() {
+    var json = path.join(os.tmpdir(), "covermonkey-fields-" + process.pid + ".json");
+    var result = child_process.spawnSync(
+        process.execPath,
+        [path.join(__dirname, "..", "bin", "CoverMonkey"), "-q",
+         "--count-fields", "-,jit", "--json", json],
+        { input: jitted, encoding: "utf8" });
+    try {
+        assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+        var lib = JSON.parse(fs.readFileSync(json, "utf8")).files[0];
+    }
+    finally {
+        if (fs.existsSync(json)) fs.unlinkSync(json);
+    }
+    assert.strictEqual(lib.filename, "lib.js");
+    assert.deepStrictEqual(lib.fields, {
+        jit: common.analyze("run.D").files["lib.js"].fieldCounts().interp
+    });
+
+    result = child_process.spawnSync(
+        process.execPath,
+        [path.join(__dirname, "..", "bin", "CoverMonkey"), "--count-fields", "a b"],
+        { input: "", encoding: "utf8" });
+    assert.strictEqual(result.status, 1);
+    assert.ok(/^--count-fields: bad count field name "a b"\n/.test(result.stdout),
+              result.stdout);
+};
@@ -0,0 +1,55 @@
+// Tests of function coverage, with the functions of lib.js in run.D
+//
+var assert = require("assert");
+var Analyzer = require("../src/Analyzer.js");
+var Reporters = require("../src/Reporters.js");
+var common = require("./common.js");
+
+exports["functions() lists the functions of a file and their calls"] = function() {
+    var lib = common.analyze("run.D").results().files["lib.js"];
+    assert.deepStrictEqual(lib.functions().map(function(f) {
+        return [f.name, f.line, f.calls];
+    }), [["classify", 2, 2],
+         ["loops", 9, 1],
+         ["(anonymous)", 44, 1],   // the methods of Point
+         ["(anonymous)", 45, 1],
+         ["(anonymous)", 46, 0],
+         ["(anonymous)", 49, 1],   // the arrow functions
+         ["(anonymous)", 50, 1]]);
+};
+
+exports["the top-level script of a file is not a function"] = function() {
+    var files = common.analyze("run.D").results().files;
+    assert.deepStrictEqual(files["main.js"].functions(), []);
+    assert.ok(!files["lib.js"].functions().some(function(f) {
+        return f.line === 1;
+    }));
+};
+
+exports["ignored functions are left out of the function coverage"] = function() {
+    var lib = common.analyze("run.D").results().files["lib.js"];
+    // unused() on line 39 is never called, but it is ignored
+    assert.ok(!lib.functions().some(function(f) { return f.line === 39; }));
+    var stats = Analyzer.fileStats(lib);
+    assert.strictEqual(stats.functionsCalled, 6);
+    assert.strictEqual(stats.functions, 7);
+};
+
+exports["-l lists the functions that were never called"] = function() {
+    var out = common.output();
+    Reporters.text(common.analyze("run.D").results(), out, { listlines: true });
+    assert.deepStrictEqual(out.text.split("\n").filter(function(line) {
+        return / never called$/.test(line);
+    }), ["lib.js:46: function (anonymous) never called"]);
+    assert.ok(out.text.indexOf("\t        functions: 6/7 called (85.7%)\n") !== -1,
+              out.text);
+};
+
+exports["-c has a column of the functions called"] = function() {
+    var out = common.output();
+    Reporters.text(common.analyze("run.D").results(), out, { compact: true });
+    var rows = out.text.split("\n");
+    assert.ok(/ Funcs$/.test(rows[1]), rows[1]);
+    assert.ok(/^ *[\d.]+% +lib\.js .* 6\/7 *$/.test(rows[2]), rows[2]);
+    assert.ok(/ ALL FILES .* 6\/7 *$/.test(rows[4]), rows[4]);
+};
@@ -0,0 +1,74 @@
+// Tests of --hotspots, with the most executed lines and functions of
+// run.D
+//
+var assert = require("assert");
+var Analyzer = require("../src/Analyzer.js");
+var Reporters = require("../src/Reporters.js");
+var common = require("./common.js");
+
+function hotspots(n) {
+    var results = common.analyze("run.D").results();
+    return Analyzer.hotspots(results.files, results.targets, n);
+}
+
+exports["hotspots lists the most executed lines first"] = function() {
+    assert.deepStrictEqual(hotspots(3).lines, [
+        { filename: "lib.js", line: 16, count: 26, executions: 78 },
+        { filename: "lib.js", line: 17, count: 21, executions: 44 },
+        { filename: "lib.js", line: 11, count: 6, executions: 18 }
+    ]);
+};
+
+exports["hotspots lists the most called functions first"] = function() {
+    assert.deepStrictEqual(hotspots(2).functions, [
+        { filename: "lib.js", name: "classify", line: 2, calls: 2, executions: 12 },
+        { filename: "lib.js", name: "loops", line: 9, calls: 1, executions: 213 }
+    ]);
+};
+
+exports["the total of the hotspots leaves out ignored lines"] = function() {
+    var results = common.analyze("run.D").results();
+    var all = 0, ignored = 0;
+    results.targets.forEach(function(target) {
+        var lines = results.files[target].lines;
+        for(var linenum in lines) {
+            all += lines[linenum].executions();
+            if (lines[linenum].coverage() === "ignored")
+                ignored += lines[linenum].executions();
+        }
+    });
+    assert.ok(ignored > 0);
+    assert.strictEqual(hotspots(3).executions, all - ignored);
+
+    // No line that is listed is ignored or has no significant code
+    hotspots(1000).lines.forEach(function(l) {
+        var coverage = results.files[l.filename].lines[l.line].coverage();
+        assert.ok(coverage !== "" && coverage !== "ignored", l.filename + ":" + l.line);
+    });
+};
+
+exports["the hotspots text has counts and shares of the opcodes"] = function() {
+    var out = common.output();
+    Reporters.hotspots(common.analyze("run.D").results(), out, { hotspots: 1 });
+    assert.strictEqual(out.text,
+                       "Most executed lines (of 252 opcodes executed):\n" +
+                       "     Count   Ops%  Line\n" +
+                       "        26   31.0  lib.js:16\n" +
+                       "Most called functions:\n" +
+                       "     Calls   Ops%  Function\n" +
+                       "         2    4.8  classify (lib.js:2)\n");
+};
+
+exports["the HTML report has the hotspots if they are asked for"] = function() {
+    var results = common.analyze("run.D").results();
+    var out = common.output();
+    Reporters.html(results, out, {});
+    assert.strictEqual(out.text.indexOf("<h2>Hot spots</h2>"), -1);
+
+    out = common.output();
+    Reporters.html(results, out, { hotspots: 1 });
+    assert.ok(out.text.indexOf("<h2>Hot spots</h2>\n" +
+                               "<p>252 opcodes were executed in all.</p>\n") !== -1);
+    assert.ok(out.text.indexOf('<a href="#lib.js:16">lib.js:16</a><td>26<td>') !== -1);
+    assert.ok(out.text.indexOf('<a href="#lib.js:2">classify (lib.js:2)</a><td>2<td>') !== -1);
+};
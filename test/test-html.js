@@ -0,0 +1,118 @@
+// Tests of the annotated source in the HTML report: collapsing runs of
+// lines with nothing to report, and moving between the problem lines
+//
+var assert = require("assert");
+var vm = require("vm");
+var Analyzer = require("../src/Analyzer.js");
+var Reporters = require("../src/Reporters.js");
+var common = require("./common.js");
+
+// The -D data of long.js, which has 33 lines: 1 to 20 run, 21 doesn't,
+// and 22 to 33 have no code.  Line 22 has the unreachable stop that ends
+// every script, which doesn't count as code.
+var data = ["--- SCRIPT long.js:1 ---", "main:"];
+for(var n = 1; n <= 20; n++)
+    data.push("000" + (n < 11 ? "0" : "") + (n-1) + ":1/0/0 x    " +
+              (n < 10 ? " " : "") + n + "  nop");
+data.push("00020:0/0/0 x    21  return",
+          "00021:0/0/0 x    22  stop",
+          "--- END SCRIPT long.js:1 ---",
+          "");
+
+// Return the HTML report of long.js with the specified options
+function html(options) {
+    var analyzer = new Analyzer();
+    analyzer.sources["long.js"] = Array.apply(null, Array(33)).map(function(x, i) {
+        return i < 22 ? "f(" + (i+1) + ");" : "";
+    });
+    analyzer.end(data.join("\n"));
+    var out = common.output();
+    Reporters.html(analyzer.results(), out, options);
+    return out.text;
+}
+
+// Return the lines of the annotated source, as [id, class] arrays, and
+// the collapsed runs of lines, as [number of lines, first id, last id]
+function parse(text) {
+    var lines = [], stubs = [];
+    var source = text.substring(text.indexOf("<h2>long.js</h2>"));
+    var re = /<div class="stub">(\d+) lines with nothing to report: click to expand<\/div>(<div class="fold hidden">)|<div id="([^"]*)" class="([^"]*)"|(<\/div>\n<\/div>\n)/g;
+    var m, fold = null;
+    while((m = re.exec(source))) {
+        if (m[1]) {
+            fold = [Number(m[1])];
+            stubs.push(fold);
+        }
+        else if (m[3]) {
+            lines.push([m[3], m[4]]);
+            if (fold) {
+                if (fold.length === 1) fold.push(m[3]);
+                fold[2] = m[3];
+            }
+        }
+        else fold = null;
+    }
+    return { lines: lines, stubs: stubs };
+}
+
+exports["the lines have ids and coverage classes to move between"] = function() {
+    var parsed = parse(html({}));
+    assert.strictEqual(parsed.lines.length, 33);
+    assert.deepStrictEqual(parsed.stubs, []);
+    assert.deepStrictEqual(parsed.lines[0], ["long.js:1", "line full p0"]);
+    assert.deepStrictEqual(parsed.lines[20], ["long.js:21", "line none p0"]);
+    assert.deepStrictEqual(parsed.lines[21], ["long.js:22", "line"]);
+    assert.deepStrictEqual(parsed.lines[32], ["long.js:33", "line"]);
+};
+
+exports["--collapse folds long runs of lines with nothing to report"] = function() {
+    var text = html({ collapse: true });
+    var parsed = parse(text);
+    assert.strictEqual(parsed.lines.length, 33);
+
+    // Lines 1 to 20 are covered, and there is no context at the start of
+    // the file.  Lines 22 to 33 have no code, and there is context
+    // before them, but not at the end of the file.
+    assert.deepStrictEqual(parsed.stubs, [
+        [18, "long.js:1", "long.js:18"],
+        [10, "long.js:24", "long.js:33"]
+    ]);
+    assert.ok(/<div class="fold hidden"><div id="long\.js:1" /.test(text));
+    assert.ok(/<div id="long\.js:19" class="line full p0">/.test(text));
+};
+
+exports["short runs of lines are not collapsed"] = function() {
+    var analyzer = common.analyze("run.D");
+    var out = common.output();
+    Reporters.html(analyzer.results(["main.js"]), out, { collapse: true });
+    assert.ok(out.text.indexOf('<div class="stub">') === -1);
+};
+
+exports["the toolbar moves between problem lines and filters them"] = function() {
+    var text = html({});
+    [["none", -1, "p"], ["none", 1, "n"],
+     ["some", -1, "S"], ["some", 1, "s"],
+     ["dead", -1, "D"], ["dead", 1, "d"]].forEach(function(b) {
+        assert.ok(text.indexOf('<button onclick="jump(\'' + b[0] + '\', ' + b[1] +
+                               ')" title="' + b[2] + '">') !== -1, b.join(" "));
+    });
+    assert.ok(text.indexOf("<input type=\"checkbox\" onclick=\"document.body." +
+                           "classList.toggle('problems', this.checked)\">" +
+                           "Only problem lines</label>") !== -1);
+
+    // The filter hides all but the partial, uncovered and dead lines
+    assert.ok(text.indexOf(".problems .line, .problems .stub {display:none;}") !== -1);
+    assert.ok(text.indexOf(".problems .line.some, .problems .line.none, " +
+                           ".problems .line.dead {display:block;}") !== -1);
+};
+
+exports["the keys move the same way as the toolbar buttons"] = function() {
+    var text = html({});
+    var m = text.match(/\nvar keys = (\{[^}]*\});\n/);
+    assert.ok(m, "no keys");
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(vm.runInNewContext("(" + m[1] + ")"))), {
+        n: ["none", 1], p: ["none", -1],
+        s: ["some", 1], S: ["some", -1],
+        d: ["dead", 1], D: ["dead", -1]
+    });
+};
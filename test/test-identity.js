@@ -0,0 +1,157 @@
+// Tests of how scripts are identified, so that the functions of minified
+// code, which share their file and line, are told apart
+//
+var assert = require("assert");
+var child_process = require("child_process");
+var path = require("path");
+var Coverage = require("../src/Coverage.js");
+
+// The -D data of a run of a minified file, whose top-level code defines
+// two functions on line 1.  The first is called three times and takes
+// the ifeq branch once.
+var minified = [
+    "--- SCRIPT min.js:1 ---",
+    "main:",
+    "00000:1/0/0 x     1  lambda",
+    "00001:1/0/0 x     1  lambda",
+    "00002:1/0/0 x     1  stop",
+    "--- END SCRIPT min.js:1 ---",
+    "--- SCRIPT min.js:1 ---",
+    "main:",
+    "00000:3/0/0 x     1  getarg 0",
+    "00001:3/0/0 x     1  ifeq 3",
+    "00002:2/0/0 x     1  neg",
+    "00003:3/0/0 x     1  return",
+    "--- END SCRIPT min.js:1 ---",
+    "--- SCRIPT min.js:1 ---",
+    "main:",
+    "00000:0/0/0 x     1  getarg 0",
+    "00001:0/0/0 x     1  return",
+    "--- END SCRIPT min.js:1 ---"
+];
+
+// Parse the inputs, each an array of lines, and return the Parser and
+// the warnings it gave
+function parse(inputs) {
+    var parser = new Coverage.Parser();
+    var warnings = [];
+    parser.onwarning = function(message) { warnings.push(message); };
+    inputs.forEach(function(lines) {
+        parser.newInput();
+        lines.forEach(function(line) { parser.processLine(line); });
+    });
+    return { parser: parser, warnings: warnings };
+}
+
+function fileOf(scripts) {
+    var file = new Coverage.File("min.js");
+    scripts.forEach(function(script) { file.addScript(script); });
+    return file;
+}
+
+exports["scripts on the same line have different ids"] = function() {
+    var parsed = parse([minified]);
+    var ids = parsed.parser.scripts.map(function(script) { return script.id; });
+    assert.strictEqual(ids.length, 3);
+    ids.forEach(function(id) {
+        assert.ok(/^min\.js:1-1@0#[0-9a-f]{8}$/.test(id), id);
+    });
+    assert.notStrictEqual(ids[0], ids[1]);
+    assert.notStrictEqual(ids[1], ids[2]);
+    assert.notStrictEqual(ids[0], ids[2]);
+    assert.deepStrictEqual(parsed.warnings, []);
+};
+
+exports["the opcodes of functions on the same line are all counted"] = function() {
+    var file = fileOf(parse([minified]).parser.scripts);
+    var line = file.lines[1];
+    assert.strictEqual(Object.keys(line.opcodes).length, 3 + 4 + 2);
+    assert.strictEqual(line.coverage(), "some");
+    assert.deepStrictEqual(line.branchCoverage(), [2, 2]);
+    assert.deepStrictEqual(file.functions().map(function(f) {
+        return [f.line, f.calls];
+    }), [[1, 3], [1, 0]]);
+};
+
+exports["the same scripts in other inputs have their counts summed"] = function() {
+    var parsed = parse([minified, minified]);
+    assert.deepStrictEqual(parsed.warnings, []);
+    assert.strictEqual(parsed.parser.scripts.length, 3);
+    assert.deepStrictEqual(fileOf(parsed.parser.scripts).functions().map(function(f) {
+        return f.calls;
+    }), [6, 0]);
+};
+
+exports["identical scripts in one input are combined with a warning"] = function() {
+    // function() { function a(){} function b(){} }
+    var empty = [
+        "--- SCRIPT min.js:1 ---",
+        "main:",
+        "00000:1/0/0 x     1  stop",
+        "--- END SCRIPT min.js:1 ---"
+    ];
+    var parsed = parse([empty.concat(empty, empty)]);
+    assert.strictEqual(parsed.parser.scripts.length, 1);
+    assert.strictEqual(parsed.parser.scripts[0].opcodes[0].count, 3);
+    assert.deepStrictEqual(parsed.warnings, [
+        "min.js:1: identical scripts ending on line 1 can't be told apart; " +
+            "their counts are combined, as are those of a script that is " +
+            "loaded more than once"
+    ]);
+};
+
+exports["scripts that end on different lines have different ids"] = function() {
+    var parsed = parse([[
+        "--- SCRIPT f.js:1 ---",
+        "main:",
+        "00000:1/0/0 x     1  stop",
+        "--- END SCRIPT f.js:1 ---",
+        "--- SCRIPT f.js:1 ---",
+        "main:",
+        "00000:1/0/0 x     2  stop",
+        "--- END SCRIPT f.js:1 ---"
+    ]]);
+    assert.deepStrictEqual(parsed.parser.scripts.map(function(script) {
+        return script.id.replace(/#.*/, "");
+    }), ["f.js:1-1@0", "f.js:1-2@0"]);
+    assert.deepStrictEqual(parsed.warnings, []);
+};
+
+// A script whose data repeats pc 1, as a damaged -D log might
+var repeated = [
+    "--- SCRIPT dup.js:1 ---",
+    "main:",
+    "00000:1/0/0 x     1  getarg 0",
+    "00001:1/0/0 x     2  pop",
+    "00001:7/0/0 x     3  pop",
+    "00002:1/0/0 x     4  stop",
+    "--- END SCRIPT dup.js:1 ---"
+];
+
+exports["an opcode that repeats a pc is left out with a warning"] = function() {
+    var parsed = parse([repeated, repeated]);
+    assert.deepStrictEqual(parsed.warnings, [
+        "dup.js:1: opcode at pc 1 (line 3) repeats an earlier pc and is ignored"
+    ]);
+    var script = parsed.parser.scripts[0];
+    assert.deepStrictEqual(script.opcodes.map(function(opcode) {
+        return [opcode.pc, opcode.srcline, opcode.count];
+    }), [[0, 1, 2], [1, 2, 2], [2, 4, 2]]);
+
+    var file = new Coverage.File("dup.js");
+    file.addScript(script);
+    assert.deepStrictEqual(Object.keys(file.lines), ["1", "2", "4"]);
+};
+
+exports["CoverMonkey warns about repeated pcs and goes on"] = function() {
+    var result = child_process.spawnSync(
+        process.execPath,
+        [path.join(__dirname, "..", "bin", "CoverMonkey"), "-p"],
+        { input: repeated.join("\n") + "\n", encoding: "utf8" });
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.strictEqual(result.stderr,
+                       "CoverMonkey: dup.js:1: opcode at pc 1 (line 3) repeats " +
+                       "an earlier pc and is ignored\n" +
+                       "CoverMonkey: Can't read source file dup.js\n");
+    assert.ok(/^dup\.js: 100\.0%\n/.test(result.stdout), result.stdout);
+};
@@ -0,0 +1,177 @@
+// Tests of the instrumenter and covermonkey-node, with the programs in
+// the node directory of the fixtures
+//
+var assert = require("assert");
+var child_process = require("child_process");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var vm = require("vm");
+var Analyzer = require("../src/Analyzer.js");
+var Instrumenter = require("../src/Instrumenter.js");
+var common = require("./common.js");
+
+// Instrument the source, run it in a new global object with the
+// properties of the sandbox object, and return the File of its coverage
+// data, and the global object
+function run(source, filename, sandbox) {
+    var context = vm.createContext(sandbox || {});
+    vm.runInContext(Instrumenter.instrument(source, filename), context);
+    var analyzer = common.analyze([]);
+    analyzer.end(context.__CoverMonkey.trace());
+    return { file: analyzer.files[filename], global: context };
+}
+
+// Return the count of each line of the file that has code, as an object
+function lineCounts(file) {
+    var counts = {};
+    for(var linenum in file.lines) {
+        var line = file.lines[linenum];
+        if (line.coverage() === "") continue;
+        var c = line.counts();
+        counts[linenum] = Math.max(0, c[c.length-1]);
+    }
+    return counts;
+}
+
+exports["instrumented code runs as before and counts its statements"] = function() {
+    var source = fs.readFileSync("node/shapes.js", "utf8") +
+        "var results = [area(1), area(3), countdown(2), describe({ name: 'x', sides: 4 })];\n";
+    var ran = run(source, "shapes.js", { exports: {} });
+    assert.deepStrictEqual(Array.from(ran.global.results), [1, 9, 2, "x polygon"]);
+
+    // The line numbers don't change
+    var file = ran.file;
+    var counts = lineCounts(file);
+    assert.strictEqual(counts[3], 2);   // if (n > 1)
+    assert.strictEqual(counts[4], 1);   // return n * n
+    assert.strictEqual(counts[6], 1);   // return 1
+    assert.strictEqual(counts[26], 2);  // steps++ in the do-while loop
+    assert.strictEqual(counts[32], 0);  // never()
+    assert.strictEqual(file.lines[32].coverage(), "none");
+    assert.strictEqual(file.lines[3].coverage(), "full");
+};
+
+exports["instrumented branches count the arms that were taken"] = function() {
+    var ran = run(fs.readFileSync("node/shapes.js", "utf8") + "sign(5); sign(7);\n",
+                  "shapes.js", { exports: {} });
+    var line = ran.file.lines[10];  // return n < 0 ? -1 : n > 0 ? 1 : 0;
+    assert.strictEqual(line.coverage(), "some");
+    var taken = line.branches().map(function(b) {
+        return b.branches.map(function(target) { return target.count; });
+    });
+    assert.deepStrictEqual(taken, [[0, 2], [2, 0]]);
+
+    // The do-while loop's test jumps back to its body, whose count
+    // includes the first time it ran
+    ran = run(fs.readFileSync("node/shapes.js", "utf8") + "countdown(3);\n",
+              "shapes.js", { exports: {} });
+    var loop = ran.file.lines[27].branches();
+    assert.strictEqual(loop.length, 1);
+    assert.deepStrictEqual(loop[0].branches.map(function(target) {
+        return [target.srcline, target.count];
+    }), [[27, 1], [25, 3]]);
+};
+
+exports["the bodies of with statements are instrumented"] = function() {
+    var ran = run([
+        "var o = { a: 1, log: [] };",
+        "with (o)",
+        "    log.push(a);",
+        "with (o) {",
+        "    if (a > 1)",
+        "        log.push('big');",
+        "    var b = a;",
+        "}",
+        ""
+    ].join("\n"), "with.js");
+    assert.deepStrictEqual(Array.from(ran.global.o.log), [1]);
+    assert.strictEqual(ran.global.b, 1);
+
+    var counts = lineCounts(ran.file);
+    assert.deepStrictEqual(counts, { 1: 1, 2: 1, 3: 1, 4: 1, 5: 1, 6: 0, 7: 1, 8: 1 });
+    assert.strictEqual(ran.file.lines[5].branchCoverage()[1], 2);
+    assert.strictEqual(ran.file.lines[6].coverage(), "none");
+};
+
+exports["code that can't be parsed throws a SyntaxError"] = function() {
+    assert.throws(function() {
+        Instrumenter.instrument("function (", "bad.js");
+    }, SyntaxError);
+};
+
+exports["covermonkey-node writes the -D data of the files a program loads"] = function() {
+    var trace = path.join(os.tmpdir(), "covermonkey-node-" + process.pid + ".D");
+    var result = child_process.spawnSync(
+        process.execPath,
+        [path.join(__dirname, "..", "bin", "covermonkey-node"), "-o", trace,
+         "node/program.js"],
+        { encoding: "utf8" });
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.strictEqual(result.stdout, "14\n");
+
+    try {
+        var analyzer = common.analyze(trace);
+    }
+    finally {
+        fs.unlinkSync(trace);
+    }
+    var results = analyzer.results();
+    assert.deepStrictEqual(results.targets, ["node/program.js", "node/shapes.js"]);
+
+    var program = lineCounts(results.files["node/program.js"]);
+    assert.strictEqual(program[6], 3);  // The body of the forEach callback
+    assert.strictEqual(program[12], 1);
+
+    var shapes = results.files["node/shapes.js"];
+    var counts = lineCounts(shapes);
+    assert.strictEqual(counts[3], 3);
+    assert.strictEqual(counts[4], 2);
+    assert.strictEqual(counts[17], 2);  // if (sides > 3) inside the with
+    assert.strictEqual(counts[18], 1);
+    assert.strictEqual(counts[26], 3);
+    assert.deepStrictEqual(shapes.functions().map(function(f) {
+        return [f.name, f.calls];
+    }), [["area", 3], ["sign", 1], ["describe", 2], ["countdown", 1], ["never", 0]]);
+};
+
+exports["covermonkey-node writes all of the -D data to a pipe that is slow to read"] = function(done) {
+    // A program whose -D data is much bigger than the buffer of a pipe
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), "covermonkey-"));
+    var program = path.join(dir, "big.js");
+    var source = "console.log('start');\nvar x = 0;\n";
+    for(var i = 0; i < 5000; i++) source += "x += " + i + ";\n";
+    fs.writeFileSync(program, source);
+
+    var child = child_process.spawn(
+        process.execPath,
+        [path.join(__dirname, "..", "bin", "covermonkey-node"), program]);
+    var chunks = [];
+    child.on("close", function(status) {
+        try {
+            assert.strictEqual(status, 0);
+            var analyzer = new Analyzer();
+            var text = [];
+            analyzer.on("text", function(line) { text.push(line); });
+            analyzer.end(Buffer.concat(chunks).toString("utf8"));
+            assert.deepStrictEqual(text, ["start"]);
+            var counts = lineCounts(analyzer.files[program]);
+            assert.strictEqual(Object.keys(counts).length, 5002);
+            assert.strictEqual(counts[5002], 1);
+            done();
+        }
+        catch(e) {
+            done(e);
+        }
+        finally {
+            fs.rmSync(dir, { recursive: true });
+        }
+    });
+
+    // Don't read anything until the pipe has been full for a while
+    child.stdout.pause();
+    setTimeout(function() {
+        child.stdout.on("data", function(chunk) { chunks.push(chunk); });
+        child.stdout.resume();
+    }, 300);
+};
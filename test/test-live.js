@@ -0,0 +1,196 @@
+// Tests of the live coverage server
+//
+var assert = require("assert");
+var fs = require("fs");
+var http = require("http");
+var Analyzer = require("../src/Analyzer.js");
+var LiveServer = require("../src/LiveServer.js");
+
+var data = fs.readFileSync("run.D", "utf8");
+
+// Call the function with console.warn replaced by one that collects the
+// messages in an array, which is passed to the function.  The function
+// calls its argument when it is done, to put console.warn back.
+function quietly(f, callback) {
+    var warn = console.warn, messages = [];
+    console.warn = function() {
+        messages.push(require("util").format.apply(null, arguments));
+    };
+    f(messages, function() {
+        console.warn = warn;
+        callback.apply(null, arguments);
+    });
+}
+
+// Start a server for the analyzer on a free port, and pass it to the
+// callback once it is listening
+function start(analyzer, options, callback) {
+    var server = LiveServer.serve(0, analyzer, options);
+    server.on("listening", function() { callback(server); });
+}
+
+function get(server, path, callback) {
+    http.get({ port: server.address().port, path: path }, function(response) {
+        var body = "";
+        response.setEncoding("utf8");
+        response.on("data", function(chunk) { body += chunk; });
+        response.on("end", function() { callback(response.statusCode, body); });
+    });
+}
+
+// Parse the server-sent events in text into [type, data] arrays
+function parseEvents(text) {
+    return text.split("\n\n").filter(Boolean).map(function(message) {
+        var m = message.match(/^event: (\w+)\ndata: (.*)$/);
+        assert.ok(m, message);
+        return [m[1], JSON.parse(m[2])];
+    });
+}
+
+exports["the server sends events as the analyzer reads the data"] = function(done) {
+    quietly(function(messages, finish) {
+        var analyzer = new Analyzer({ assembly: false });
+        start(analyzer, {
+            filter: Analyzer.fileFilter([], ["main.js"])
+        }, function(server) {
+            var events = "";
+            http.get({ port: server.address().port, path: "/events" }, function(response) {
+                assert.strictEqual(response.headers["content-type"], "text/event-stream");
+                response.setEncoding("utf8");
+                response.on("data", function(chunk) {
+                    events += chunk;
+                    if (!/event: done\n/.test(events)) return;
+                    response.destroy();
+                    server.close();
+                    try {
+                        check(parseEvents(events));
+                        finish();
+                    }
+                    catch(e) {
+                        finish(e);
+                    }
+                });
+
+                // The data is read once, and then again, which updates
+                // the lines that ran
+                analyzer.write(data);
+                analyzer.flush();
+                analyzer.parser.newInput();
+                analyzer.end(data);
+            });
+        });
+
+        function check(events) {
+            var files = events.filter(function(e) { return e[0] === "file"; });
+            assert.deepStrictEqual(files[0][1].filename, "lib.js");
+            var lib = files.filter(function(e) {
+                return e[1].filename === "lib.js" && e[1].lines;
+            });
+            assert.strictEqual(lib.length, 1);
+            assert.deepStrictEqual(lib[0][1].lines.filter(function(l) {
+                return l.linenum === 39;
+            })[0].coverage, "ignored");
+            assert.ok(!files.some(function(e) { return e[1].filename === "main.js"; }));
+
+            var line16 = events.filter(function(e) {
+                return e[0] === "line" && e[1].line.linenum === 16;
+            });
+            assert.deepStrictEqual(line16.pop()[1].line.counts, [10, 42, 52]);
+            assert.deepStrictEqual(events[events.length-1], ["done", {}]);
+            assert.ok(/^CoverMonkey: serving live coverage at http:\/\/localhost:\d+\/$/
+                      .test(messages[0]), messages[0]);
+        }
+    }, done);
+};
+
+exports["new browsers get the data read so far and the sources"] = function(done) {
+    quietly(function(messages, finish) {
+        var analyzer = new Analyzer({ assembly: false });
+        start(analyzer, {}, function(server) {
+            analyzer.end(data);
+            http.get({ port: server.address().port, path: "/events" }, function(response) {
+                var events = "";
+                response.setEncoding("utf8");
+                response.on("data", function(chunk) {
+                    events += chunk;
+                    if (!/event: done\n/.test(events)) return;
+                    response.destroy();
+                    checked(function() {
+                        var files = parseEvents(events).map(function(e) {
+                            return e[0] === "file" ? e[1].filename : e[0];
+                        });
+                        assert.deepStrictEqual(files, ["lib.js", "main.js", "done"]);
+                        sources();
+                    });
+                });
+            });
+
+            // Only the sources of the files in the data are served
+            function sources() {
+                get(server, "/source?file=lib.js", function(status, body) {
+                    checked(function() {
+                        assert.strictEqual(status, 200);
+                        assert.deepStrictEqual(JSON.parse(body),
+                                               fs.readFileSync("lib.js", "utf8").split("\n"));
+                        get(server, "/source?file=" + encodeURIComponent("../package.json"),
+                            notFound);
+                    });
+                });
+            }
+            function notFound(status) {
+                checked(function() {
+                    assert.strictEqual(status, 404);
+                    get(server, "/", function(status, body) {
+                        checked(function() {
+                            assert.strictEqual(status, 200);
+                            assert.ok(/CoverMonkey Live Coverage/.test(body));
+                            server.close();
+                            finish();
+                        });
+                    });
+                });
+            }
+
+            // Run the function, and finish with its exception if it throws
+            function checked(f) {
+                try {
+                    f();
+                }
+                catch(e) {
+                    server.close();
+                    finish(e);
+                }
+            }
+        });
+    }, done);
+};
+
+exports["a port that is in use is reported"] = function(done) {
+    var busy = http.createServer();
+    busy.listen(0, "127.0.0.1", function() {
+        var port = busy.address().port;
+        var exitCode = process.exitCode;
+        quietly(function(messages, finish) {
+            var server = LiveServer.serve(port, new Analyzer());
+            server.on("error", function() {
+                // Let the server's own error handler run first
+                setImmediate(function() {
+                    busy.close();
+                    var code = process.exitCode;
+                    process.exitCode = exitCode;
+                    try {
+                        assert.strictEqual(code, 1);
+                        assert.strictEqual(messages.length, 1);
+                        assert.ok(messages[0].indexOf(
+                            "CoverMonkey: can't serve live coverage on port " + port +
+                                ": listen EADDRINUSE") === 0, messages[0]);
+                        finish();
+                    }
+                    catch(e) {
+                        finish(e);
+                    }
+                });
+            });
+        }, done);
+    });
+};
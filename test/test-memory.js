@@ -0,0 +1,91 @@
+// Tests of reading -D data in less memory: dropping the assembly code of
+// the scripts, and reporting the progress of big inputs
+//
+var assert = require("assert");
+var child_process = require("child_process");
+var fs = require("fs");
+var path = require("path");
+var Analyzer = require("../src/Analyzer.js");
+var common = require("./common.js");
+
+exports["without the assembly code the opcodes keep their names and jumps"] = function() {
+    var analyzer = common.analyze("run.D", { assembly: false });
+    var lib = analyzer.scripts.filter(function(script) {
+        return script.name === "lib.js:1";
+    })[0];
+    assert.deepStrictEqual(lib.opcodes.slice(0, 5).map(function(opcode) {
+        return opcode.assembly;
+    }), ["defun", "defun", "defun", "ClassDeclaration", "lambda"]);
+
+    analyzer.scripts.forEach(function(script) {
+        script.opcodes.forEach(function(opcode) {
+            if (/ /.test(opcode.assembly))
+                assert.ok(/^(if|goto|case|default|try|or|and|return|throw)/
+                          .test(opcode.assembly), opcode.assembly);
+        });
+    });
+};
+
+exports["without the assembly code the coverage is the same"] = function() {
+    var full = common.analyze("run.D").results();
+    var dropped = common.analyze("run.D", { assembly: false }).results();
+    assert.deepStrictEqual(dropped.targets, full.targets);
+    assert.deepStrictEqual(dropped.total, full.total);
+    full.targets.forEach(function(target) {
+        assert.deepStrictEqual(dropped.files[target].toJSON(),
+                               full.files[target].toJSON(), target);
+    });
+
+    // Function coverage needs the opcodes that define functions
+    assert.deepStrictEqual(dropped.files["lib.js"].functions().map(function(f) {
+        return [f.name, f.line, f.calls];
+    }), full.files["lib.js"].functions().map(function(f) {
+        return [f.name, f.line, f.calls];
+    }));
+};
+
+exports["--evals keeps the assembly code, which it needs"] = function() {
+    var analyzer = new Analyzer({ evals: true, assembly: false });
+    analyzer.end([
+        "--- SCRIPT app.js:1 ---",
+        "main:",
+        "00000:1/0/0 x     1  eval 1",
+        "00001:1/0/0 x     2  stop",
+        "--- END SCRIPT app.js:1 ---",
+        "--- SCRIPT app.js:1 ---",
+        "main:",
+        "00000:1/0/0 x     1  getgname \"x\"",
+        "00001:1/0/0 x     1  stop",
+        "--- END SCRIPT app.js:1 ---",
+        ""
+    ].join("\n"));
+    var results = analyzer.results();
+    assert.ok(results.targets.indexOf("app.js:1 (eval)") !== -1, results.targets);
+    assert.deepStrictEqual(analyzer.sources["app.js:1 (eval)"],
+                           ["getgname \"x\"; stop"]);
+};
+
+exports["progress counts the bytes, scripts and distinct scripts read"] = function() {
+    var size = fs.statSync("run.D").size;
+    var once = common.analyze("run.D", { assembly: false }).progress();
+    var twice = common.analyze(["run.D", "run.D"], { assembly: false }).progress();
+    assert.strictEqual(once.bytes, size);
+    assert.strictEqual(once.scripts, once.distinct);
+    assert.deepStrictEqual(twice, {
+        bytes: 2*size, scripts: 2*once.scripts, distinct: once.distinct
+    });
+};
+
+exports["--progress reports on stderr"] = function() {
+    var result = child_process.spawnSync(
+        process.execPath,
+        [path.join(__dirname, "..", "bin", "CoverMonkey"), "-q", "--progress",
+         "-d", "run.D", "-d", "run.D"],
+        { encoding: "utf8" });
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.strictEqual(result.stdout, "");
+    var distinct = common.analyze("run.D").progress().distinct;
+    assert.strictEqual(result.stderr,
+                       "CoverMonkey: read 0.0 MB, " + 2*distinct + " scripts (" +
+                       distinct + " distinct)\n");
+};
@@ -0,0 +1,103 @@
+// Tests of --save and --merge, and of reading several inputs into one
+// report
+//
+var assert = require("assert");
+var child_process = require("child_process");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var Analyzer = require("../src/Analyzer.js");
+var common = require("./common.js");
+
+// Run CoverMonkey quietly with the specified extra arguments, and check
+// that it succeeds
+function covermonkey(args) {
+    var result = child_process.spawnSync(
+        process.execPath,
+        [path.join(__dirname, "..", "bin", "CoverMonkey"), "-q"].concat(args),
+        { encoding: "utf8" });
+    assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+}
+
+// Call the function with a new temporary directory, and remove the
+// directory and what the function put in it afterwards
+function inTempDir(f) {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), "covermonkey-"));
+    try {
+        f(dir);
+    }
+    finally {
+        fs.rmSync(dir, { recursive: true });
+    }
+}
+
+// Return the counts of each line of the file, as an object
+function countsOf(file) {
+    var counts = {};
+    for(var linenum in file.lines) counts[linenum] = file.lines[linenum].counts();
+    return counts;
+}
+
+exports["saved data read with -D data sums the counts of each script"] = function(done) {
+    var once = common.analyze("run.D");
+    var merged = new Analyzer();
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), "covermonkey-"));
+    var saved = path.join(dir, "run.sav");
+    var out = fs.createWriteStream(saved);
+    once.save(out);
+    out.end();
+    out.on("close", function() {
+        merged.read(fs.createReadStream(saved), true, function(e) {
+            if (e) return finish(e);
+            merged.read(fs.createReadStream("run.D"), function(e) {
+                if (e) return finish(e);
+                merged.end();
+                finish(null);
+            });
+        });
+    });
+
+    function finish(e) {
+        fs.rmSync(dir, { recursive: true });
+        if (e) return done(e);
+        try {
+            // Each script is found twice, so there are no more of them
+            assert.strictEqual(merged.scripts.length, once.scripts.length);
+            ["lib.js", "main.js"].forEach(function(filename) {
+                var counts = countsOf(once.files[filename]);
+                for(var linenum in counts) {
+                    counts[linenum] = counts[linenum].map(function(c) {
+                        return c > 0 ? 2*c : c;
+                    });
+                }
+                assert.deepStrictEqual(countsOf(merged.files[filename]), counts,
+                                       filename);
+            });
+            done();
+        }
+        catch(e) {
+            done(e);
+        }
+    }
+};
+
+exports["--merge of a --save file equals reading the -D data again"] = function() {
+    inTempDir(function(dir) {
+        function file(name) { return path.join(dir, name); }
+
+        covermonkey(["-d", "run.D", "--save", file("run.sav")]);
+        covermonkey(["--merge", file("run.sav"), "-d", "run.D",
+                     "--json", file("merged.json")]);
+        covermonkey(["-d", "run.D", "-d", "run.D", "--json", file("twice.json")]);
+        covermonkey(["-d", "run.D", "--json", file("once.json")]);
+
+        var merged = JSON.parse(fs.readFileSync(file("merged.json"), "utf8"));
+        var twice = JSON.parse(fs.readFileSync(file("twice.json"), "utf8"));
+        var once = JSON.parse(fs.readFileSync(file("once.json"), "utf8"));
+        assert.deepStrictEqual(merged, twice);
+
+        // Reading the data twice doesn't change which lines are covered
+        assert.deepStrictEqual(twice.summary, once.summary);
+        assert.notDeepStrictEqual(twice.files, once.files);
+    });
+};
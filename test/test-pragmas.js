@@ -0,0 +1,119 @@
+// Tests of the covermonkey ignore comments
+//
+var assert = require("assert");
+var Coverage = require("../src/Coverage.js");
+var Analyzer = require("../src/Analyzer.js");
+var Reporters = require("../src/Reporters.js");
+var common = require("./common.js");
+
+// Return the sorted numbers of the lines of the source that are ignored
+function ignored(source) {
+    var file = new Coverage.File("test.js");
+    file.setSource(source);
+    return Object.keys(file.ignored).map(Number).sort(function(a, b) {
+        return a - b;
+    });
+}
+
+exports["ignore next excludes the statement that follows"] = function() {
+    assert.deepStrictEqual(ignored([
+        "var a = 1;",
+        "/* covermonkey ignore next */",
+        "",
+        "function f(x) {",
+        "    return { x: x,",
+        "             y: '}' };",
+        "}",
+        "var b = 2;"
+    ]), [4, 5, 6, 7]);
+};
+
+exports["ignore next on the same line as the statement"] = function() {
+    assert.deepStrictEqual(ignored([
+        "/* covermonkey ignore next */ if (debug) log(x);",
+        "var b = 2;"
+    ]), [1]);
+    assert.deepStrictEqual(ignored([
+        "var a = 1; // covermonkey ignore next",
+        "if (a) {",
+        "    b();",
+        "}",
+        "c();"
+    ]), [2, 3, 4]);
+};
+
+exports["ignore start and ignore end exclude the lines between them"] = function() {
+    assert.deepStrictEqual(ignored([
+        "a();",
+        "// covermonkey ignore start",
+        "b();",
+        "/* covermonkey ignore next */ c();",
+        "// covermonkey ignore end",
+        "d();"
+    ]), [2, 3, 4, 5]);
+};
+
+exports["ignore start without an end runs to the end of the file"] = function() {
+    assert.deepStrictEqual(ignored([
+        "a();",
+        "// covermonkey ignore start",
+        "b();",
+        "c();"
+    ]), [2, 3, 4]);
+};
+
+exports["ignore file excludes every line"] = function() {
+    assert.deepStrictEqual(ignored([
+        "a();",
+        "b(); /* covermonkey ignore file */",
+        "c();"
+    ]), [1, 2, 3]);
+};
+
+exports["pragmas in strings are not comments"] = function() {
+    assert.deepStrictEqual(ignored([
+        "var s = 'covermonkey ignore next';",
+        "a();"
+    ]), []);
+};
+
+exports["ignored lines are left out of the coverage"] = function() {
+    var results = common.analyze("run.D").results();
+    var lib = results.files["lib.js"];
+    assert.strictEqual(lib.lines[39].coverage(), "ignored");
+    assert.strictEqual(lib.lines[40].coverage(), "ignored");
+    assert.strictEqual(lib.lines[43].coverage(), "full");
+
+    var stats = Analyzer.fileStats(lib);
+    assert.strictEqual(stats.ignored, 2);
+    assert.strictEqual(stats.lines, stats.covered + stats.partial +
+                       stats.uncovered + stats.dead);
+    assert.ok(lib.functions().every(function(f) { return f.line !== 39; }));
+
+    // Without the source, nothing is ignored
+    lib.setSource(null);
+    assert.strictEqual(lib.lines[40].coverage(), "none");
+    assert.strictEqual(Analyzer.fileStats(lib).ignored, 0);
+};
+
+exports["the HTML summary shows files whose lines are all ignored as ignored"] = function() {
+    var results = common.analyze("run.D").results(["lib.js"]);
+    var lib = results.files["lib.js"];
+    var source = lib.source.slice();
+    source[0] = "/* covermonkey ignore file */ " + source[0];
+    lib.setSource(source);
+    results.total = Analyzer.totalStats(results.files, results.targets);
+    assert.strictEqual(results.total.lines, 0);
+    assert.ok(results.total.ignored > 0);
+
+    var out = common.output();
+    Reporters.html(results, out);
+    var summary = out.text.split("<tbody>")[1].split("</table>")[0];
+    assert.ok(!/NaN/.test(summary), summary);
+    var rows = summary.match(/<tr>.*<\/tr>/g);
+    assert.strictEqual(rows.length, 2);  // lib.js and ALL FILES
+    rows.forEach(function(row) {
+        assert.ok(row.indexOf('<td data-sort="-1"><span class="bar ignored">' +
+                              '</span>ignored') !== -1, row);
+    });
+};
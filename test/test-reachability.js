@@ -0,0 +1,133 @@
+// Tests of the reachability analysis that finds dead code
+//
+var assert = require("assert");
+var Coverage = require("../src/Coverage.js");
+
+// Parse the -D data lines of one script, and return the Script and the
+// warnings about it
+function parse(lines) {
+    var parser = new Coverage.Parser();
+    var warnings = [];
+    parser.onwarning = function(message) { warnings.push(message); };
+    ["--- SCRIPT t.js:1 ---", "main:"].concat(lines, "--- END SCRIPT t.js:1 ---")
+        .forEach(function(line) { parser.processLine(line); });
+    assert.strictEqual(parser.scripts.length, 1);
+    return { script: parser.scripts[0], warnings: warnings };
+}
+
+// Return the pcs of the opcodes of the script that are (or aren't) reachable
+function reachablePCs(script, reachable) {
+    return script.opcodes.filter(function(opcode) {
+        return !!opcode.reachable === (reachable !== false);
+    }).map(function(opcode) { return opcode.pc; });
+}
+
+function targetPCs(opcode) {
+    return opcode.targets.map(function(target) { return target.pc; });
+}
+
+exports["code after an unconditional jump is dead"] = function() {
+    var parsed = parse([
+        "00000:1/0/0 x     1  goto 3",
+        "00001:0/0/0 x     2  nop",
+        "00002:0/0/0 x     2  pop",
+        "00003:1/0/0 x     3  stop"
+    ]);
+    assert.deepStrictEqual(reachablePCs(parsed.script, false), [1, 2]);
+    assert.deepStrictEqual(parsed.warnings, []);
+
+    var file = new Coverage.File("t.js");
+    file.addScript(parsed.script);
+    assert.strictEqual(file.lines[1].coverage(), "full");
+    assert.strictEqual(file.lines[2].coverage(), "dead");
+};
+
+exports["both ways of a conditional branch are reachable"] = function() {
+    var script = parse([
+        "00000:2/0/0 x     1  ifeq 3",
+        "00001:1/0/0 x     2  nop",
+        "00002:1/0/0 x     2  return",
+        "00003:1/0/0 x     3  stop"
+    ]).script;
+    assert.deepStrictEqual(reachablePCs(script, false), []);
+    assert.deepStrictEqual(targetPCs(script.opcodes[0]), [1, 3]);
+    assert.ok(script.opcodes[3].entrypoint);
+};
+
+exports["every case of a switch is reachable"] = function() {
+    var script = parse([
+        "00000:1/0/0 x     1  tableswitch defaultOffset 7 low 1 high 2",
+        "\t1: 3",
+        "\t2: 5",
+        "00003:1/0/0 x     2  goto 8",
+        "00005:0/0/0 x     3  goto 8",
+        "00007:0/0/0 x     4  nop",
+        "00008:1/0/0 x     5  stop",
+        "00009:0/0/0 x     6  stop"
+    ]).script;
+    assert.deepStrictEqual(targetPCs(script.opcodes[0]), [7, 3, 5]);
+    assert.deepStrictEqual(reachablePCs(script, false), [9]);
+};
+
+exports["jumps to pcs that aren't opcodes are reported and ignored"] = function() {
+    var parsed = parse([
+        "00000:1/0/0 x     1  ifeq 42",
+        "00001:1/0/0 x     2  goto 99",
+        "00002:0/0/0 x     3  stop"
+    ]);
+    assert.deepStrictEqual(reachablePCs(parsed.script, false), [2]);
+    assert.deepStrictEqual(parsed.script.opcodes[0].targets, undefined);
+    assert.strictEqual(parsed.warnings.length, 2);
+    parsed.warnings.forEach(function(warning) {
+        assert.ok(/^t\.js:1: (ifeq|goto) at pc \d+ \(line \d\) jumps to a pc that isn't an opcode/
+                  .test(warning), warning);
+    });
+};
+
+exports["a truncated script is reported"] = function() {
+    var parsed = parse([
+        "00000:1/0/0 x     9  nop",
+        "00001:10/0/0 x    10  ifne 1"
+    ]);
+    assert.deepStrictEqual(reachablePCs(parsed.script, false), []);
+    assert.deepStrictEqual(parsed.warnings, [
+        "t.js:1: ifne at pc 1 (line 10) is the last opcode, so it has " +
+            "nothing to fall through to; the script may be truncated"
+    ]);
+};
+
+exports["long chains of branches don't overflow the stack"] = function() {
+    // Each conditional skips over the next opcode, so there are as many
+    // paths through the script as there are opcodes
+    var n = 50000, lines = [];
+    for(var pc = 0; pc < n; pc += 2) {
+        lines.push(pc + ":1/0/0 x 1  ifeq " + (pc + 2));
+        lines.push((pc + 1) + ":1/0/0 x 1  nop");
+    }
+    lines.push(n + ":1/0/0 x 2  stop");
+    lines.push((n + 1) + ":0/0/0 x 3  stop");
+
+    var parsed = parse(lines);
+    assert.deepStrictEqual(reachablePCs(parsed.script, false), [n + 1]);
+    assert.deepStrictEqual(parsed.warnings, []);
+};
+
+exports["a loop back to the first opcode is a branch"] = function() {
+    // A do-while loop at the start of the script jumps back to opcode 0
+    var parsed = parse([
+        "00000:3/0/0 x     1  nop",
+        "00001:3/0/0 x     2  ifne 0",
+        "00002:1/0/0 x     3  stop"
+    ]);
+    assert.deepStrictEqual(reachablePCs(parsed.script, false), []);
+    assert.deepStrictEqual(targetPCs(parsed.script.opcodes[1]), [2, 0]);
+    assert.deepStrictEqual(parsed.warnings, []);
+
+    var file = new Coverage.File("t.js");
+    file.addScript(parsed.script);
+    var branches = file.lines[2].branches();
+    assert.strictEqual(branches.length, 1);
+    assert.deepStrictEqual(branches[0].branches.map(function(target) {
+        return target.pc;
+    }), [2, 0]);
+};
@@ -0,0 +1,306 @@
+// Tests of the machine-readable reports, with the coverage of lib.js
+// and main.js in run.D
+//
+var assert = require("assert");
+var child_process = require("child_process");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var Analyzer = require("../src/Analyzer.js");
+var Reporters = require("../src/Reporters.js");
+var common = require("./common.js");
+
+function report(reporter) {
+    var results = common.analyze("run.D").results();
+    var out = common.output();
+    reporter(results, out);
+    return out.text;
+}
+
+// Return the LCOV record of the named source file as a map of its field
+// names to arrays of their values
+function lcovRecord(text, filename) {
+    var record = text.split("end_of_record\n").filter(function(r) {
+        return r.indexOf("SF:" + filename + "\n") !== -1;
+    })[0];
+    assert.ok(record, "no record for " + filename);
+    var fields = {};
+    record.split("\n").forEach(function(line) {
+        var m = line.match(/^([A-Z]+):(.*)$/);
+        if (!m) return;
+        if (!(m[1] in fields)) fields[m[1]] = [];
+        fields[m[1]].push(m[2]);
+    });
+    return fields;
+}
+
+exports["LCOV has a record for each target"] = function() {
+    var text = report(Reporters.lcov);
+    assert.strictEqual(text.match(/^SF:/gm).length, 2);
+    assert.strictEqual(text.match(/^end_of_record$/gm).length, 2);
+};
+
+exports["LCOV line counts match the -D data"] = function() {
+    var lib = lcovRecord(report(Reporters.lcov), "lib.js");
+    assert.ok(lib.DA.indexOf("16,26") !== -1);   // the inner loop
+    assert.ok(lib.DA.indexOf("25,0") !== -1);    // an uncovered case
+    assert.ok(lib.DA.indexOf("54,0") !== -1);    // dead code
+    assert.strictEqual(lib.LF[0], String(lib.DA.length));
+    assert.strictEqual(lib.LH[0], String(lib.DA.filter(function(da) {
+        return !/,0$/.test(da);
+    }).length));
+};
+
+exports["LCOV leaves out ignored lines"] = function() {
+    var lib = lcovRecord(report(Reporters.lcov), "lib.js");
+    [39, 40, 41].forEach(function(linenum) {
+        assert.ok(!lib.DA.some(function(da) {
+            return da.split(",")[0] === String(linenum);
+        }), "line " + linenum + " is reported");
+    });
+    assert.ok(lib.FN.indexOf("39,unused") === -1);
+};
+
+exports["LCOV names functions uniquely and counts their calls"] = function() {
+    var lib = lcovRecord(report(Reporters.lcov), "lib.js");
+    assert.ok(lib.FN.indexOf("2,classify") !== -1);
+    assert.ok(lib.FNDA.indexOf("2,classify") !== -1);
+    var names = lib.FN.map(function(fn) { return fn.replace(/^\d+,/, ""); });
+    names.forEach(function(name, i) {
+        assert.strictEqual(names.indexOf(name), i, "duplicate name " + name);
+    });
+    assert.strictEqual(lib.FNF[0], String(lib.FN.length));
+};
+
+exports["LCOV branches of unreached lines are not counted as taken"] = function() {
+    var lib = lcovRecord(report(Reporters.lcov), "lib.js");
+    assert.ok(lib.BRDA.indexOf("25,0,0,-") !== -1);
+    assert.strictEqual(lib.BRF[0], String(lib.BRDA.length));
+    assert.strictEqual(lib.BRH[0], String(lib.BRDA.filter(function(b) {
+        return !/,(0|-)$/.test(b);
+    }).length));
+};
+
+// Return the <line> elements of the <lines> of the named class of a
+// Cobertura report, leaving out those of its methods, as a map of line
+// numbers to their attributes
+function coberturaLines(text, filename) {
+    var cls = text.split("<class ").filter(function(c) {
+        return c.indexOf('filename="' + filename + '"') !== -1;
+    })[0];
+    assert.ok(cls, "no class for " + filename);
+    var lines = {};
+    cls.split("</methods>").pop().replace(/<line ([^>]*)\/>/g, function(_, attrs) {
+        var line = {};
+        attrs.replace(/([\w-]+)="([^"]*)"/g, function(_, name, value) {
+            line[name] = value;
+        });
+        lines[line.number] = line;
+    });
+    return lines;
+}
+
+exports["Cobertura marks the partially covered lines as branches"] = function() {
+    var results = common.analyze("run.D").results();
+    var out = common.output();
+    Reporters.cobertura(results, out);
+    var lines = coberturaLines(out.text, "lib.js");
+    var file = results.files["lib.js"];
+    var partial = 0;
+
+    for(var linenum in file.lines) {
+        var line = file.lines[linenum];
+        var coverage = line.coverage();
+        if (coverage === "" || coverage === "ignored") {
+            assert.ok(!(linenum in lines), "line " + linenum + " is reported");
+            continue;
+        }
+        var element = lines[linenum];
+        assert.ok(element, "line " + linenum + " is missing");
+        if (coverage !== "some") {
+            assert.strictEqual(element.branch, "false");
+            continue;
+        }
+
+        // The conditions are the counts of the opcodes that can run
+        partial++;
+        var conditions = line.counts().filter(function(c) { return c >= 0; });
+        var hit = conditions.filter(function(c) { return c > 0; });
+        assert.strictEqual(element.branch, "true");
+        assert.strictEqual(element["condition-coverage"],
+                           Math.floor(100*hit.length/conditions.length) + "% (" +
+                           hit.length + "/" + conditions.length + ")");
+    }
+    assert.strictEqual(partial, Analyzer.fileStats(file).partial);
+};
+
+exports["Cobertura totals add up"] = function() {
+    var text = report(Reporters.cobertura);
+    var valid = 0, covered = 0;
+    ["lib.js", "main.js"].forEach(function(filename) {
+        var lines = coberturaLines(text, filename);
+        for(var linenum in lines) {
+            valid++;
+            if (lines[linenum].hits !== "0") covered++;
+        }
+    });
+    var coverage = text.match(/<coverage [^>]*>/)[0];
+    assert.ok(coverage.indexOf('lines-valid="' + valid + '"') !== -1);
+    assert.ok(coverage.indexOf('lines-covered="' + covered + '"') !== -1);
+    assert.ok(!/NaN/.test(text));
+};
+
+exports["JSON has the documented per-file data of each target"] = function() {
+    var results = common.analyze("run.D").results();
+    var json = JSON.parse(report(Reporters.json));
+    assert.deepStrictEqual(json.files.map(function(f) { return f.filename; }),
+                           ["lib.js", "main.js"]);
+
+    var lib = json.files[0];
+    ["covered", "partial", "uncovered", "dead", "ignored"].forEach(function(p) {
+        assert.strictEqual(typeof lib[p], "number", p);
+    });
+    assert.deepStrictEqual(Object.keys(lib.fields), ["interp", "jit", "stubs"]);
+    assert.deepStrictEqual(lib.functions[0],
+                           { name: "classify", line: 2, calls: 2 });
+    assert.deepStrictEqual(lib, JSON.parse(JSON.stringify(
+        results.files["lib.js"].toJSON())));
+
+    var line = lib.lines.filter(function(l) { return l.linenum === 16; })[0];
+    assert.strictEqual(line.coverage, "full");
+    assert.deepStrictEqual(line.counts, [5, 21, 26]);
+    assert.strictEqual(line.fields.interp,
+                       results.files["lib.js"].lines[16].executions());
+    assert.ok(lib.lines.some(function(l) {
+        return l.linenum === 39 && l.coverage === "ignored";
+    }));
+};
+
+exports["JSON summary is the total of the targets"] = function() {
+    var results = common.analyze("run.D").results();
+    var json = JSON.parse(report(Reporters.json));
+    var summary = json.summary;
+    assert.strictEqual(summary.percent,
+                       Number((100*summary.covered/summary.lines).toFixed(1)));
+    delete summary.percent;
+    assert.deepStrictEqual(summary, results.total);
+    assert.strictEqual(summary.covered, json.files.reduce(function(n, f) {
+        return n + f.covered;
+    }, 0));
+};
+
+exports["JSON summary of no lines is fully covered"] = function() {
+    var results = common.analyze("run.D").results([], { include: ["none/**"] });
+    var out = common.output();
+    Reporters.json(results, out);
+    var json = JSON.parse(out.text);
+    assert.deepStrictEqual(json.files, []);
+    assert.strictEqual(json.summary.lines, 0);
+    assert.strictEqual(json.summary.percent, 100);
+};
+
+exports["the reports record the version that -v prints"] = function() {
+    var versions = ["CoverMonkey", "covermonkey-node"].map(function(command) {
+        var bin = path.join(__dirname, "..", "bin", command);
+        return child_process.execFileSync(process.execPath, [bin, "-v"],
+                                          { encoding: "utf8" }).trim();
+    });
+    assert.strictEqual(Analyzer.VERSION, require("../package.json").version);
+    assert.deepStrictEqual(versions, [Analyzer.VERSION, Analyzer.VERSION]);
+    assert.strictEqual(require("../index.js").version, Analyzer.VERSION);
+
+    assert.strictEqual(JSON.parse(report(Reporters.json)).version, Analyzer.VERSION);
+    assert.ok(report(Reporters.cobertura).indexOf(
+        'version="CoverMonkey ' + Analyzer.VERSION + '"') !== -1);
+};
+
+exports["HTML escapes the names of files"] = function(done) {
+    var name = 'a&b<"c>.js';
+    var analyzer = common.analyze([]);
+    analyzer.end(fs.readFileSync("run.D", "utf8").replace(/SCRIPT lib\.js:/g,
+                                                          "SCRIPT " + name + ":"));
+    analyzer.sources[name] = fs.readFileSync("lib.js", "utf8").split("\n");
+    var results = analyzer.results([name]);
+    var escaped = 'a&amp;b&lt;&quot;c&gt;.js';
+
+    var out = common.output();
+    Reporters.html(results, out, { outputops: true });
+    assert.ok(out.text.indexOf(name) === -1);
+    assert.ok(out.text.indexOf('<a href="#' + escaped + '">' + escaped + '</a>') !== -1);
+    assert.ok(out.text.indexOf('<div id="' + escaped + ':16"') !== -1);
+    assert.ok(out.text.indexOf('<a href="#' + escaped + ':16" class="num">') !== -1);
+
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), "covermonkey-"));
+    Reporters.htmlDir(results, dir, {}, function() {
+        try {
+            var index = fs.readFileSync(path.join(dir, "index.html"), "utf8");
+            var page = fs.readFileSync(path.join(dir, "a_b_c_.js.html"), "utf8");
+            assert.ok(index.indexOf('<a href="a_b_c_.js.html">' + escaped + '</a>') !== -1);
+            assert.ok(page.indexOf("<title>" + escaped + " - CoverMonkey") !== -1);
+            assert.ok(page.indexOf("<h2>" + escaped + "</h2>") !== -1);
+            [index, page].forEach(function(html) {
+                assert.ok(html.indexOf(name) === -1);
+            });
+            done();
+        }
+        catch(e) {
+            done(e);
+        }
+        finally {
+            fs.rmSync(dir, { recursive: true });
+        }
+    });
+};
+
+exports["--htmldir reports a directory it can't write"] = function() {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), "covermonkey-"));
+    var file = path.join(dir, "file");
+    fs.writeFileSync(file, "");
+    fs.mkdirSync(path.join(dir, "html", "index.html"), { recursive: true });
+    function covermonkey(args) {
+        return child_process.spawnSync(
+            process.execPath,
+            [path.join(__dirname, "..", "bin", "CoverMonkey"), "-d", "run.D", "-q"]
+                .concat(args),
+            { encoding: "utf8" });
+    }
+
+    try {
+        // The directory can't be created
+        var result = covermonkey(["--htmldir", path.join(file, "sub")]);
+        assert.strictEqual(result.status, 1);
+        assert.ok(result.stdout.indexOf("CoverMonkey: can't write " +
+                                        path.join(file, "sub") + ": ENOTDIR") === 0,
+                  result.stdout);
+        assert.strictEqual(result.stderr, "");
+
+        // A file in it can't be written
+        result = covermonkey(["-f", "--htmldir", path.join(dir, "html")]);
+        assert.strictEqual(result.status, 1);
+        assert.ok(result.stdout.indexOf("CoverMonkey: can't write " +
+                                        path.join(dir, "html") + ": EISDIR") === 0,
+                  result.stdout);
+    }
+    finally {
+        fs.rmSync(dir, { recursive: true });
+    }
+};
+
+exports["htmlDir passes the callback the error of a file it can't write"] = function(done) {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), "covermonkey-"));
+    fs.mkdirSync(path.join(dir, "lib.js.html"));
+    Reporters.htmlDir(common.analyze("run.D").results(), dir, {}, function(e) {
+        try {
+            assert.ok(e, "no error");
+            assert.strictEqual(e.code, "EISDIR");
+            assert.ok(fs.existsSync(path.join(dir, "index.html")));
+            done();
+        }
+        catch(e) {
+            done(e);
+        }
+        finally {
+            fs.rmSync(dir, { recursive: true });
+        }
+    });
+};
@@ -0,0 +1,114 @@
+// Tests with shell.D, which is in the format of the -D output of the
+// SpiderMonkey shell rather than that of run.D: its pcs are byte offsets,
+// its counts have 6 fields, the cases of its switches are on lines of
+// their own that start with a tab, the source of its lambdas runs over
+// several lines, and the output of the program is mixed in.  It holds two
+// runs, of
+//
+//   js -D -f shell/switch.js -f shell/min.js -f shell/min.js
+//   js -D -f shell/min.js
+//
+// It was written by hand to that format, since the tests can't count on
+// having a shell that supports -D.
+//
+var assert = require("assert");
+var fs = require("fs");
+var common = require("./common.js");
+
+// Return the Script of the function that starts on the specified line of
+// shell/switch.js.  The top-level code, which ends on line 18, starts on
+// line 1 too.
+function functionAt(analyzer, line) {
+    return analyzer.scripts.filter(function(script) {
+        return script.name === "shell/switch.js:" + line && script.endline() !== 18;
+    })[0];
+}
+
+function targetPCs(opcode) {
+    return opcode.targets.map(function(target) { return target.pc; });
+}
+
+exports["the cases of a tableswitch are its relative jumps"] = function() {
+    var kind = functionAt(common.analyze("shell.D"), 1);
+    var tableswitch = kind.opcodes[1];
+    assert.strictEqual(tableswitch.assembly,
+                       "tableswitch defaultOffset 23 low 1 high 2\t1: 15\t2: 19");
+    assert.deepStrictEqual(targetPCs(tableswitch), [26, 18, 22]);
+    assert.ok(kind.opcodes.every(function(opcode) {
+        return opcode.reachable || opcode.assembly === "stop";
+    }));
+};
+
+exports["the cases of a lookupswitch can be strings with colons"] = function() {
+    var key = functionAt(common.analyze("shell.D"), 8);
+    var lookupswitch = key.opcodes[1];
+    assert.strictEqual(lookupswitch.assembly,
+                       'lookupswitch offset 18 npairs 2\t"a": 13\t"b: c\\t": 15');
+    assert.deepStrictEqual(targetPCs(lookupswitch), [21, 16, 18]);
+};
+
+exports["the cases of switches that didn't run are missed branches"] = function() {
+    var analyzer = common.analyze("shell.D");
+    var switches = analyzer.results(["shell/switch.js"]).files["shell/switch.js"];
+    assert.deepStrictEqual(switches.lines[2].branchCoverage(), [2, 3]);
+    assert.deepStrictEqual(switches.lines[9].branchCoverage(), [2, 3]);
+    assert.strictEqual(switches.lines[4].coverage(), "none");
+    assert.strictEqual(switches.lines[11].coverage(), "none");
+    assert.strictEqual(switches.lines[13].coverage(), "full");
+    assert.deepStrictEqual(switches.branchCoverage(), [4, 6]);
+
+    // The 6 count fields of the data are kept, and the first 3 counted
+    assert.deepStrictEqual(switches.lines[2].toJSON().fields,
+                           { interp: 4, jit: 0, stubs: 0 });
+};
+
+exports["the output of the program is passed on"] = function() {
+    var analyzer = common.analyze([]);
+    var text = [];
+    analyzer.on("text", function(line) { text.push(line); });
+    analyzer.end(fs.readFileSync("shell.D", "utf8"));
+    assert.deepStrictEqual(text, ["onemany10"]);
+};
+
+exports["lines of the source of a lambda that start with a tab are dropped"] = function() {
+    var analyzer = common.analyze("shell.D");
+    var top = analyzer.scripts.filter(function(script) {
+        return script.name === "shell/switch.js:1" && script.endline() === 18;
+    })[0];
+    assert.strictEqual(top.opcodes[2].assembly, "lambda");
+    assert.ok(top.dump().indexOf("\treturn") === -1);
+
+    // Saved data reads back the same
+    var out = common.output();
+    analyzer.save(out);
+    var saved = common.analyze([]);
+    saved.end(out.text);
+    var again = common.output();
+    saved.save(again);
+    assert.strictEqual(again.text, out.text);
+    assert.deepStrictEqual(saved.results().total, analyzer.results().total);
+};
+
+exports["functions on one line are told apart, and repeated loads combined"] = function() {
+    var analyzer = common.analyze("shell.D");
+
+    // shell/min.js is loaded twice in the first run, so each of its
+    // scripts is seen twice there, and its counts are combined
+    var warning = "shell/min.js:1: identical scripts ending on line 1 can't be " +
+        "told apart; their counts are combined, as are those of a script " +
+        "that is loaded more than once";
+    assert.deepStrictEqual(analyzer.warnings, [warning, warning, warning]);
+
+    var scripts = analyzer.scripts.filter(function(script) {
+        return script.name === "shell/min.js:1";
+    });
+    assert.strictEqual(scripts.length, 3);
+    assert.strictEqual(scripts[0].opcodes[0].count, 3);
+
+    var min = analyzer.results(["shell/min.js"]).files["shell/min.js"];
+    assert.deepStrictEqual(min.functions().map(function(f) {
+        return [f.name, f.line, f.calls];
+    }), [["a", 1, 3], ["b", 1, 6]]);
+    assert.strictEqual(min.lines[1].coverage(), "some");
+    assert.deepStrictEqual(min.lines[1].branchCoverage(), [1, 2]);
+};
@@ -0,0 +1,125 @@
+// Tests of the source map support used by --sourcemaps.  The fixtures in
+// sourcemaps/ are a bundle of a.js and b.js, its map, and the -D data
+// of running it.
+//
+var assert = require("assert");
+var SourceMap = require("../src/SourceMap.js");
+var common = require("./common.js");
+
+var BASE64 = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+// Encode a number as a base64 VLQ, the other way around from decodeVLQ()
+function encodeVLQ(n) {
+    var value = n < 0 ? (-n << 1) | 1 : n << 1;
+    var s = "";
+    do {
+        var digit = value & 31;
+        value >>>= 5;
+        if (value) digit |= 32;
+        s += BASE64.charAt(digit);
+    } while(value);
+    return s;
+}
+
+exports["decodeVLQ decodes single digits and signs"] = function() {
+    assert.deepStrictEqual(SourceMap.decodeVLQ("AAAA"), [0, 0, 0, 0]);
+    assert.deepStrictEqual(SourceMap.decodeVLQ("CADF"), [1, 0, -1, -2]);
+    assert.deepStrictEqual(SourceMap.decodeVLQ("e"), [15]);
+    assert.deepStrictEqual(SourceMap.decodeVLQ("f"), [-15]);
+};
+
+exports["decodeVLQ decodes numbers of several digits"] = function() {
+    assert.deepStrictEqual(SourceMap.decodeVLQ("gB"), [16]);
+    assert.deepStrictEqual(SourceMap.decodeVLQ("hB"), [-16]);
+    assert.deepStrictEqual(SourceMap.decodeVLQ("2H"), [123]);
+    assert.deepStrictEqual(SourceMap.decodeVLQ("AgBC"), [0, 16, 1]);
+
+    var values = [0, 1, -1, 15, 16, -16, 511, 512, 1000, -1000, 65535,
+                  1048576, -123456789];
+    assert.deepStrictEqual(SourceMap.decodeVLQ(values.map(encodeVLQ).join("")),
+                           values);
+};
+
+exports["decodeVLQ rejects characters that aren't base64"] = function() {
+    assert.throws(function() { SourceMap.decodeVLQ("AA*A"); },
+                  /bad character/);
+};
+
+exports["SourceMap maps each line to the first original line on it"] = function() {
+    // Fields are relative to the previous segment, even across lines
+    var map = new SourceMap({
+        version: 3,
+        sources: ["one.js", "two.js"],
+        mappings: ["AAAA", "", "AAEA,ACAA", "ADCA", "ACIA"].join(";")
+    }, "dir/out.js.map");
+    assert.deepStrictEqual(map.lookup(1), { source: "dir/one.js", line: 1 });
+    assert.strictEqual(map.lookup(2), null);
+    assert.deepStrictEqual(map.lookup(3), { source: "dir/one.js", line: 3 });
+    assert.deepStrictEqual(map.lookup(4), { source: "dir/one.js", line: 4 });
+    assert.deepStrictEqual(map.lookup(5), { source: "dir/two.js", line: 8 });
+    assert.strictEqual(map.lookup(6), null);
+};
+
+exports["SourceMap applies the sourceRoot and keeps other URLs"] = function() {
+    var map = new SourceMap({
+        version: 3,
+        sourceRoot: "src",
+        sources: ["a.js"],
+        mappings: "AAAA"
+    }, "out/bundle.js.map");
+    assert.strictEqual(map.lookup(1).source, "out/src/a.js");
+
+    map = new SourceMap({
+        version: 3,
+        sources: ["webpack:///a.js"],
+        sourcesContent: ["var a;\n"],
+        mappings: "AAAA"
+    }, "bundle.js.map");
+    assert.strictEqual(map.lookup(1).source, "webpack:///a.js");
+    assert.strictEqual(map.contents["webpack:///a.js"], "var a;\n");
+};
+
+exports["SourceMap reads the sections of index maps"] = function() {
+    var map = new SourceMap({
+        version: 3,
+        sections: [
+            { offset: { line: 0, column: 0 },
+              map: { version: 3, sources: ["a.js"], mappings: "AAAA;AACA" } },
+            { offset: { line: 10, column: 0 },
+              map: { version: 3, sources: ["b.js"], mappings: "AAIA" } }
+        ]
+    }, "bundle.js.map");
+    assert.deepStrictEqual(map.lookup(2), { source: "a.js", line: 2 });
+    assert.deepStrictEqual(map.lookup(11), { source: "b.js", line: 5 });
+    assert.strictEqual(map.lookup(3), null);
+};
+
+exports["SourceMap rejects other versions"] = function() {
+    assert.throws(function() {
+        new SourceMap({ version: 2, sources: [], mappings: "" }, "x.map");
+    }, /unsupported source map version 2/);
+};
+
+exports["SourceMap.load finds .map files and inline maps"] = function() {
+    var map = SourceMap.load("sourcemaps/bundle.js");
+    assert.deepStrictEqual(map.lookup(5), { source: "sourcemaps/b.js", line: 2 });
+    map = SourceMap.load("sourcemaps/inline.js");
+    assert.deepStrictEqual(map.lookup(2), { source: "sourcemaps/a.js", line: 2 });
+    assert.strictEqual(SourceMap.load("sourcemaps/a.js"), null);
+    assert.strictEqual(SourceMap.load("sourcemaps/nosuch.js"), null);
+};
+
+exports["--sourcemaps reports the coverage of the original files"] = function() {
+    var analyzer = common.analyze("sourcemaps/bundle.D", { sourcemaps: true });
+    var results = analyzer.results();
+    assert.deepStrictEqual(results.targets,
+                           ["sourcemaps/a.js", "sourcemaps/b.js"]);
+    assert.deepStrictEqual(analyzer.warnings, []);
+
+    var b = results.files["sourcemaps/b.js"];
+    assert.strictEqual(b.lines[2].coverage(), "some");
+    assert.strictEqual(b.lines[3].coverage(), "full");
+    assert.deepStrictEqual(b.functions().map(function(f) {
+        return [f.name, f.line, f.calls];
+    }), [["sign", 1, 1]]);
+};
@@ -0,0 +1,95 @@
+// Tests of choosing what to report: the targets, and the include and
+// exclude patterns
+//
+var assert = require("assert");
+var child_process = require("child_process");
+var fs = require("fs");
+var path = require("path");
+var Analyzer = require("../src/Analyzer.js");
+
+// Return the filenames that the include and exclude patterns select
+function filter(filenames, include, exclude) {
+    return filenames.filter(Analyzer.fileFilter(include, exclude));
+}
+
+exports["** in a glob matches any number of directories"] = function() {
+    var filenames = ["a.js", "src/a.js", "src/lib/a.js", "src/lib/a.jsx", "test/a.js"];
+    assert.deepStrictEqual(filter(filenames, ["src/**/*.js"]),
+                           ["src/a.js", "src/lib/a.js"]);
+    assert.deepStrictEqual(filter(filenames, ["**/a.js"]),
+                           ["a.js", "src/a.js", "src/lib/a.js", "test/a.js"]);
+    assert.deepStrictEqual(filter(filenames, [], ["src/**"]), ["a.js", "test/a.js"]);
+};
+
+exports["* and ? in a glob don't match /"] = function() {
+    var filenames = ["a.js", "ab.js", "abc.js", "src/a.js", "x/y.js"];
+    assert.deepStrictEqual(filter(filenames, ["*.js"]), ["a.js", "ab.js", "abc.js"]);
+    assert.deepStrictEqual(filter(filenames, ["a?.js"]), ["ab.js"]);
+    assert.deepStrictEqual(filter(filenames, ["?/*"]), ["x/y.js"]);
+    assert.deepStrictEqual(filter(filenames, ["*"]), ["a.js", "ab.js", "abc.js"]);
+};
+
+exports["globs have braces, character classes and ! patterns"] = function() {
+    var filenames = ["a.js", "b.js", "c.js", "a.ts"];
+    assert.deepStrictEqual(filter(filenames, ["{a,b}.js"]), ["a.js", "b.js"]);
+    assert.deepStrictEqual(filter(filenames, ["[ab].js"]), ["a.js", "b.js"]);
+    assert.deepStrictEqual(filter(filenames, ["[!ab].js"]), ["c.js"]);
+    assert.deepStrictEqual(filter(filenames, ["*.js", "!b.*"]), ["a.js", "c.js"]);
+};
+
+exports["the other characters of a glob match themselves"] = function() {
+    var filenames = ["a.js", "aXjs", "a+b.js", "aab.js", "(x)|y$.js", "x.js", "^a.js"];
+    assert.deepStrictEqual(filter(filenames, ["a.js"]), ["a.js"]);
+    assert.deepStrictEqual(filter(filenames, ["a+b.js"]), ["a+b.js"]);
+    assert.deepStrictEqual(filter(filenames, ["(x)|y$.js"]), ["(x)|y$.js"]);
+    assert.deepStrictEqual(filter(filenames, ["^a.js"]), ["^a.js"]);
+    assert.deepStrictEqual(filter(["a}.js", "a[.js"], ["a}.js"]), ["a}.js"]);
+    assert.deepStrictEqual(filter(["a}.js", "a[.js"], ["a[.js"]), ["a[.js"]);
+};
+
+exports["globs match filenames relative to the current directory"] = function() {
+    var filenames = ["./lib.js", process.cwd() + "/main.js", "../other.js"];
+    assert.deepStrictEqual(filter(filenames, ["*.js"]), filenames.slice(0, 2));
+};
+
+exports["targets may be names, basenames, directories or globs"] = function() {
+    var files = { "lib.js": 1, "src/a.js": 1, "src/b/c.js": 1, "test/t.js": 1 };
+    function targets(list) {
+        var resolved = Analyzer.resolveTargets(files, list);
+        assert.deepStrictEqual(resolved.unknown, []);
+        assert.deepStrictEqual(resolved.ambiguous, []);
+        return resolved.targets;
+    }
+    assert.deepStrictEqual(targets([]), ["lib.js", "src/a.js", "src/b/c.js", "test/t.js"]);
+    assert.deepStrictEqual(targets(["./lib.js", "c.js"]), ["lib.js", "src/b/c.js"]);
+    assert.deepStrictEqual(targets(["src/"]), ["src/a.js", "src/b/c.js"]);
+    assert.deepStrictEqual(targets(["src/*.js", "src/a.js"]), ["src/a.js"]);
+    assert.deepStrictEqual(Analyzer.resolveTargets(files, ["src/"], {
+        exclude: ["**/b/**"]
+    }).targets, ["src/a.js"]);
+};
+
+exports["basenames of more than one file are ambiguous"] = function() {
+    var files = { "a/lib.js": 1, "b/lib.js": 1, "main.js": 1 };
+    var resolved = Analyzer.resolveTargets(files, ["lib.js", "main.js", "nope.js"]);
+    assert.deepStrictEqual(resolved.targets, ["main.js"]);
+    assert.deepStrictEqual(resolved.ambiguous,
+                           [{ target: "lib.js", matches: ["a/lib.js", "b/lib.js"] }]);
+    assert.deepStrictEqual(resolved.unknown, ["nope.js"]);
+    assert.deepStrictEqual(Analyzer.resolveTargets(files, ["b/lib.js"]).targets,
+                           ["b/lib.js"]);
+};
+
+exports["CoverMonkey exits with an error for an ambiguous target"] = function() {
+    var data = fs.readFileSync("run.D", "utf8");
+    var input = data.replace(/SCRIPT lib\.js:/g, "SCRIPT a/lib.js:") +
+        data.replace(/SCRIPT lib\.js:/g, "SCRIPT b/lib.js:");
+    var result = child_process.spawnSync(
+        process.execPath,
+        [path.join(__dirname, "..", "bin", "CoverMonkey"), "-t", "lib.js"],
+        { input: input, encoding: "utf8" });
+    assert.strictEqual(result.status, 1);
+    assert.ok(result.stderr.indexOf("target lib.js is ambiguous. It matches:\n" +
+                                    "    a/lib.js\n    b/lib.js\n") !== -1,
+              result.stderr);
+};
@@ -0,0 +1,169 @@
+// Tests of the coverage thresholds that fail the build
+//
+var assert = require("assert");
+var child_process = require("child_process");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var Analyzer = require("../src/Analyzer.js");
+var Reporters = require("../src/Reporters.js");
+var common = require("./common.js");
+
+// Run CoverMonkey on run.D with the specified extra arguments, and return
+// its exit status and what it wrote to stdout and stderr
+function covermonkey(args) {
+    var result = child_process.spawnSync(
+        process.execPath,
+        [path.join(__dirname, "..", "bin", "CoverMonkey"), "-d", "run.D", "-q"]
+            .concat(args),
+        { encoding: "utf8" });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+exports["thresholds that are met pass"] = function() {
+    var results = common.analyze("run.D").results();
+    var total = results.total;
+    assert.deepStrictEqual(Reporters.checkThresholds(results, {
+        total: { coverage: 100*total.covered/total.lines,
+                 uncovered: total.uncovered, dead: total.dead },
+        each: {},
+        files: {}
+    }), []);
+};
+
+exports["thresholds that aren't met are listed"] = function() {
+    var results = common.analyze("run.D").results();
+    var failures = Reporters.checkThresholds(results, {
+        total: { coverage: 100, dead: 0 },
+        each: { uncovered: 0 },
+        files: {}
+    });
+    var lib = Analyzer.fileStats(results.files["lib.js"]);
+    assert.deepStrictEqual(failures.filter(function(f) {
+        return /^lib\.js: /.test(f);
+    }), ["lib.js: " + lib.uncovered + " uncovered lines (maximum 0)"]);
+    assert.ok(failures.some(function(f) {
+        return /^ALL FILES: coverage [\d.]+% is below 100%$/.test(f);
+    }), failures.join("\n"));
+    assert.ok(failures.some(function(f) {
+        return /^ALL FILES: \d+ dead lines \(maximum 0\)$/.test(f);
+    }), failures.join("\n"));
+};
+
+exports["per-file thresholds apply to their file alone"] = function() {
+    var results = common.analyze("run.D").results();
+    var lib = Analyzer.fileStats(results.files["lib.js"]);
+    var thresholds = {
+        total: {},
+        each: { uncovered: lib.uncovered - 1 },
+        files: { "lib.js": { uncovered: lib.uncovered } }
+    };
+    // The file's own threshold is looser than the one for each file
+    assert.deepStrictEqual(Reporters.checkThresholds(results, thresholds), []);
+
+    // Thresholds of other kinds are added to those for each file
+    thresholds.files = { "lib.js": { coverage: 100 } };
+    var failures = Reporters.checkThresholds(results, thresholds);
+    assert.strictEqual(failures.length, 2);
+    assert.ok(/^lib\.js: coverage [\d.]+% is below 100%$/.test(failures[0]),
+              failures[0]);
+    assert.strictEqual(failures[1], "lib.js: " + lib.uncovered +
+                       " uncovered lines (maximum " + (lib.uncovered - 1) + ")");
+};
+
+exports["per-file thresholds for unknown files fail"] = function() {
+    var results = common.analyze("run.D").results(["main.js"]);
+    assert.deepStrictEqual(Reporters.checkThresholds(results, {
+        total: {},
+        each: {},
+        files: { "lib.js": { coverage: 100 }, "lbi.js": { coverage: 0 } }
+    }), ["lbi.js: no file in the coverage data matches these thresholds"]);
+};
+
+exports["per-file thresholds for a basename of several files fail"] = function() {
+    var data = fs.readFileSync("run.D", "utf8");
+    var analyzer = new Analyzer();
+    analyzer.end(data.replace(/SCRIPT lib\.js:/g, "SCRIPT a/lib.js:") +
+                 data.replace(/SCRIPT lib\.js:/g, "SCRIPT b/lib.js:"));
+    var results = analyzer.results();
+    var lib = Analyzer.fileStats(results.files["a/lib.js"]);
+    var thresholds = {
+        total: {},
+        each: {},
+        files: { "lib.js": { uncovered: 0 } }
+    };
+    assert.deepStrictEqual(Reporters.checkThresholds(results, thresholds), [
+        "lib.js: these thresholds are ambiguous: the name matches a/lib.js, " +
+            "b/lib.js. Use a longer path"
+    ]);
+
+    // A full name picks one of them, and overrides the basename
+    thresholds.files["b/lib.js"] = { uncovered: lib.uncovered };
+    thresholds.files["a/lib.js"] = { uncovered: 0 };
+    assert.deepStrictEqual(Reporters.checkThresholds(results, thresholds), [
+        "lib.js: these thresholds are ambiguous: the name matches a/lib.js, " +
+            "b/lib.js. Use a longer path",
+        "a/lib.js: " + lib.uncovered + " uncovered lines (maximum 0)"
+    ]);
+};
+
+exports["CoverMonkey exits with status 2 if thresholds aren't met"] = function() {
+    var passed = covermonkey(["--max-dead", "1000"]);
+    assert.strictEqual(passed.status, 0, passed.stderr);
+
+    var failed = covermonkey(["--min-coverage", "99.5"]);
+    assert.strictEqual(failed.status, 2);
+    assert.ok(/coverage thresholds not met:\n\tALL FILES: coverage [\d.]+% is below 99.5%/
+              .test(failed.stderr), failed.stderr);
+
+    var file = path.join(os.tmpdir(), "covermonkey-thresholds-" + process.pid + ".json");
+    fs.writeFileSync(file, JSON.stringify({ files: { "missing.js": { dead: 0 } } }));
+    try {
+        var unknown = covermonkey(["--thresholds", file]);
+    }
+    finally {
+        fs.unlinkSync(file);
+    }
+    assert.strictEqual(unknown.status, 2);
+    assert.ok(/missing\.js: no file in the coverage data matches/.test(unknown.stderr),
+              unknown.stderr);
+};
+
+exports["threshold options must be numbers"] = function() {
+    var result = covermonkey(["--min-coverage", "80abc"]);
+    assert.strictEqual(result.status, 1);
+    assert.ok(/^Not a number: 80abc\n/.test(result.stdout), result.stdout);
+};
+
+exports["thresholds files must hold numbers in range"] = function() {
+    var file = path.join(os.tmpdir(), "covermonkey-thresholds-" + process.pid + ".json");
+    function run(config) {
+        fs.writeFileSync(file, JSON.stringify(config));
+        try {
+            return covermonkey(["--thresholds", file]);
+        }
+        finally {
+            fs.unlinkSync(file);
+        }
+    }
+
+    [[null, "the file is not an object"],
+     [{ total: null }, "total is not an object"],
+     [{ each: [] }, "each is not an object"],
+     [{ total: { coverage: "abc" } },
+      'total.coverage is not a number from 0 to 100: "abc"'],
+     [{ total: { coverage: 101 } }, "total.coverage is not a number from 0 to 100: 101"],
+     [{ each: { dead: -1 } }, "each.dead is not a number of 0 or more: -1"],
+     [{ each: { covered: 1 } }, "each.covered is not a threshold"],
+     [{ files: { "lib.js": 80 } }, 'files["lib.js"] is not an object'],
+     [{ files: { "lib.js": { uncovered: null } } },
+      'files["lib.js"].uncovered is not a number of 0 or more: null'],
+     [{ totals: {} }, 'totals is not "total", "each" or "files"']
+    ].forEach(function(test) {
+        var result = run(test[0]);
+        assert.strictEqual(result.status, 1, JSON.stringify(test[0]));
+        assert.strictEqual(result.stdout, "Bad thresholds in " + file + ": " +
+                           test[1] + "\n");
+        assert.strictEqual(result.stderr, "");
+    });
+};